@@ -0,0 +1,18 @@
+/**
+ * URLs of the world atlas files bundled as assets, for the `worldAtlasUrls` option of
+ * createGlobeMapper. The files are `?url` imports of world-atlas, which Vite serves as
+ * assets; hosts built otherwise serve the files themselves and pass their URLs.
+ */
+
+import countries110mUrl from 'world-atlas/countries-110m.json?url';
+import countries50mUrl from 'world-atlas/countries-50m.json?url';
+import countries10mUrl from 'world-atlas/countries-10m.json?url';
+
+/**
+ * Bundled world atlas file URLs, by key in WORLD_ATLAS_RESOLUTIONS
+ */
+export const BUNDLED_WORLD_ATLAS_URLS = {
+    "110m": countries110mUrl,
+    "50m": countries50mUrl,
+    "10m": countries10mUrl
+};
@@ -0,0 +1,82 @@
+/**
+ * Camera helpers for programmatic view changes: flights between two views along
+ * the great circle, and the view that fits a feature.
+ * Views are {center: [longitude, latitude], zoom} objects, zoom being the factor
+ * applied to the fitted scale of the projection.
+ */
+
+import * as d3 from 'd3';
+import { wrapLongitude } from './projections.js';
+
+const MIN_FLIGHT_DURATION = 600; // ms
+const MAX_FLIGHT_DURATION = 3000; // ms
+
+/**
+ * Interpolates between two views. The centre moves along the great circle while the
+ * zoom goes out far enough, half way through, to show both ends of a long flight.
+ * Like d3.interpolateZoom, the interpolator has a recommended `duration` in milliseconds.
+ *
+ * @param {{center: number[], zoom: number}} from - Start view
+ * @param {{center: number[], zoom: number}} to - End view
+ * @returns {Function} Interpolator from t in [0, 1] to a view
+ */
+export function interpolateFlight(from, to) {
+    const interpolateCenter = d3.geoInterpolate(from.center, to.center);
+    const distance = d3.geoDistance(from.center, to.center);
+    const logFrom = Math.log(from.zoom);
+    const logTo = Math.log(to.zoom);
+
+    // At zoom 1 a globe shows about 90° around its centre, and 90°/zoom when zoomed in
+    const logOverview = distance > 0 ? Math.log(Math.PI / distance) : Infinity;
+    const dip = Math.max(0, (logFrom + logTo) / 2 - logOverview);
+
+    const interpolate = t => ({
+        center: interpolateCenter(t),
+        zoom: Math.exp(logFrom + (logTo - logFrom) * t - dip * 4 * t * (1 - t))
+    });
+    interpolate.duration = Math.min(MAX_FLIGHT_DURATION,
+        MIN_FLIGHT_DURATION + 1200 * distance / Math.PI + 400 * (Math.abs(logTo - logFrom) + dip));
+    return interpolate;
+}
+
+/**
+ * Centre of a feature's bounding box, taking boxes that cross the antimeridian into account.
+ *
+ * @param {Object} feature - GeoJSON object
+ * @returns {number[]} [longitude, latitude] in degrees
+ */
+export function boundsCenter(feature) {
+    const [[west, south], [east, north]] = d3.geoBounds(feature);
+    if (![west, south, east, north].every(Number.isFinite)) {
+        throw new Error("Feature has no geographic extent");
+    }
+    const unwrappedEast = east < west ? east + 360 : east;
+    return [wrapLongitude((west + unwrappedEast) / 2), (south + north) / 2];
+}
+
+/**
+ * Finds the view that centres a feature and zooms so that it fills the canvas.
+ *
+ * @param {Object} feature - GeoJSON object
+ * @param {Object} definition - Entry of PROJECTIONS
+ * @param {{scale: number}} fit - Fitted projection parameters at zoom 1 (see fitProjection)
+ * @param {number} width - Canvas width in pixels
+ * @param {number} height - Canvas height in pixels
+ * @param {number} [padding=20] - Margin kept around the feature, in pixels
+ * @returns {{center: number[], zoom: number}} View; the zoom is not clamped to the zoom extent
+ */
+export function fitFeatureView(feature, definition, fit, width, height, padding = 20) {
+    const center = boundsCenter(feature);
+    const rotation = definition.navigation === "rotate" ? [-center[0], -center[1], 0] : [-center[0], 0, 0];
+    const projection = d3.geoProjection(definition.raw)
+        .rotate(rotation)
+        .scale(fit.scale)
+        .clipAngle(definition.clipAngle);
+
+    const [[x0, y0], [x1, y1]] = d3.geoPath(projection).bounds(feature);
+    const zoom = Math.min(
+        (width - 2 * padding) / (x1 - x0),
+        (height - 2 * padding) / (y1 - y0)
+    );
+    return { center, zoom: Number.isFinite(zoom) ? zoom : Infinity };
+}
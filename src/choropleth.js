@@ -0,0 +1,309 @@
+/**
+ * Choropleth data layer: joins a CSV/JSON table keyed by ISO 3166 country code to the
+ * country features and colours them by value, plus the legend drawn for it.
+ */
+
+import * as d3 from 'd3';
+import isoCountries from 'i18n-iso-countries';
+
+/**
+ * Colour scale types available for the choropleth.
+ */
+export const SCALE_TYPES = {
+    sequential: { label: "Sequential" },
+    diverging: { label: "Diverging" },
+    quantize: { label: "Quantize" },
+    threshold: { label: "Threshold" }
+};
+
+/**
+ * Number of colour classes used by the discrete (quantize and threshold) scales.
+ */
+const CLASS_COUNT = 5;
+
+/**
+ * Normalizes an ISO 3166-1 numeric (e.g., 4 or "004") or alpha-3 (e.g., "AFG") code
+ * to the zero-padded numeric code used as feature ID by the world atlas.
+ *
+ * @param {string|number} code - Country code
+ * @returns {string|null} Three-digit numeric code, or null if the code is not recognized
+ */
+export function normalizeCountryCode(code) {
+    const text = String(code ?? "").trim();
+    if (/^\d{1,3}$/.test(text)) return text.padStart(3, "0");
+    if (/^[A-Za-z]{3}$/.test(text)) return isoCountries.alpha3ToNumeric(text.toUpperCase()) || null;
+    return null;
+}
+
+/**
+ * Parses a data table. JSON may be an array of row objects or an object mapping
+ * country codes to values (turned into `code`/`value` rows).
+ *
+ * @param {string} text - File contents
+ * @param {string} format - "csv" or "json"
+ * @returns {Object[]} Table rows
+ */
+export function parseDataTable(text, format) {
+    if (format === "csv") {
+        return d3.csvParse(text, d3.autoType);
+    }
+    if (format === "json") {
+        const data = JSON.parse(text);
+        if (Array.isArray(data)) return data;
+        if (data && typeof data === "object") {
+            return Object.entries(data).map(([code, value]) => ({ code, value }));
+        }
+        throw new Error("JSON data table must be an array of rows or an object of values by country code");
+    }
+    throw new Error(`Unsupported data table format "${format}"`);
+}
+
+/**
+ * Guesses the table format from a file name or URL.
+ *
+ * @param {string} name - File name or URL
+ * @returns {string} "csv" or "json"
+ */
+export function dataTableFormat(name) {
+    return /\.json($|\?)/i.test(name) ? "json" : "csv";
+}
+
+/**
+ * Loads and parses a data table served by the project.
+ *
+ * @param {string} url - URL of a .csv or .json file
+ * @returns {Promise<Object[]>} Table rows
+ */
+export function loadDataTable(url) {
+    return d3.text(url).then(text => parseDataTable(text, dataTableFormat(url)));
+}
+
+/**
+ * Finds the columns of a table that hold country codes and numeric values.
+ *
+ * @param {Object[]} rows - Table rows
+ * @returns {{keyFields: string[], valueFields: string[]}} Candidate key and value columns, best first
+ */
+export function detectColumns(rows) {
+    const columns = rows.columns || Object.keys(rows[0] || {});
+    const share = (column, test) => d3.mean(rows, row => test(row[column]) ? 1 : 0) || 0;
+
+    // Small integers also look like numeric codes, so columns named like codes are preferred
+    const looksLikeCodeColumn = column => /iso|code|^id$|alpha/i.test(column) ? 1 : 0;
+    const keyFields = columns
+        .map(column => ({ column, score: share(column, value => normalizeCountryCode(value) !== null) }))
+        .filter(({ score }) => score > 0.5)
+        .sort((a, b) => looksLikeCodeColumn(b.column) - looksLikeCodeColumn(a.column) || b.score - a.score)
+        .map(({ column }) => column);
+    const valueFields = columns.filter(column =>
+        column !== keyFields[0] &&
+        share(column, value => value !== null && value !== "" && Number.isFinite(+value)) > 0.5
+    );
+    return { keyFields, valueFields };
+}
+
+/**
+ * Creates a colour scale for a set of values.
+ *
+ * @param {string} scaleType - Key in SCALE_TYPES
+ * @param {number[]} values - Data values
+ * @param {Object} [options]
+ * @param {number} [options.midpoint] - Centre of a diverging scale (0 if the values straddle it, else the median)
+ * @param {number[]} [options.thresholds] - Class breaks of a threshold scale (quantiles by default)
+ * @returns {Function} d3 scale mapping values to colours
+ */
+export function createColorScale(scaleType, values, { midpoint, thresholds } = {}) {
+    const [minimum, maximum] = d3.extent(values);
+    switch (scaleType) {
+        case "sequential":
+            return d3.scaleSequential(d3.interpolateYlGnBu).domain([minimum, maximum]);
+        case "diverging": {
+            const center = midpoint ?? (minimum < 0 && maximum > 0 ? 0 : d3.median(values));
+            return d3.scaleDiverging(d3.interpolateRdYlBu).domain([minimum, center, maximum]);
+        }
+        case "quantize":
+            return d3.scaleQuantize().domain([minimum, maximum]).range(d3.schemeYlGnBu[CLASS_COUNT]);
+        case "threshold": {
+            const breaks = thresholds ||
+                d3.scaleQuantile().domain(values).range(d3.range(CLASS_COUNT)).quantiles();
+            // The YlGnBu scheme has 3 to 9 classes; more breaks sample its interpolator
+            const classCount = breaks.length + 1;
+            const colors = classCount > 9 ?
+                d3.quantize(d3.interpolateYlGnBu, classCount) :
+                d3.schemeYlGnBu[Math.max(3, classCount)];
+            return d3.scaleThreshold().domain(breaks).range(colors);
+        }
+        default:
+            throw new Error(`Unknown scale type "${scaleType}"`);
+    }
+}
+
+/**
+ * Creates the choropleth layer state.
+ * Listeners registered with `on("change", callback)` are called whenever the table,
+ * the joined column or the scale changes.
+ *
+ * @returns {Object} Choropleth layer
+ */
+export function createChoroplethLayer() {
+    let rows = [];
+    let keyField = null;
+    let valueField = null;
+    let scaleType = "sequential";
+    let scaleOptions = {};
+    let valuesByCode = new Map();
+    let colorScale = null;
+    const listeners = d3.dispatch("change");
+
+    function rebuild() {
+        valuesByCode = new Map();
+        if (keyField && valueField) {
+            for (const row of rows) {
+                const code = normalizeCountryCode(row[keyField]);
+                const value = row[valueField];
+                if (code !== null && value !== null && value !== "" && Number.isFinite(+value)) {
+                    valuesByCode.set(code, +value);
+                }
+            }
+        }
+        colorScale = valuesByCode.size > 0 ?
+            createColorScale(scaleType, [...valuesByCode.values()], scaleOptions) :
+            null;
+        listeners.call("change", layer);
+    }
+
+    const layer = {
+        /**
+         * Replaces the data table. Key and value columns default to the detected ones.
+         */
+        setTable(tableRows, options = {}) {
+            const detected = detectColumns(tableRows);
+            rows = tableRows;
+            keyField = options.keyField ?? detected.keyFields[0] ?? null;
+            valueField = options.valueField ?? detected.valueFields[0] ?? null;
+            if (options.scaleType) scaleType = options.scaleType;
+            scaleOptions = options.scaleOptions || {};
+            rebuild();
+            return layer;
+        },
+        setKeyField(field) {
+            keyField = field;
+            rebuild();
+            return layer;
+        },
+        setValueField(field) {
+            valueField = field;
+            rebuild();
+            return layer;
+        },
+        setScaleType(type, options = {}) {
+            scaleType = type;
+            scaleOptions = options;
+            rebuild();
+            return layer;
+        },
+        clear() {
+            rows = [];
+            keyField = valueField = null;
+            rebuild();
+            return layer;
+        },
+        columns() {
+            return { ...detectColumns(rows), keyField, valueField };
+        },
+        isActive() {
+            return colorScale !== null;
+        },
+        valueFor(feature) {
+            return valuesByCode.get(normalizeCountryCode(feature.id));
+        },
+        /**
+         * Colour of a country feature, or null when the table has no value for it.
+         */
+        colorFor(feature) {
+            const value = layer.valueFor(feature);
+            return colorScale && value !== undefined ? colorScale(value) : null;
+        },
+        /**
+         * Counts the countries of a feature collection that have a value in the table.
+         */
+        matchCount(featureCollection) {
+            return featureCollection.features.filter(feature => layer.valueFor(feature) !== undefined).length;
+        },
+        legend() {
+            return colorScale && { title: valueField, scaleType, colorScale };
+        },
+        on(type, callback) {
+            if (arguments.length < 2) return listeners.on(type);
+            listeners.on(type, callback);
+            return layer;
+        }
+    };
+    return layer;
+}
+
+/**
+ * Draws the legend of a choropleth layer in the colours of the theme: a colour ramp
+ * for continuous scales or one swatch per class for discrete scales, plus a "no data"
+ * swatch in the fill of countries without data.
+ *
+ * @param {CanvasRenderingContext2D} context - Context of the legend canvas
+ * @param {Object|null} legend - Result of `layer.legend()`, or null to clear the legend
+ * @param {Object} style - Theme style; its `legend` entry holds the background `fill` and
+ *     `text` colour, and a null `legend` or `noData` entry leaves out the legend or its swatch
+ */
+export function renderLegend(context, legend, style) {
+    const { width, height } = context.canvas;
+    context.clearRect(0, 0, width, height);
+    if (!legend || !style.legend) return;
+
+    const PADDING = 10;
+    const RAMP_TOP = 26;
+    const RAMP_HEIGHT = 12;
+    const rampWidth = width - 2 * PADDING - 40;
+    const { title, scaleType, colorScale } = legend;
+
+    context.fillStyle = style.legend.fill;
+    context.fillRect(0, 0, width, height);
+    context.font = "12px system-ui, sans-serif";
+    context.fillStyle = style.legend.text;
+    context.textBaseline = "alphabetic";
+    context.textAlign = "left";
+    context.fillText(title, PADDING, 17);
+
+    const tickFormat = d3.format("~s");
+    const ticks = [];
+    if (scaleType === "sequential" || scaleType === "diverging") {
+        const domain = colorScale.domain();
+        const position = d3.scaleLinear().domain(d3.extent(domain)).range([0, rampWidth]);
+        for (let offset = 0; offset < rampWidth; offset++) {
+            context.fillStyle = colorScale(position.invert(offset));
+            context.fillRect(PADDING + offset, RAMP_TOP, 1, RAMP_HEIGHT);
+        }
+        for (const tick of position.ticks(4)) ticks.push([position(tick), tick]);
+    } else {
+        const colors = colorScale.range();
+        const breaks = scaleType === "quantize" ? colorScale.thresholds() : colorScale.domain();
+        const swatchWidth = rampWidth / colors.length;
+        colors.forEach((color, index) => {
+            context.fillStyle = color;
+            context.fillRect(PADDING + index * swatchWidth, RAMP_TOP, swatchWidth, RAMP_HEIGHT);
+        });
+        breaks.forEach((value, index) => ticks.push([(index + 1) * swatchWidth, value]));
+    }
+
+    context.fillStyle = style.legend.text;
+    context.textAlign = "center";
+    for (const [offset, value] of ticks) {
+        context.fillText(tickFormat(value), PADDING + offset, RAMP_TOP + RAMP_HEIGHT + 14);
+    }
+
+    // "No data" swatch after the ramp
+    if (style.noData) {
+        const noDataX = PADDING + rampWidth + 14;
+        context.fillStyle = style.noData.fill;
+        context.fillRect(noDataX, RAMP_TOP, 20, RAMP_HEIGHT);
+        context.fillStyle = style.legend.text;
+        context.fillText("n/a", noDataX + 10, RAMP_TOP + RAMP_HEIGHT + 14);
+    }
+}
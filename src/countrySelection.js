@@ -0,0 +1,78 @@
+/**
+ * Country selection state shared between the globe and the rest of the app.
+ * Countries are tracked by feature key (see `featureKey`), so a selection survives
+ * projection transitions and reloads of the map data.
+ */
+
+import * as d3 from 'd3';
+
+/**
+ * Creates a country selection.
+ * Listeners registered with `on("change", callback)` receive the selected keys
+ * whenever the selection changes (d3.dispatch semantics, so names like "change.panel" work).
+ *
+ * @returns {Object} Selection with `keys`, `has`, `select`, `deselect`, `toggle`, `clear` and `on`
+ */
+export function createCountrySelection() {
+    const selectedKeys = new Set();
+    const listeners = d3.dispatch("change");
+
+    function notify() {
+        listeners.call("change", selection, selection.keys());
+    }
+
+    const selection = {
+        keys() {
+            return [...selectedKeys];
+        },
+        has(key) {
+            return selectedKeys.has(key);
+        },
+        /**
+         * Selects countries, replacing the current selection unless `additive` is set.
+         */
+        select(keys, { additive = false } = {}) {
+            if (!additive) selectedKeys.clear();
+            for (const key of [].concat(keys)) selectedKeys.add(key);
+            notify();
+            return selection;
+        },
+        deselect(keys) {
+            for (const key of [].concat(keys)) selectedKeys.delete(key);
+            notify();
+            return selection;
+        },
+        /**
+         * Toggles a country when `additive` is set. Otherwise the country becomes the only
+         * selected one, or is deselected if it already was the only one.
+         */
+        toggle(key, { additive = false } = {}) {
+            const wasSelected = selectedKeys.has(key);
+            if (additive) {
+                if (wasSelected) {
+                    selectedKeys.delete(key);
+                } else {
+                    selectedKeys.add(key);
+                }
+            } else {
+                const wasOnlySelection = wasSelected && selectedKeys.size === 1;
+                selectedKeys.clear();
+                if (!wasOnlySelection) selectedKeys.add(key);
+            }
+            notify();
+            return selection;
+        },
+        clear() {
+            if (selectedKeys.size === 0) return selection;
+            selectedKeys.clear();
+            notify();
+            return selection;
+        },
+        on(type, callback) {
+            if (arguments.length < 2) return listeners.on(type);
+            listeners.on(type, callback);
+            return selection;
+        }
+    };
+    return selection;
+}
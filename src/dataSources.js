@@ -0,0 +1,82 @@
+/**
+ * Data-source layer for the geographic features drawn on the globe.
+ * Sources are descriptors of TopoJSON or GeoJSON files: the bundled world atlas by
+ * default (see worldAtlas.js), or any other file the map is pointed to.
+ */
+
+import * as d3 from 'd3';
+import * as topojson from 'topojson-client';
+
+/**
+ * Checks a data source descriptor, optionally selecting other TopoJSON objects to render.
+ *
+ * @param {{url: string, objects?: string[]}} source - Data source descriptor
+ * @param {string[]} [objects] - TopoJSON objects to render (the source's own when omitted)
+ * @returns {{url: string, objects?: string[]}} Data source descriptor
+ */
+export function dataSource(source, objects = source?.objects) {
+    if (typeof source?.url !== "string" || !source.url) {
+        throw new Error("A data source needs the URL of a TopoJSON or GeoJSON file");
+    }
+    if (objects !== undefined && (!Array.isArray(objects) || !objects.every(name => typeof name === "string"))) {
+        throw new Error("TopoJSON objects must be given as an array of object names");
+    }
+    return { ...source, objects };
+}
+
+/**
+ * Converts parsed TopoJSON or GeoJSON into a single GeoJSON FeatureCollection.
+ *
+ * @param {Object} data - Parsed TopoJSON topology or GeoJSON object
+ * @param {string[]} [objectNames] - TopoJSON objects to convert (all objects when omitted)
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+export function toFeatureCollection(data, objectNames) {
+    if (!data || typeof data !== "object") {
+        throw new Error("Geographic data is empty or not an object");
+    }
+
+    if (data.type === "Topology") {
+        const availableObjects = Object.keys(data.objects || {});
+        const features = (objectNames || availableObjects).flatMap(objectName => {
+            const topologyObject = data.objects[objectName];
+            if (!topologyObject) {
+                throw new Error(`TopoJSON object "${objectName}" not found (available: ${availableObjects.join(", ")})`);
+            }
+            const converted = topojson.feature(data, topologyObject);
+            return converted.type === "FeatureCollection" ? converted.features : [converted];
+        });
+        return { type: "FeatureCollection", features };
+    }
+
+    switch (data.type) {
+        case "FeatureCollection":
+            return data;
+        case "Feature":
+            return { type: "FeatureCollection", features: [data] };
+        case "Point":
+        case "MultiPoint":
+        case "LineString":
+        case "MultiLineString":
+        case "Polygon":
+        case "MultiPolygon":
+        case "GeometryCollection":
+            return {
+                type: "FeatureCollection",
+                features: [{ type: "Feature", properties: {}, geometry: data }]
+            };
+        default:
+            throw new Error(`Unsupported geographic data type "${data.type}"`);
+    }
+}
+
+/**
+ * Loads a data source and resolves to a GeoJSON FeatureCollection.
+ *
+ * @param {{url: string, objects?: string[]}} source - Data source descriptor; `url` points to a
+ *     TopoJSON or GeoJSON file served by the project, `objects` selects TopoJSON objects
+ * @returns {Promise<Object>} GeoJSON FeatureCollection
+ */
+export function loadGeoData(source) {
+    return d3.json(source.url).then(data => toFeatureCollection(data, source.objects));
+}
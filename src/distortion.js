@@ -0,0 +1,201 @@
+/**
+ * Map distortion: local scale factors of a projection, Tissot's indicatrices and a
+ * heatmap of areal or angular distortion.
+ *
+ * Scale factors compare lengths on the map with lengths on the globe drawn at the
+ * projection's scale, so they are 1 wherever the map is true to the globe.
+ */
+
+import * as d3 from 'd3';
+import { EARTH_RADIUS_KM } from './geodesy.js';
+
+const RADIANS = Math.PI / 180;
+const DERIVATIVE_STEP = 1e-3; // Degrees between the points used to measure the scale
+const MAX_LATITUDE = 89.9; // Parallels shrink to a point at the poles, where the east-west scale is undefined
+
+/**
+ * Heatmaps of the scale factors. `value` picks the mapped quantity from a localScale result.
+ */
+export const DISTORTION_HEATMAPS = {
+    area: {
+        label: "Areal scale",
+        description: "Blue areas are shown smaller than on the globe, red areas larger (up to 4× either way).",
+        value: scale => Math.log2(scale.areal),
+        color: d3.scaleDiverging(t => d3.interpolateRdBu(1 - t)).domain([-2, 0, 2]).clamp(true)
+    },
+    angle: {
+        label: "Angular distortion",
+        description: "Yellow to red shows how much angles are bent, up to 90° and more.",
+        value: scale => scale.maxAngle,
+        color: d3.scaleSequential(d3.interpolateYlOrRd).domain([0, 90]).clamp(true)
+    }
+};
+
+export const TISSOT_GRID_STEPS = [10, 15, 30]; // Degrees between indicatrices
+export const TISSOT_RADII_KM = [250, 500, 1000];
+
+/**
+ * Measures the scale factors of a projection at a location, from the projected
+ * directions of small steps to the north and to the east.
+ *
+ * @param {Object} projection - Configured d3 projection
+ * @param {number[]} location - [longitude, latitude] in degrees
+ * @returns {{meridian: number, parallel: number, areal: number, maxAngle: number}|null} Scale along
+ *     the meridian and the parallel, areal scale, and the largest change of an angle in
+ *     degrees; null where the projection is undefined
+ */
+export function localScale(projection, [longitude, latitude]) {
+    const phi = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, latitude));
+    const points = [
+        [longitude, phi - DERIVATIVE_STEP],
+        [longitude, phi + DERIVATIVE_STEP],
+        [longitude - DERIVATIVE_STEP, phi],
+        [longitude + DERIVATIVE_STEP, phi]
+    ].map(projection);
+    if (!points.every(point => point && Number.isFinite(point[0]) && Number.isFinite(point[1]))) return null;
+
+    const [south, north, west, east] = points;
+    const groundStep = 2 * DERIVATIVE_STEP * RADIANS * projection.scale();
+    const northward = [(north[0] - south[0]) / groundStep, (north[1] - south[1]) / groundStep];
+    const eastwardStep = groundStep * Math.cos(phi * RADIANS);
+    const eastward = [(east[0] - west[0]) / eastwardStep, (east[1] - west[1]) / eastwardStep];
+
+    const meridian = Math.hypot(...northward);
+    const parallel = Math.hypot(...eastward);
+    const areal = Math.abs(eastward[0] * northward[1] - eastward[1] * northward[0]);
+    // Sum and difference of the semi-axes of the indicatrix (Tissot's formulas)
+    const axesSum = Math.sqrt(meridian ** 2 + parallel ** 2 + 2 * areal);
+    const axesDifference = Math.sqrt(Math.max(0, meridian ** 2 + parallel ** 2 - 2 * areal));
+    const maxAngle = axesSum > 0 ? 2 * Math.asin(Math.min(1, axesDifference / axesSum)) / RADIANS : 0;
+    return { meridian, parallel, areal, maxAngle };
+}
+
+/**
+ * Geodesic circles of equal ground radius on a latitude and longitude grid. Latitudes
+ * run between the poles, which are left out.
+ *
+ * @param {number} step - Degrees between circle centres
+ * @param {number} radiusKm - Ground radius of the circles in kilometres
+ * @returns {Object} GeoJSON GeometryCollection of polygons
+ */
+export function tissotIndicatrices(step, radiusKm) {
+    const circle = d3.geoCircle().radius(radiusKm / EARTH_RADIUS_KM / RADIANS).precision(2);
+    const geometries = [];
+    for (let latitude = step - 90; latitude < 90; latitude += step) {
+        for (let longitude = -180; longitude < 180; longitude += step) {
+            geometries.push(circle.center([longitude, latitude])());
+        }
+    }
+    return { type: "GeometryCollection", geometries };
+}
+
+/**
+ * Creates the distortion layer state. It starts hidden, with indicatrices and without
+ * a heatmap.
+ * Listeners registered with `on("change", callback)` are called whenever any setting changes.
+ *
+ * @returns {Object} Distortion layer
+ */
+export function createDistortionLayer() {
+    let isVisible = false;
+    let showsIndicatrices = true;
+    let gridStep = 30;
+    let radiusKm = 500;
+    let heatmap = null; // Key in DISTORTION_HEATMAPS
+    let indicatrices = null; // Built on first use for the current grid
+    const listeners = d3.dispatch("change");
+
+    const changed = () => listeners.call("change", layer);
+
+    const layer = {
+        isVisible() {
+            return isVisible;
+        },
+        setVisible(visible) {
+            isVisible = visible;
+            changed();
+            return layer;
+        },
+        showsIndicatrices() {
+            return showsIndicatrices;
+        },
+        setIndicatricesShown(shown) {
+            showsIndicatrices = shown;
+            changed();
+            return layer;
+        },
+        gridStep() {
+            return gridStep;
+        },
+        radius() {
+            return radiusKm;
+        },
+        /**
+         * Sets the spacing of the indicatrices in degrees and their ground radius in kilometres.
+         */
+        setGrid({ step = gridStep, radius = radiusKm } = {}) {
+            if (!(step > 0 && radius > 0)) {
+                throw new Error(`Invalid indicatrix grid (step ${step}°, radius ${radius} km)`);
+            }
+            gridStep = step;
+            radiusKm = radius;
+            indicatrices = null;
+            changed();
+            return layer;
+        },
+        indicatrices() {
+            indicatrices ??= tissotIndicatrices(gridStep, radiusKm);
+            return indicatrices;
+        },
+        heatmap() {
+            return heatmap;
+        },
+        /**
+         * Shows a heatmap, given by its key in DISTORTION_HEATMAPS, or none when null.
+         */
+        setHeatmap(name) {
+            if (name !== null && !Object.hasOwn(DISTORTION_HEATMAPS, name)) {
+                throw new Error(`Unknown heatmap "${name}"`);
+            }
+            heatmap = name;
+            changed();
+            return layer;
+        },
+        /**
+         * Identifies what the layer draws, for caching its pixels
+         */
+        key() {
+            return [isVisible, showsIndicatrices, gridStep, radiusKm, heatmap].join(" ");
+        },
+        on(type, callback) {
+            if (arguments.length < 2) return listeners.on(type);
+            listeners.on(type, callback);
+            return layer;
+        }
+    };
+    return layer;
+}
+
+/**
+ * Fills the canvas with square cells coloured by the scale factors at their centre.
+ *
+ * @param {CanvasRenderingContext2D|Object} context - Context to draw into
+ * @param {Object} projection - Projection the map is drawn with
+ * @param {string} heatmap - Key in DISTORTION_HEATMAPS
+ * @param {{width: number, height: number}} size - Area to cover, in pixels
+ * @param {number} cellSize - Cell width and height in pixels
+ * @param {Function} locate - Returns the [longitude, latitude] shown at a canvas point,
+ *     or null where no part of the world is shown
+ */
+export function renderDistortionHeatmap(context, projection, heatmap, { width, height }, cellSize, locate) {
+    const { value, color } = DISTORTION_HEATMAPS[heatmap];
+    for (let y = 0; y < height; y += cellSize) {
+        for (let x = 0; x < width; x += cellSize) {
+            const location = locate(x + cellSize / 2, y + cellSize / 2);
+            const scale = location && localScale(projection, location);
+            if (!scale) continue;
+            context.fillStyle = color(value(scale));
+            context.fillRect(x, y, cellSize, cellSize);
+        }
+    }
+}
@@ -0,0 +1,147 @@
+/**
+ * Dual view: maps shown side by side and linked, so that they centre the same place at
+ * the same zoom, mark the pointer of one with a crosshair on the others and share their
+ * country selection. By default a globe is shown next to a Mercator map.
+ */
+
+import { createGlobeMapper } from './globeMapper.js';
+import { mapCenterFromRotation, rotationFromMapCenter } from './projections.js';
+import { isGlobeNavigation } from './projectionView.js';
+import './dualView.css';
+
+const VIEW_TOLERANCE = 1e-9; // Largest difference of angles (degrees) and zoom factors between equal views
+let linkCount = 0; // Names the listeners of every link
+
+/**
+ * View of a map that shows the same place as another map's view. The centre goes through
+ * the globe rotation, so a globe following a flat map keeps its own roll.
+ *
+ * @param {Object} view - View of the map followed, as returned by getView()
+ * @param {Object} targetView - Current view of the map following it
+ * @returns {Object} Partial view for the following map's setView()
+ */
+function linkedView(view, targetView) {
+    if (!isGlobeNavigation(targetView.projection)) {
+        return { center: mapCenterFromRotation(view.rotation), zoom: view.zoom };
+    }
+    const rotation = isGlobeNavigation(view.projection) ?
+        view.rotation :
+        rotationFromMapCenter(mapCenterFromRotation(view.rotation), targetView.rotation[2]);
+    return { rotation, zoom: view.zoom };
+}
+
+function isSameView(view, otherView) {
+    if (!view || !otherView || view.projection !== otherView.projection) return false;
+    const values = [view.zoom, ...view.center, ...view.rotation];
+    const otherValues = [otherView.zoom, ...otherView.center, ...otherView.rotation];
+    return values.every((value, index) => Math.abs(value - otherValues[index]) <= VIEW_TOLERANCE);
+}
+
+/**
+ * Links maps made with createGlobeMapper: moving or zooming one of them moves the others
+ * to the same place, its pointer shows as a crosshair on the others, and selecting
+ * countries on one selects them on all. The maps start at the view of the first one.
+ *
+ * @param {Object[]} mappers - Maps returned by createGlobeMapper
+ * @returns {Function} Unlinks the maps
+ */
+export function linkGlobeMappers(mappers) {
+    const name = `link${++linkCount}`;
+    // View each map was last moved to, to tell it apart from the user's moves; null while a
+    // projection transition keeps the map from following
+    const appliedViews = new Map();
+    let latestChange = null; // Latest view the user moved a map to, as {mapper, view}
+    let isSyncingSelection = false;
+
+    const othersOf = mapper => mappers.filter(other => other !== mapper);
+    const follow = (target, view) => {
+        const { mapController } = target;
+        // Maps running a projection transition refuse the view and catch up once it ends
+        const isApplied = mapController.setView(linkedView(view, mapController.getView()));
+        appliedViews.set(target, isApplied ? mapController.getView() : null);
+    };
+    const handleViewChange = (mapper, view) => {
+        if (appliedViews.get(mapper) === null) return; // Morphing views, until the map catches up
+        if (isSameView(view, appliedViews.get(mapper))) {
+            appliedViews.delete(mapper);
+            return;
+        }
+        latestChange = { mapper, view };
+        for (const other of othersOf(mapper)) follow(other, view);
+    };
+
+    for (const mapper of mappers) {
+        mapper.mapController
+            .on(`change.${name}`, view => handleViewChange(mapper, view))
+            .on(`projection.${name}`, () => {
+                if (latestChange && latestChange.mapper !== mapper) follow(mapper, latestChange.view);
+            })
+            .on(`pointer.${name}`, location => {
+                for (const other of othersOf(mapper)) other.mapController.setCrosshair(location);
+            });
+        mapper.countrySelection.on(`change.${name}`, keys => {
+            if (isSyncingSelection) return;
+            isSyncingSelection = true;
+            for (const other of othersOf(mapper)) other.countrySelection.select(keys);
+            isSyncingSelection = false;
+        });
+    }
+
+    const [first] = mappers;
+    if (first) {
+        handleViewChange(first, first.mapController.getView());
+        first.countrySelection.select(first.countrySelection.keys());
+    }
+
+    return () => {
+        for (const mapper of mappers) {
+            mapper.mapController.on(`.${name}`, null).setCrosshair(null);
+            mapper.countrySelection.on(`.${name}`, null);
+        }
+    };
+}
+
+/**
+ * Creates linked maps side by side in a container element (stacked on narrow screens).
+ *
+ * @param {HTMLElement} container - Element the maps are rendered into
+ * @param {Object} [options] - Options of createGlobeMapper, shared by the maps
+ * @param {string[]} [options.projections] - Projection of each map, from left to right
+ * @param {boolean} [options.urlState=false] - Keep the first map's state in the page URL
+ * @returns {Object} Dual view: its root `element`, the `mappers` (see createGlobeMapper)
+ *     and `destroy()`, which unlinks and removes them
+ */
+export function createDualView(container, { projections = ["orthographic", "mercator"], urlState = false, ...options } = {}) {
+    if (!container) {
+        throw new Error("The dual view needs a container element");
+    }
+
+    const root = document.createElement("div");
+    root.className = "geodesic-dual-view";
+    container.append(root);
+
+    const mappers = [];
+    try {
+        projections.forEach((projection, index) => {
+            const pane = document.createElement("div");
+            pane.className = "geodesic-dual-pane";
+            root.append(pane);
+            mappers.push(createGlobeMapper(pane, { ...options, projection, urlState: urlState && index === 0 }));
+        });
+    } catch (error) {
+        for (const mapper of mappers) mapper.destroy();
+        root.remove();
+        throw error;
+    }
+    const unlink = linkGlobeMappers(mappers);
+
+    return {
+        element: root,
+        mappers,
+        destroy() {
+            unlink();
+            for (const mapper of mappers) mapper.destroy();
+            root.remove();
+        }
+    };
+}
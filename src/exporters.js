@@ -0,0 +1,325 @@
+/**
+ * Export helpers: an SVG drawing context that records canvas drawing calls as
+ * vector markup, GIF and WebM frame recorders, and file download.
+ */
+
+import * as d3 from 'd3';
+import { GIFEncoder, applyPalette, quantize } from 'gifenc';
+
+/**
+ * Export formats. Animated formats record a projection transition or a spin.
+ */
+export const EXPORT_FORMATS = {
+    png: { label: "PNG image", extension: "png", animated: false },
+    svg: { label: "SVG (vector)", extension: "svg", animated: false },
+    gif: { label: "Animated GIF", extension: "gif", animated: true, fps: 20 },
+    webm: { label: "WebM video", extension: "webm", animated: true, fps: 30 }
+};
+
+const COORDINATE_DIGITS = 2; // Hundredths of a pixel are below what any output device shows
+
+const round = value => +value.toFixed(COORDINATE_DIGITS);
+
+const TEXT_ANCHORS = { left: "start", start: "start", center: "middle", right: "end", end: "end" };
+const TEXT_BASELINES = {
+    top: "hanging",
+    hanging: "hanging",
+    middle: "middle",
+    alphabetic: "alphabetic",
+    ideographic: "ideographic",
+    bottom: "text-after-edge"
+};
+
+const escapeXml = text => String(text).replace(/[&<>"]/g, character =>
+    ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", "\"": "&quot;" })[character]);
+
+const formatAttributes = attributes => Object.entries(attributes)
+    .filter(([, value]) => value !== null && value !== undefined)
+    .map(([name, value]) => ` ${name}="${escapeXml(value)}"`)
+    .join("");
+
+/**
+ * Creates an object implementing the part of CanvasRenderingContext2D used by the map
+ * (paths, fill, stroke, gradients, clip, text, translate/scale, save/restore) that records the
+ * drawing as SVG. Paths are serialized with d3.pathRound, so a d3.geoPath bound to this
+ * context renders the same geometry, clipping and styles as on the canvas.
+ *
+ * @param {number} width - Width of the drawing in pixels
+ * @param {number} height - Height of the drawing in pixels
+ * @returns {Object} Context; `context.toString()` returns the SVG document
+ */
+export function createSvgContext(width, height) {
+    const definitions = [];
+    const elements = [];
+    const savedStates = [];
+    let path = d3.pathRound(COORDINATE_DIGITS);
+    let openGroups = 0; // <g> elements opened by clip() and transforms since the last save()
+    let clipCount = 0;
+    let gradientCount = 0;
+
+    function createGradient(element, attributes) {
+        const gradient = {
+            id: `gradient-${++gradientCount}`,
+            stops: [],
+            isDefined: false,
+            addColorStop(offset, color) {
+                gradient.stops.push(`<stop offset="${offset}" stop-color="${escapeXml(color)}"/>`);
+            },
+            toString() {
+                // Gradients are defined when first used, once all their stops are known
+                if (!gradient.isDefined) {
+                    definitions.push(`<${element} id="${gradient.id}"${formatAttributes({
+                        gradientUnits: "userSpaceOnUse",
+                        ...attributes
+                    })}>${gradient.stops.join("")}</${element}>`);
+                    gradient.isDefined = true;
+                }
+                return `url(#${gradient.id})`;
+            }
+        };
+        return gradient;
+    }
+
+    function paintAttributes(kind) {
+        const attributes = { opacity: context.globalAlpha < 1 ? context.globalAlpha : null };
+        if (kind === "fill") {
+            attributes.fill = String(context.fillStyle);
+        } else {
+            Object.assign(attributes, {
+                fill: "none",
+                stroke: String(context.strokeStyle),
+                "stroke-width": context.lineWidth,
+                "stroke-linejoin": context.lineJoin,
+                "stroke-linecap": context.lineCap,
+                "stroke-dasharray": context.lineDash.length > 0 ? context.lineDash.join(" ") : null
+            });
+        }
+        return attributes;
+    }
+
+    function openGroup(attributes) {
+        elements.push(`<g${formatAttributes(attributes)}>`);
+        openGroups++;
+    }
+
+    function closeGroups(count) {
+        for (let index = 0; index < count; index++) elements.push("</g>");
+    }
+
+    function text(kind, content, x, y) {
+        elements.push(`<text${formatAttributes({
+            x: round(x),
+            y: round(y),
+            style: `font: ${context.font}`,
+            "text-anchor": TEXT_ANCHORS[context.textAlign],
+            "dominant-baseline": TEXT_BASELINES[context.textBaseline],
+            ...paintAttributes(kind)
+        })}>${escapeXml(content)}</text>`);
+    }
+
+    const context = {
+        canvas: { width, height },
+        fillStyle: "#000000",
+        strokeStyle: "#000000",
+        lineWidth: 1,
+        lineJoin: "miter",
+        lineCap: "butt",
+        lineDash: [],
+        globalAlpha: 1,
+        font: "10px sans-serif",
+        textAlign: "start",
+        textBaseline: "alphabetic",
+
+        beginPath() {
+            path = d3.pathRound(COORDINATE_DIGITS);
+        },
+        moveTo: (x, y) => path.moveTo(x, y),
+        lineTo: (x, y) => path.lineTo(x, y),
+        closePath: () => path.closePath(),
+        arc: (x, y, radius, startAngle, endAngle, counterclockwise) =>
+            path.arc(x, y, radius, startAngle, endAngle, counterclockwise),
+        arcTo: (x1, y1, x2, y2, radius) => path.arcTo(x1, y1, x2, y2, radius),
+        quadraticCurveTo: (cpx, cpy, x, y) => path.quadraticCurveTo(cpx, cpy, x, y),
+        bezierCurveTo: (cpx1, cpy1, cpx2, cpy2, x, y) => path.bezierCurveTo(cpx1, cpy1, cpx2, cpy2, x, y),
+        rect: (x, y, rectWidth, rectHeight) => path.rect(x, y, rectWidth, rectHeight),
+        createLinearGradient: (x0, y0, x1, y1) =>
+            createGradient("linearGradient", { x1: round(x0), y1: round(y0), x2: round(x1), y2: round(y1) }),
+        createRadialGradient: (x0, y0, r0, x1, y1, r1) => createGradient("radialGradient", {
+            fx: round(x0),
+            fy: round(y0),
+            fr: round(r0),
+            cx: round(x1),
+            cy: round(y1),
+            r: round(r1)
+        }),
+
+        fill() {
+            const data = path.toString();
+            if (data) elements.push(`<path${formatAttributes({ d: data, ...paintAttributes("fill") })}/>`);
+        },
+        stroke() {
+            const data = path.toString();
+            if (data) elements.push(`<path${formatAttributes({ d: data, ...paintAttributes("stroke") })}/>`);
+        },
+        clip() {
+            const id = `clip-${++clipCount}`;
+            definitions.push(`<clipPath id="${id}"><path d="${path}"/></clipPath>`);
+            openGroup({ "clip-path": `url(#${id})` });
+        },
+        fillRect(x, y, rectWidth, rectHeight) {
+            elements.push(`<rect${formatAttributes({
+                x: round(x),
+                y: round(y),
+                width: round(rectWidth),
+                height: round(rectHeight),
+                ...paintAttributes("fill")
+            })}/>`);
+        },
+        clearRect() {
+            // The SVG starts out empty, and the map clears the whole drawing only before it starts
+        },
+        fillText: (content, x, y) => text("fill", content, x, y),
+        strokeText: (content, x, y) => text("stroke", content, x, y),
+        setLineDash(segments) {
+            context.lineDash = [...segments];
+        },
+        getLineDash: () => [...context.lineDash],
+
+        translate(x, y) {
+            openGroup({ transform: `translate(${round(x)},${round(y)})` });
+        },
+        scale(x, y) {
+            openGroup({ transform: `scale(${x},${y})` });
+        },
+        save() {
+            const { fillStyle, strokeStyle, lineWidth, lineJoin, lineCap, lineDash, globalAlpha, font, textAlign, textBaseline } = context;
+            savedStates.push({
+                style: { fillStyle, strokeStyle, lineWidth, lineJoin, lineCap, lineDash, globalAlpha, font, textAlign, textBaseline },
+                openGroups
+            });
+            openGroups = 0;
+        },
+        restore() {
+            const saved = savedStates.pop();
+            if (!saved) return;
+            closeGroups(openGroups);
+            Object.assign(context, saved.style);
+            openGroups = saved.openGroups;
+        },
+
+        toString() {
+            const unclosedGroups = openGroups + d3.sum(savedStates, state => state.openGroups);
+            return [
+                `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+                `<defs>${definitions.join("")}</defs>`,
+                ...elements,
+                ...Array(unclosedGroups).fill("</g>"),
+                "</svg>"
+            ].join("\n");
+        }
+    };
+    return context;
+}
+
+/**
+ * Encodes the content of a canvas as an image file.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas to encode
+ * @param {string} [type="image/png"] - Image MIME type
+ * @returns {Promise<Blob>} Image file
+ */
+export function canvasToBlob(canvas, type = "image/png") {
+    return new Promise((resolve, reject) => {
+        canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error("The canvas could not be encoded")), type);
+    });
+}
+
+/**
+ * Saves a file through the browser's download mechanism.
+ *
+ * @param {Blob} blob - File content
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    // Revoking right away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Records the frames drawn on a canvas as an animated GIF. Every frame gets its own
+ * 256-colour palette.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas the frames are drawn on
+ * @param {number} fps - Frames per second
+ * @returns {{addFrame: Function, finish: Function}} `addFrame()` encodes the frame drawn
+ *     last and resolves once the browser had a chance to update the page;
+ *     `finish()` resolves to the GIF file
+ */
+export function createGifRecorder(canvas, fps) {
+    const context = canvas.getContext("2d");
+    const encoder = GIFEncoder();
+    const delay = Math.round(1000 / fps);
+
+    return {
+        addFrame() {
+            const { data, width, height } = context.getImageData(0, 0, canvas.width, canvas.height);
+            const palette = quantize(data, 256);
+            encoder.writeFrame(applyPalette(data, palette), width, height, { palette, delay });
+            return new Promise(resolve => setTimeout(resolve));
+        },
+        finish() {
+            encoder.finish();
+            return Promise.resolve(new Blob([encoder.bytes()], { type: "image/gif" }));
+        }
+    };
+}
+
+/**
+ * Records the frames drawn on a canvas as a WebM video with MediaRecorder. Frames are
+ * captured on request and paced in real time, since the recorder timestamps them as they come.
+ *
+ * @param {HTMLCanvasElement} canvas - Canvas the frames are drawn on
+ * @param {number} fps - Frames per second
+ * @returns {{addFrame: Function, finish: Function}} `addFrame()` resolves when the next frame
+ *     may be drawn; `finish()` resolves to the video file
+ */
+export function createWebmRecorder(canvas, fps) {
+    if (typeof MediaRecorder === "undefined" || !canvas.captureStream) {
+        throw new Error("This browser cannot record video from a canvas");
+    }
+    const mimeType = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm"]
+        .find(type => MediaRecorder.isTypeSupported(type));
+    if (!mimeType) {
+        throw new Error("This browser cannot encode WebM video");
+    }
+
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8e6 });
+    const chunks = [];
+    recorder.addEventListener("dataavailable", event => chunks.push(event.data));
+    const recording = new Promise((resolve, reject) => {
+        recorder.addEventListener("stop", () => resolve(new Blob(chunks, { type: "video/webm" })));
+        recorder.addEventListener("error", event => reject(event.error));
+    });
+    recorder.start();
+
+    return {
+        addFrame() {
+            track.requestFrame();
+            return new Promise(resolve => setTimeout(resolve, 1000 / fps));
+        },
+        finish() {
+            recorder.stop();
+            track.stop();
+            return recording;
+        }
+    };
+}
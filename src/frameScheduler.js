@@ -0,0 +1,119 @@
+/**
+ * Frame scheduling: one requestAnimationFrame loop that steps the running animations
+ * and redraws at most once per frame, however many changes were requested in between,
+ * plus frame time statistics for the performance overlay.
+ */
+
+import * as d3 from 'd3';
+
+/**
+ * Creates a frame scheduler.
+ * Animations are named step functions called once per frame with the frame timestamp;
+ * they keep running while they return true. Starting an animation under a running
+ * animation's name replaces it.
+ *
+ * @param {Function} render - Draws a frame; called with the frame timestamp
+ * @returns {Object} Scheduler
+ */
+export function createFrameScheduler(render) {
+    const animations = new Map();
+    let frameId = null;
+    let isDirty = false;
+
+    function schedule() {
+        if (frameId === null) frameId = requestAnimationFrame(runFrame);
+    }
+
+    function runFrame(timestamp) {
+        frameId = null;
+        for (const [name, step] of [...animations]) {
+            // An earlier step may have stopped or replaced this animation
+            if (animations.get(name) !== step) continue;
+            if (!step(timestamp) && animations.get(name) === step) animations.delete(name);
+        }
+        if (isDirty) {
+            isDirty = false;
+            render(timestamp);
+        }
+        if (animations.size > 0) schedule();
+    }
+
+    const scheduler = {
+        /**
+         * Requests a redraw in the next frame.
+         */
+        invalidate() {
+            isDirty = true;
+            schedule();
+            return scheduler;
+        },
+        /**
+         * Redraws right away if a redraw is pending, e.g. after resizing the canvas,
+         * which clears it.
+         */
+        flush() {
+            if (isDirty) {
+                isDirty = false;
+                render(performance.now());
+            }
+            return scheduler;
+        },
+        animate(name, step) {
+            animations.set(name, step);
+            schedule();
+            return scheduler;
+        },
+        stop(name) {
+            animations.delete(name);
+            return scheduler;
+        },
+        isAnimating(name) {
+            return animations.has(name);
+        },
+        /**
+         * Stops all animations and drops the pending frame, e.g. when the map is removed.
+         */
+        cancel() {
+            animations.clear();
+            isDirty = false;
+            if (frameId !== null) cancelAnimationFrame(frameId);
+            frameId = null;
+            return scheduler;
+        }
+    };
+    return scheduler;
+}
+
+/**
+ * Collects the start time and duration of rendered frames over a sliding time window.
+ *
+ * @param {number} [windowDuration=1000] - Length of the window in ms
+ * @returns {{record: Function, summary: Function}} Statistics
+ */
+export function createFrameStats(windowDuration = 1000) {
+    const frames = [];
+
+    const dropOldFrames = now => {
+        while (frames.length > 0 && frames[0].time < now - windowDuration) frames.shift();
+    };
+
+    return {
+        record(time, duration) {
+            frames.push({ time, duration });
+            dropOldFrames(time);
+        },
+        /**
+         * @param {number} now - Current time in ms
+         * @returns {{fps: number, averageFrameTime: number, maxFrameTime: number}} Frame rate and
+         *     render durations in ms over the window (0 when no frame was rendered)
+         */
+        summary(now) {
+            dropOldFrames(now);
+            return {
+                fps: frames.length * 1000 / windowDuration,
+                averageFrameTime: d3.mean(frames, frame => frame.duration) ?? 0,
+                maxFrameTime: d3.max(frames, frame => frame.duration) ?? 0
+            };
+        }
+    };
+}
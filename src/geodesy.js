@@ -0,0 +1,153 @@
+/**
+ * Spherical geodesy helpers: great-circle and rhumb-line distances and bearings,
+ * plus coordinate formatting.
+ * All locations are [longitude, latitude] pairs in degrees.
+ */
+
+import * as d3 from 'd3';
+
+/**
+ * Mean Earth radius in kilometres (IUGG).
+ */
+export const EARTH_RADIUS_KM = 6371.0088;
+
+/**
+ * Distance units available for readouts, with their size in kilometres.
+ */
+export const DISTANCE_UNITS = {
+    km: { label: "km", kilometres: 1 },
+    nm: { label: "nm", kilometres: 1.852 },
+    mi: { label: "mi", kilometres: 1.609344 }
+};
+
+const toRadians = degrees => degrees * Math.PI / 180;
+const toDegrees = radians => radians * 180 / Math.PI;
+
+/**
+ * Great-circle distance between two locations.
+ *
+ * @param {number[]} start - [longitude, latitude] in degrees
+ * @param {number[]} end - [longitude, latitude] in degrees
+ * @returns {number} Distance in kilometres
+ */
+export function greatCircleDistance(start, end) {
+    return d3.geoDistance(start, end) * EARTH_RADIUS_KM;
+}
+
+/**
+ * Initial bearing of the great circle from `start` to `end`.
+ *
+ * @param {number[]} start - [longitude, latitude] in degrees
+ * @param {number[]} end - [longitude, latitude] in degrees
+ * @returns {number} Bearing in degrees clockwise from north, in [0, 360)
+ */
+export function initialBearing(start, end) {
+    const phi1 = toRadians(start[1]);
+    const phi2 = toRadians(end[1]);
+    const deltaLambda = toRadians(end[0] - start[0]);
+
+    const y = Math.sin(deltaLambda) * Math.cos(phi2);
+    const x = Math.cos(phi1) * Math.sin(phi2) - Math.sin(phi1) * Math.cos(phi2) * Math.cos(deltaLambda);
+    return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+}
+
+/**
+ * Bearing of the great circle on arrival at `end` when travelling from `start`.
+ *
+ * @param {number[]} start - [longitude, latitude] in degrees
+ * @param {number[]} end - [longitude, latitude] in degrees
+ * @returns {number} Bearing in degrees clockwise from north, in [0, 360)
+ */
+export function finalBearing(start, end) {
+    return (initialBearing(end, start) + 180) % 360;
+}
+
+/**
+ * Distance along the rhumb line (loxodrome, constant bearing) between two locations.
+ *
+ * @param {number[]} start - [longitude, latitude] in degrees
+ * @param {number[]} end - [longitude, latitude] in degrees
+ * @returns {number} Distance in kilometres
+ */
+export function rhumbLineDistance(start, end) {
+    const phi1 = toRadians(start[1]);
+    const phi2 = toRadians(end[1]);
+    const deltaPhi = phi2 - phi1;
+    let deltaLambda = toRadians(end[0] - start[0]);
+
+    // Take the shorter way around the antimeridian
+    if (Math.abs(deltaLambda) > Math.PI) {
+        deltaLambda -= Math.sign(deltaLambda) * 2 * Math.PI;
+    }
+
+    // Stretched latitude difference; falls back to cos(phi) on east-west lines
+    const deltaPsi = Math.log(Math.tan(Math.PI / 4 + phi2 / 2) / Math.tan(Math.PI / 4 + phi1 / 2));
+    const q = Math.abs(deltaPsi) > 1e-12 ? deltaPhi / deltaPsi : Math.cos(phi1);
+
+    return Math.hypot(deltaPhi, q * deltaLambda) * EARTH_RADIUS_KM;
+}
+
+/**
+ * Measures every segment of a route through two or more locations.
+ *
+ * @param {number[][]} locations - Route vertices as [longitude, latitude] in degrees
+ * @returns {{segments: Object[], greatCircleTotal: number, rhumbLineTotal: number}}
+ *     Per-segment great-circle distance, rhumb-line distance and bearings, plus totals (kilometres)
+ */
+export function measureRoute(locations) {
+    const segments = d3.pairs(locations).map(([start, end]) => ({
+        start,
+        end,
+        greatCircleDistance: greatCircleDistance(start, end),
+        rhumbLineDistance: rhumbLineDistance(start, end),
+        initialBearing: initialBearing(start, end),
+        finalBearing: finalBearing(start, end)
+    }));
+
+    return {
+        segments,
+        greatCircleTotal: d3.sum(segments, segment => segment.greatCircleDistance),
+        rhumbLineTotal: d3.sum(segments, segment => segment.rhumbLineDistance)
+    };
+}
+
+/**
+ * Formats a distance for display.
+ *
+ * @param {number} kilometres - Distance in kilometres
+ * @param {string} unit - Key in DISTANCE_UNITS
+ * @returns {string} Formatted distance with unit label
+ */
+export function formatDistance(kilometres, unit) {
+    const { label, kilometres: unitSize } = DISTANCE_UNITS[unit];
+    return `${d3.format(",.1f")(kilometres / unitSize)} ${label}`;
+}
+
+function formatAngleDMS(angle, positiveHemisphere, negativeHemisphere) {
+    const totalSeconds = Math.round(Math.abs(angle) * 3600);
+    const degrees = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds % 3600 / 60);
+    const seconds = totalSeconds % 60;
+    const hemisphere = angle < 0 ? negativeHemisphere : positiveHemisphere;
+    return `${degrees}°${String(minutes).padStart(2, "0")}′${String(seconds).padStart(2, "0")}″${hemisphere}`;
+}
+
+/**
+ * Formats a location as degrees, minutes and seconds, latitude first (e.g., 51°30′27″N 0°07′40″W).
+ *
+ * @param {number[]} location - [longitude, latitude] in degrees
+ * @returns {string} Formatted location
+ */
+export function formatDMS([longitude, latitude]) {
+    return `${formatAngleDMS(latitude, "N", "S")} ${formatAngleDMS(longitude, "E", "W")}`;
+}
+
+/**
+ * Formats a location as signed decimal degrees, latitude first (e.g., 51.5074°, -0.1278°).
+ *
+ * @param {number[]} location - [longitude, latitude] in degrees
+ * @returns {string} Formatted location
+ */
+export function formatDecimalDegrees([longitude, latitude]) {
+    return `${latitude.toFixed(4)}°, ${longitude.toFixed(4)}°`;
+}
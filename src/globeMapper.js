@@ -0,0 +1,2776 @@
+/**
+ * GlobeMapper: the interactive map component, which smoothly transitions between
+ * orthographic (3D globe) and Mercator (2D map) projections. Every map renders its own
+ * canvas, controls and panels into a container and keeps its own view and layers, so
+ * several maps can live on one page.
+ */
+
+import * as d3 from 'd3';
+import { SCALE_TYPES, createChoroplethLayer, dataTableFormat, parseDataTable, renderLegend } from './choropleth.js';
+import { createCountrySelection } from './countrySelection.js';
+import { DISTANCE_UNITS, formatDecimalDegrees, formatDMS, formatDistance, measureRoute } from './geodesy.js';
+import { featureKey, findFeatureAt } from './hitTesting.js';
+import { fitFeatureView, interpolateFlight } from './camera.js';
+import { createFrameScheduler, createFrameStats } from './frameScheduler.js';
+import { createLayerCache, screenSimplification } from './layerCache.js';
+import { THEME_PRESETS, createMapTheme } from './themes.js';
+import { parseUrlState, serializeUrlState } from './urlState.js';
+import { EXPORT_FORMATS, canvasToBlob, createGifRecorder, createSvgContext, createWebmRecorder, downloadBlob } from './exporters.js';
+import { MARKER_ICONS, clusterMarkers, createMarkerLayer, markerFormat, parseMarkers, renderMarkers } from './markers.js';
+import { TWILIGHT_BANDS, createDayNightLayer, renderDayNight } from './solar.js';
+import { IMPORT_FORMATS, createImportedLayers, importFormat, parseGeoFile } from './importedLayers.js';
+import { GRATICULE_STEPS, LAYER_TYPES, createLayerStack } from './layerStack.js';
+import { TRACK_SPEEDS, TRAIL_LENGTHS, createTrackPlayer, parseTracks, renderTracks, trackFormat, trackPosition } from './tracks.js';
+import {
+    DISTORTION_HEATMAPS,
+    TISSOT_GRID_STEPS,
+    TISSOT_RADII_KM,
+    createDistortionLayer,
+    localScale,
+    renderDistortionHeatmap
+} from './distortion.js';
+import { dataSource as checkDataSource, loadGeoData } from './dataSources.js';
+import { WORLD_ATLAS_RESOLUTIONS, worldAtlasSource } from './worldAtlas.js';
+import { GLOBE_MAPPER_MARKUP } from './globeMapperMarkup.js';
+import {
+    PROJECTIONS,
+    createProjectionInterpolator,
+    fitProjection,
+    invertScreenPoint,
+    mapCenterFromRotation,
+    panMapCenterLatitude,
+    rotationFromMapCenter,
+    wrapLongitude
+} from './projections.js';
+import {
+    configureFrame,
+    drawFrame,
+    drawStackLayer,
+    handOverView,
+    isGlobeNavigation,
+    strokeWithStyle,
+    traceOutline,
+    visibleScreenPoint
+} from './projectionView.js';
+import {
+    cartesian,
+    interpolateVersors,
+    inverseVersor,
+    multiplyVersors,
+    northUpDragRotation,
+    rotationFromVersor,
+    scaleVersor,
+    versorAngle,
+    versorDelta,
+    versorFromRotation
+} from './versor.js';
+import './globeMapper.css';
+
+/**
+ * Creates a map in a container element, with its own canvas, controls and panels.
+ *
+ * @param {HTMLElement} container - Element the map is added to; the map fills it
+ * @param {Object} [options]
+ * @param {string} [options.projection="orthographic"] - Key in PROJECTIONS shown first
+ * @param {Object} [options.worldAtlasUrls] - URLs of the world atlas files the map shows and
+ *     switches between, by key in WORLD_ATLAS_RESOLUTIONS (e.g., BUNDLED_WORLD_ATLAS_URLS);
+ *     needed unless a data source is given
+ * @param {string} [options.resolution="110m"] - Key in WORLD_ATLAS_RESOLUTIONS loaded first
+ * @param {{url: string, objects?: string[]}} [options.dataSource] - TopoJSON or GeoJSON file
+ *     loaded instead of the world atlas (see dataSources.js)
+ * @param {string[]} [options.objects] - TopoJSON objects to render, of the data source or the
+ *     world atlas (["countries"] by default)
+ * @param {string} [options.theme="dark"] - Key in THEME_PRESETS
+ * @param {boolean} [options.urlState=false] - Keeps the view in the location hash and follows
+ *     the browser history; meant for a map that fills the page, at most one per page
+ * @returns {Object} Map, with its root `element`, the state objects described below, and
+ *     `destroy()` to remove it
+ */
+export function createGlobeMapper(container, {
+    projection = "orthographic",
+    worldAtlasUrls = null,
+    resolution = "110m",
+    dataSource = null,
+    objects,
+    theme = "dark",
+    urlState = false
+} = {}) {
+    if (!container) {
+        throw new Error("The map needs a container element");
+    }
+    if (!Object.hasOwn(PROJECTIONS, projection)) {
+        throw new Error(`Unknown projection "${projection}"`);
+    }
+    if (!Object.hasOwn(THEME_PRESETS, theme)) {
+        throw new Error(`Unknown theme "${theme}"`);
+    }
+    for (const atlasResolution of [resolution, ...Object.keys(worldAtlasUrls ?? {})]) {
+        if (!Object.hasOwn(WORLD_ATLAS_RESOLUTIONS, atlasResolution)) {
+            throw new Error(`Unknown world atlas resolution "${atlasResolution}"`);
+        }
+    }
+    if (!dataSource && !worldAtlasUrls) {
+        throw new Error("The map needs the URLs of the world atlas files (worldAtlasUrls) or a data source");
+    }
+    // Throws on invalid sources and object lists before anything is added to the page
+    const initialDataSource = checkDataSource(dataSource ?? worldAtlasSource(worldAtlasUrls, resolution), objects);
+
+    const root = document.createElement('div');
+    root.className = "geodesic-mapper";
+    root.innerHTML = GLOBE_MAPPER_MARKUP;
+    container.appendChild(root);
+    // Elements are found by class within the map, so several maps can share a page
+    const element = name => root.querySelector(`.${name}`);
+    // Removes the map's listeners on the window and the canvas when it is destroyed
+    const listenerController = new AbortController();
+    const { signal } = listenerController;
+
+    const globeCanvasWrapper = d3.select(element('globe-canvas-wrapper'));
+    const globeCanvas = d3.select(element('globe-canvas'));
+    const globeContext = globeCanvas.node().getContext('2d');
+    const projectionToggleButton = element('projection-toggle');
+    const projectionSelect = element('projection-select');
+    const resolutionSelect = element('resolution-select');
+    const themeSelect = element('theme-select');
+    const dataStatus = element('data-status');
+    const resetNorthButton = element('reset-north');
+    const northLockToggleButton = element('north-lock-toggle');
+    const routeToggleButton = element('route-toggle');
+    const routePanel = element('route-panel');
+    const routeUnitSelect = element('route-unit-select');
+    const routeClearButton = element('route-clear');
+    const routeSummary = element('route-summary');
+    const cursorReadout = element('cursor-readout');
+    const countryTooltip = element('country-tooltip');
+    const dataLayerToggleButton = element('data-layer-toggle');
+    const dataPanel = element('data-panel');
+    const dataFileInput = element('data-file');
+    const dataKeySelect = element('data-key-select');
+    const dataValueSelect = element('data-value-select');
+    const dataScaleSelect = element('data-scale-select');
+    const dataClearButton = element('data-clear');
+    const dataSummary = element('data-summary');
+    const legendCanvas = element('legend-canvas');
+    const markerToggleButton = element('marker-toggle');
+    const markerPanel = element('marker-panel');
+    const markerFileInput = element('marker-file');
+    const markerSizeSelect = element('marker-size-select');
+    const markerIconSelect = element('marker-icon-select');
+    const markerColorInput = element('marker-color');
+    const markerClusterCheckbox = element('marker-cluster');
+    const markerClearButton = element('marker-clear');
+    const markerSummary = element('marker-summary');
+    const exportToggleButton = element('export-toggle');
+    const exportPanel = element('export-panel');
+    const exportFormatSelect = element('export-format-select');
+    const exportScaleSelect = element('export-scale-select');
+    const exportAnimationSelect = element('export-animation-select');
+    const exportStartButton = element('export-start');
+    const exportSummary = element('export-summary');
+    const dayNightToggleButton = element('day-night-toggle');
+    const dayNightPanel = element('day-night-panel');
+    const dayNightNowCheckbox = element('day-night-now');
+    const dayNightDateInput = element('day-night-date');
+    const dayNightTimeSlider = element('day-night-time');
+    const dayNightBands = element('day-night-bands');
+    const dayNightSummary = element('day-night-summary');
+    const layerToggleButton = element('layer-toggle');
+    const layerPanel = element('layer-panel');
+    const layerAddSelect = element('layer-add-select');
+    const layerResetButton = element('layer-reset');
+    const layerList = element('layer-list');
+    const importFileInput = element('import-file');
+    const importSummary = element('import-summary');
+    const distortionToggleButton = element('distortion-toggle');
+    const distortionPanel = element('distortion-panel');
+    const distortionTissotCheckbox = element('distortion-tissot');
+    const distortionStepSelect = element('distortion-step-select');
+    const distortionRadiusSelect = element('distortion-radius-select');
+    const distortionHeatmapSelect = element('distortion-heatmap-select');
+    const distortionSummary = element('distortion-summary');
+    const trackToggleButton = element('track-toggle');
+    const trackPanel = element('track-panel');
+    const trackFileInput = element('track-file');
+    const trackClearButton = element('track-clear');
+    const trackPlayButton = element('track-play');
+    const trackTimeSlider = element('track-time');
+    const trackTimeLabel = element('track-time-label');
+    const trackSpeedSelect = element('track-speed-select');
+    const trackTrailSelect = element('track-trail-select');
+    const trackFollowSelect = element('track-follow-select');
+    const trackSummary = element('track-summary');
+    const frameStatsOverlay = element('frame-stats');
+
+    /**
+     * Countries selected on the globe. Other parts of the app can read and change the
+     * selection, and listen to it with `countrySelection.on("change.<name>", callback)`.
+     */
+    const countrySelection = createCountrySelection();
+
+    /**
+     * Choropleth layer colouring countries by a joined data table. Other parts of the app can
+     * load tables into it with `choroplethLayer.setTable(rows, options)`.
+     */
+    const choroplethLayer = createChoroplethLayer();
+
+    /**
+     * Point markers drawn on top of the map. Other parts of the app can plot points with
+     * `markerLayer.add([{location: [longitude, latitude], label, color, icon, value}])`.
+     */
+    const markerLayer = createMarkerLayer();
+
+    /**
+     * Order, visibility, opacity and settings of the map layers. Other parts of the app can
+     * save the stack with `layerStack.state()` and bring it back with `layerStack.restore(state)`.
+     */
+    const layerStack = createLayerStack();
+
+    /**
+     * Playback of timestamped tracks. Other parts of the app can load tracks with
+     * `trackPlayer.add(tracks)` and drive the timeline with `play`, `pause` and `setTime`.
+     */
+    const trackPlayer = createTrackPlayer();
+
+    /**
+     * Layers imported from the user's GeoJSON, TopoJSON, KML and GPX files. Other parts of the
+     * app can add GeoJSON with `importedLayers.add(name, featureCollection)`; the features
+     * must follow d3's winding order (see parseGeoFile in importedLayers.js).
+     */
+    const importedLayers = createImportedLayers();
+
+    /**
+     * Night shading and sun position. Other parts of the app can show the daylight at a given
+     * time with `dayNightLayer.setVisible(true).setTime(Date.UTC(2024, 5, 21, 12))`.
+     */
+    const dayNightLayer = createDayNightLayer();
+
+    /**
+     * Tissot's indicatrices and distortion heatmap. Other parts of the app can show them with
+     * `distortionLayer.setVisible(true).setHeatmap("area")`.
+     */
+    const distortionLayer = createDistortionLayer();
+
+    /**
+     * Colours and line styles of the map layers. Other parts of the app can switch presets with
+     * `mapTheme.setPreset("light")` or adjust layers with `mapTheme.set({land: {fill: "#557755"}})`.
+     */
+    const mapTheme = createMapTheme(theme);
+
+    /**
+     * Camera controller for driving the view from other parts of the app: `flyTo`, `fitBounds`,
+     * `setProjection`, `getView`, `setView`, `setCrosshair` and `setDataSource`. Listeners
+     * registered with `on("change", callback)` receive the view whenever it changes,
+     * `on("projection", callback)` fires when a projection change completes and
+     * `on("pointer", callback)` receives the location under the pointer (null when off the world).
+     */
+    let mapController = null; // Assigned once the view functions below are defined
+
+    let globeProjection;
+    let worldCountries = null;
+    let currentDataSource = initialDataSource;
+    let dataLoadId = 0; // Identifies the latest data request so stale responses are ignored
+
+    const ORTHOGRAPHIC_ROTATION = [10, -20, 0];
+    let canvasSize = { width: 0, height: 0, pixelRatio: 1 }; // Canvas size in CSS pixels, and backing store pixels per CSS pixel
+    let projectionFits = {}; // Fitted scale, translation and viewport of every projection for the current canvas size
+
+    let zoom; // To handle zoom functionality
+    let currentZoomTransform = d3.zoomIdentity;
+    const ZOOM_EXTENT = [0.8, 10];
+
+    let isProjectionTransitioning = false;
+    let currentTransitionProgress = 0; // Progress of the transition shown on screen, between 0 and 1
+    const TRANSITION_DURATION = 1500; // ms
+    let currentProjectionName = projection;
+    let previousProjectionName = projection === "mercator" ? "orthographic" : "mercator"; // Target of the toggle button
+    // Projections blended by globeProjection; both equal currentProjectionName when no transition runs
+    let morphSource = currentProjectionName;
+    let morphTarget = currentProjectionName;
+    
+    // Variables for handling rotation and dragging
+    let isDragging = false;
+    let dragStart = null;
+    let dragStartRotation = null; // Globe rotation when the drag started
+    let dragStartLocation = null; // [longitude, latitude] grabbed by the drag, kept under the pointer
+    let currentRotation = [...ORTHOGRAPHIC_ROTATION];
+    let isNorthUpLocked = false; // Keeps the roll angle at 0 so north stays up on globes
+    const NORTH_RESET_DURATION = 600; // ms
+    // [longitude, latitude] shown at the canvas centre by flat (pan-navigated) projections
+    let mapCenter = [-ORTHOGRAPHIC_ROTATION[0], 0];
+    let currentViewport = null; // Viewport clip rectangle of the last configured frame
+    
+    // Variables for handling inertia
+    let rotationVelocity = [1, 0, 0, 0]; // Globe rotation per frame, as a versor
+    let mapPanVelocity = 0; // Horizontal flat map panning speed in pixels per frame
+    let lastDragTime = null;
+    const FRICTION = 0.95; // Decay factor (0-1)
+    const MIN_VELOCITY = 0.01; // Minimum velocity before stopping
+
+    // Variables for multi-touch gestures
+    const activePointers = new Map(); // Client positions of the pointers pressed on the canvas, by pointer ID
+    let pinchGesture = null; // Distance, angle and midpoint of the two-finger gesture at its previous step
+    let zoomAnchorPoint = null; // Canvas point kept in place by programmatic zooms (pinch)
+
+    // Variables for keyboard navigation
+    const KEYBOARD_ROTATION_STEP = 5; // Degrees per arrow key press on globes, at zoom 1
+    const KEYBOARD_PAN_STEP = 40; // Pixels per arrow key press on flat maps
+    const KEYBOARD_ZOOM_FACTOR = 1.25; // Zoom change per +/- key press
+
+    // Variables for the great-circle route drawing tool
+    let isRouteMode = false;
+    let routePoints = []; // Route vertices as [longitude, latitude]
+    let pointerDownPosition = null; // Used to tell clicks apart from drags
+    const CLICK_TOLERANCE = 4; // Maximum pointer travel (px) for a press to count as a click
+
+    let hoveredCountry = null; // Feature of worldCountries under the pointer
+    let crosshairLocation = null; // [longitude, latitude] marked with a crosshair, e.g. the pointer on a linked map
+    let isDestroyed = false;
+    let resizeObserver = null; // Fits the canvas to its wrapper
+
+    const viewEvents = d3.dispatch("change", "projection", "pointer");
+    let lastNotifiedView = null;
+    let resolveFlight = null; // Settles the promise of the running flight
+    let projectionRequestId = 0; // Names the one-off listeners of setProjection promises
+
+    // Variables for the shareable URL state
+    let urlUpdateTimeoutId = null;
+    let lastUrlHash = null; // Hash of the latest history entry written or restored
+    const URL_UPDATE_DELAY = 500; // Idle time (ms) after which a changed view becomes a history entry
+
+    // Variables for frame scheduling and rendering detail
+    const frameScheduler = createFrameScheduler(renderScheduledFrame);
+    const IDLE_PRECISION = 0.1; // Resampling precision in pixels of settled frames
+    const MOVING_PRECISION = 1; // Resampling precision in pixels of frames drawn while the view moves
+    const simplifyMovingFrame = screenSimplification(1); // Drops outline points closer than 1 px while moving
+    const SETTLE_DELAY = 150; // Time (ms) without view changes after which a full-detail frame is drawn
+    let lastRenderedViewKey = null; // Projection state of the last frame drawn on screen
+    let isLastFrameReduced = false; // Whether the last frame on screen was drawn with reduced detail
+    let settleTimeoutId = null;
+    const stackLayerCaches = []; // One cache per run of consecutive layers in the layer stack
+    const distortionLayerCache = createLayerCache();
+    let importedLayerVersion = 0; // Incremented when imported layers change
+    const HEATMAP_CELL_SIZE = 6; // Heatmap cell size in pixels of settled frames
+    const MOVING_HEATMAP_CELL_SIZE = 12; // Heatmap cell size in pixels of frames drawn while the view moves
+    let landLayerVersion = 0; // Incremented when the countries or their colours change
+    const frameStats = createFrameStats();
+    let frameStatsIntervalId = null;
+
+    // Variables for image and animation export
+    const EXPORT_SCALES = [1, 2, 4]; // Export resolutions as multiples of the canvas size
+    const SPIN_DURATION = 6000; // Duration of a recorded full turn, in ms
+    let isExporting = false;
+
+    const MARKER_CLUSTER_RADIUS = 24; // Markers closer than this on screen (px) are drawn as one cluster
+    let markerImportNote = ""; // Outcome of the last marker file import, shown in the marker panel
+
+    let trackImportNote = ""; // Outcome of the last track file import, shown in the track panel
+    let lastPlaybackTimestamp = null; // Frame timestamp of the last playback step
+    const MAX_PLAYBACK_STEP = 250; // Longest real time (ms) a frame advances the playback, e.g. after a hidden tab
+    const formatTrackTime = d3.utcFormat("%Y-%m-%d %H:%M:%S UTC");
+
+    let importNotes = []; // Outcome of the last file import, as {text, kind} shown in the layer panel
+    let draggedLayerId = null; // Layer being reordered by dragging its row in the layer panel
+    const DEFAULT_LAYER_STACK_STATE = createLayerStack().state();
+
+    // Variables for the day and night layer
+    let isSunClockLive = true; // Keeps the layer at the current time
+    let sunClockIntervalId = null;
+    const SUN_CLOCK_INTERVAL = 60000; // ms between updates of the live time
+
+    /**
+     * Pans the flat map view by a screen distance. Horizontal panning wraps around the
+     * antimeridian; vertical panning stops at the map's latitude bounds.
+     *
+     * @param {number} dx - Horizontal distance in pixels (positive moves the map right)
+     * @param {number} dy - Vertical distance in pixels (positive moves the map down)
+     */
+    function panMapView(dx, dy) {
+        const fit = projectionFits[currentProjectionName];
+        const worldWidth = fit.worldWidth * currentZoomTransform.k;
+        mapCenter = [
+            wrapLongitude(mapCenter[0] - dx / worldWidth * 360),
+            panMapCenterLatitude(
+                currentProjectionName,
+                mapCenter[1],
+                dy,
+                fit.scale * currentZoomTransform.k,
+                canvasSize.height
+            )
+        ];
+    }
+
+    /**
+     * Sizes the canvas to its wrapper. The backing store holds devicePixelRatio pixels per
+     * CSS pixel so the map stays sharp on high-density screens, while drawing and pointer
+     * handling keep working in CSS pixels. Projections are refitted to the new size; the
+     * rotation, zoom and flat map centre carry over, so the same view stays in place.
+     */
+    function handleCanvasResize() {
+        const newCanvasWidth = globeCanvasWrapper.node().clientWidth;
+        const newCanvasHeight = globeCanvasWrapper.node().clientHeight;
+        const newPixelRatio = window.devicePixelRatio || 1;
+
+        if (canvasSize.width === newCanvasWidth && canvasSize.height === newCanvasHeight &&
+            canvasSize.pixelRatio === newPixelRatio) return;
+
+        canvasSize = { width: newCanvasWidth, height: newCanvasHeight, pixelRatio: newPixelRatio };
+        globeCanvas
+            .attr("width", Math.round(newCanvasWidth * newPixelRatio))
+            .attr("height", Math.round(newCanvasHeight * newPixelRatio))
+            .style("width", `${newCanvasWidth}px`)
+            .style("height", `${newCanvasHeight}px`);
+        // Resizing the backing store resets the context, including its transform
+        globeContext.setTransform(newPixelRatio, 0, 0, newPixelRatio, 0, 0);
+
+        projectionFits = Object.fromEntries(Object.keys(PROJECTIONS).map(projectionName =>
+            [projectionName, fitProjection(projectionName, newCanvasWidth, newCanvasHeight)]
+        ));
+
+        if (!globeProjection) {
+            const currentRaw = PROJECTIONS[currentProjectionName].raw;
+            globeProjection = createProjectionInterpolator(currentRaw, currentRaw)
+                .precision(IDLE_PRECISION);
+        }
+
+        // A shorter canvas shows more of a flat map, which may move its latitude bounds into view
+        if (!isGlobeNavigation(currentProjectionName)) {
+            mapCenter[1] = panMapCenterLatitude(
+                currentProjectionName,
+                mapCenter[1],
+                0,
+                projectionFits[currentProjectionName].scale * currentZoomTransform.k,
+                newCanvasHeight
+            );
+        }
+
+        // Resizing cleared the canvas, so draw the frame now rather than in the next animation frame
+        requestRender();
+        frameScheduler.flush();
+    }
+
+    /**
+     * Follows devicePixelRatio changes, e.g. when the window moves to another screen or
+     * the page is zoomed, which resize the backing store without resizing the wrapper.
+     */
+    function watchPixelRatio() {
+        window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`)
+            .addEventListener('change', () => {
+                handleCanvasResize();
+                watchPixelRatio();
+            }, { once: true, signal });
+    }
+
+    /**
+     * Sets the rotation, scale and translation of globeProjection for a point of the
+     * transition between the morph source and target, and updates the viewport clip
+     * rectangle of projections with latitude bounds.
+     *
+     * @param {number} [transitionProgress=0] - Value between 0 (morph source) and 1 (morph target)
+     * @returns {Object} Frame to draw (see configureFrame)
+     */
+    function configureProjection(transitionProgress = 0) {
+        const frame = configureFrame(globeProjection, {
+            source: morphSource,
+            target: morphTarget,
+            view: { rotation: currentRotation, center: mapCenter, zoom: currentZoomTransform.k },
+            fits: projectionFits,
+            width: canvasSize.width,
+            height: canvasSize.height
+        }, transitionProgress);
+        currentViewport = frame.viewport;
+        return frame;
+    }
+
+    /**
+     * Renders a single frame of the globe/map visualization.
+     * Handles the smooth transition between the morph source and target projections by:
+     * 1. Interpolating projection parameters (rotation, scale, translation)
+     * 2. Applying appropriate clipping for different projection stages
+     * 3. Rendering geographic features in the correct order
+     *
+     * Frames drawn while the view moves use a coarser resampling precision and simplified
+     * outlines; a full-detail frame follows once the view has settled. The country and grid
+     * layers of settled frames are cached offscreen, so hover and selection changes only
+     * redraw what is on top of them.
+     *
+     * Exports render the same frame into another context: a scaled canvas context for
+     * high-resolution images, or an SVG context (see exporters.js) for vector output.
+     * Exported frames get an opaque background, full detail, and leave out the hover highlight.
+     * 
+     * @param {number} [transitionProgress=0] - Value between 0 (morph source) and 1 (morph target)
+     * @param {CanvasRenderingContext2D|Object} [context=globeContext] - Context to draw into,
+     *     in the coordinates of the globe canvas
+     */
+    function renderProjectionFrame(transitionProgress = 0, context = globeContext) {
+        const { width: canvasWidth, height: canvasHeight } = canvasSize;
+        const isExport = context !== globeContext;
+
+        const frame = configureProjection(transitionProgress);
+        const viewKey = [
+            globeProjection.rotate(),
+            globeProjection.scale(),
+            globeProjection.translate(),
+            morphSource,
+            morphTarget,
+            transitionProgress,
+            canvasWidth,
+            canvasHeight,
+            canvasSize.pixelRatio
+        ].join(" ");
+        const isMoving = !isExport && viewKey !== lastRenderedViewKey;
+        const style = mapTheme.style();
+        if (!isExport) {
+            lastRenderedViewKey = viewKey;
+            isLastFrameReduced = isMoving;
+            clearTimeout(settleTimeoutId);
+            if (isMoving) settleTimeoutId = setTimeout(requestRender, SETTLE_DELAY);
+        }
+
+        globeProjection.precision(isMoving ? MOVING_PRECISION : IDLE_PRECISION);
+        const projection = isMoving ?
+            { stream: output => globeProjection.stream(simplifyMovingFrame(output)) } :
+            globeProjection;
+        const path = d3.geoPath(projection, context);
+        const drawLayer = (cache, key, draw) => {
+            if (isExport || isMoving) {
+                draw(context, path);
+            } else {
+                cache.draw(context, key, canvasSize, cacheContext => draw(cacheContext, d3.geoPath(projection, cacheContext)));
+            }
+        };
+        const layerContent = {
+            style,
+            countries: worldCountries,
+            colorFor: choroplethLayer.isActive() ? feature => choroplethLayer.colorFor(feature) : null,
+            drawNight: dayNightLayer.isVisible() ?
+                (nightContext, nightPath) => renderDayNight(nightContext, nightPath, dayNightLayer, style) :
+                null,
+            importedLayer: id => importedLayers.get(id)
+        };
+        const layers = [];
+
+        // Stack layers are drawn from the bottom up. Runs of layers between the country
+        // overlays share a cache, so an idle frame copies at most two images. Distortion,
+        // selection and hover go right above the countries, or at the bottom without them.
+        const drawnEntries = layerStack.entries().filter(entry => entry.visible && entry.opacity > 0);
+        const countriesIndex = drawnEntries.findIndex(entry => entry.type === "countries");
+        const runs = [drawnEntries.slice(0, countriesIndex + 1), drawnEntries.slice(countriesIndex + 1)];
+        runs.forEach((entries, runIndex) => {
+            if (runIndex === 1) {
+                layers.push({
+                    clip: "land",
+                    draw: () => {
+                        if (distortionLayer.isVisible()) {
+                            const cellSize = isMoving ? MOVING_HEATMAP_CELL_SIZE : HEATMAP_CELL_SIZE;
+                            drawLayer(distortionLayerCache, `${viewKey} ${distortionLayer.key()}`, (layerContext, layerPath) =>
+                                drawDistortion(layerContext, layerPath, frame, cellSize));
+                        }
+                        drawCountryHighlights(context, path, isExport);
+                    }
+                });
+            }
+            if (entries.length === 0) return;
+            stackLayerCaches[runIndex] ??= createLayerCache();
+            const key = [viewKey, ...entries.map(stackLayerKey)].join(" ");
+            layers.push({
+                draw: () => drawLayer(stackLayerCaches[runIndex], key, (layerContext, layerPath) => {
+                    for (const entry of entries) drawStackLayer(layerContext, layerPath, frame, entry, layerContent);
+                })
+            });
+        });
+
+        if (routePoints.length > 0 && style.route) {
+            layers.push({
+                clip: "overlay",
+                draw: () => {
+                    // LineStrings are resampled along great circles, so the route stays geodesic in every projection
+                    context.beginPath();
+                    path({ type: "LineString", coordinates: routePoints });
+                    strokeWithStyle(context, style.route);
+
+                    context.beginPath();
+                    path.pointRadius(style.route.vertexRadius)({ type: "MultiPoint", coordinates: routePoints });
+                    context.fillStyle = style.route.vertexFill;
+                    context.fill();
+                }
+            });
+        }
+
+        if (trackPlayer.tracks().length > 0 && style.tracks) {
+            // Tracks move over the surface, so they hide behind the horizon like the land
+            layers.push({ clip: "land", draw: () => renderTracks(context, path, trackPlayer, style.tracks) });
+        }
+
+        layers.push({
+            draw: () => {
+                drawMarkers(context, frame.clipAngles.land);
+                if (!isExport) drawCrosshair(context, frame.clipAngles.land);
+            }
+        });
+
+        drawFrame(context, frame, layers, isExport ? style.background : null);
+        if (!isExport) notifyViewChange();
+    }
+
+    /**
+     * Draws the distortion heatmap, clipped to the outline of the world, and Tissot's
+     * indicatrices. Both go through the projection of the frame, so they follow the transition.
+     *
+     * @param {Object} frame - Frame returned by configureFrame
+     * @param {number} cellSize - Heatmap cell size in pixels
+     */
+    function drawDistortion(context, path, frame, cellSize) {
+        const style = mapTheme.style();
+        const heatmap = distortionLayer.heatmap();
+        if (heatmap && style.heatmap) {
+            context.save();
+            context.beginPath();
+            traceOutline(context, path, frame);
+            context.clip();
+            context.globalAlpha *= style.heatmap.opacity;
+            renderDistortionHeatmap(context, globeProjection, heatmap, canvasSize, cellSize, screenToSphere);
+            context.restore();
+        }
+
+        if (distortionLayer.showsIndicatrices() && style.tissot) {
+            context.beginPath();
+            path(distortionLayer.indicatrices());
+            context.fillStyle = style.tissot.fill;
+            context.fill();
+            strokeWithStyle(context, style.tissot);
+        }
+    }
+
+    /**
+     * Fills the selected countries and the hovered one. Exported frames leave out the hover.
+     */
+    function drawCountryHighlights(context, path, isExport) {
+        if (!worldCountries) return;
+        const style = mapTheme.style();
+
+        // With a choropleth, selected countries are only outlined so their data colour stays visible
+        const selectedCountries = worldCountries.features.filter(feature => countrySelection.has(featureKey(feature)));
+        if (selectedCountries.length > 0) {
+            context.beginPath();
+            selectedCountries.forEach(path);
+            if (choroplethLayer.isActive()) {
+                if (style.selectionOutline) strokeWithStyle(context, style.selectionOutline);
+            } else if (style.selection) {
+                context.fillStyle = style.selection.fill;
+                context.fill();
+                strokeWithStyle(context, style.selection);
+            }
+        }
+
+        if (hoveredCountry && !isExport && style.hover) {
+            context.beginPath();
+            path(hoveredCountry);
+            context.fillStyle = style.hover.fill;
+            context.fill();
+            strokeWithStyle(context, style.hover);
+        }
+    }
+
+    /**
+     * Identifies what a stack layer draws, for caching its pixels
+     */
+    function stackLayerKey(entry) {
+        const content = {
+            countries: () => `${landLayerVersion} ${dayNightLayer.key()}`,
+            imported: () => importedLayerVersion,
+            graticule: () => entry.step
+        }[entry.type];
+        return `${entry.id}@${entry.opacity}:${content ? content() : ""}`;
+    }
+
+    /**
+     * Draws the frame on screen in the current state of the transition, and records its
+     * render time for the frame statistics overlay. Called by the frame scheduler.
+     */
+    function renderScheduledFrame() {
+        const startTime = performance.now();
+        renderProjectionFrame(currentTransitionProgress);
+        frameStats.record(startTime, performance.now() - startTime);
+        if (!frameStatsOverlay.hidden) updateFrameStatsOverlay();
+    }
+
+    /**
+     * Requests a redraw of the screen in the next animation frame. The projection is
+     * configured right away, so hit testing sees the new view before it is drawn.
+     */
+    function requestRender() {
+        if (!globeProjection || isDestroyed) return;
+        configureProjection(currentTransitionProgress);
+        frameScheduler.invalidate();
+    }
+
+    function updateFrameStatsOverlay() {
+        const { fps, averageFrameTime, maxFrameTime } = frameStats.summary(performance.now());
+        frameStatsOverlay.textContent = `${Math.round(fps)} fps · ` +
+            `${averageFrameTime.toFixed(1)} ms avg, ${maxFrameTime.toFixed(1)} ms max · ` +
+            (isLastFrameReduced ? "reduced detail" : "full detail");
+    }
+
+    function setFrameStatsVisible(visible) {
+        frameStatsOverlay.hidden = !visible;
+        clearInterval(frameStatsIntervalId);
+        if (visible) {
+            updateFrameStatsOverlay();
+            // Keep the readout current when no frames are drawn
+            frameStatsIntervalId = setInterval(updateFrameStatsOverlay, 500);
+        }
+    }
+
+    /**
+     * Draws the markers on the visible side of the globe, grouping those that are close
+     * on screen. Markers use the land clip angle, so they disappear behind the horizon
+     * together with the country they sit on while the clip expands during a transition.
+     *
+     * @param {CanvasRenderingContext2D|Object} context - Context to draw into
+     * @param {number|null} clipAngle - Clip angle in degrees, or null when nothing is clipped
+     */
+    function drawMarkers(context, clipAngle) {
+        const markers = markerLayer.markers();
+        const markerStyle = mapTheme.style().markers;
+        if (markers.length === 0 || !markerStyle) return;
+
+        const { width: canvasWidth, height: canvasHeight } = canvasSize;
+        const points = [];
+        for (const marker of markers) {
+            const point = visibleScreenPoint(globeProjection, marker.location, clipAngle);
+            if (!point) continue;
+            const [x, y] = point;
+            if (!(x > -MARKER_CLUSTER_RADIUS && x < canvasWidth + MARKER_CLUSTER_RADIUS &&
+                y > -MARKER_CLUSTER_RADIUS && y < canvasHeight + MARKER_CLUSTER_RADIUS)) continue;
+            points.push({ x, y, marker });
+        }
+
+        const clusters = markerLayer.isClustering() ?
+            clusterMarkers(points, MARKER_CLUSTER_RADIUS) :
+            points.map(({ x, y, marker }) => ({ x, y, markers: [marker] }));
+        renderMarkers(context, clusters, markerLayer, markerStyle);
+    }
+
+    /**
+     * Draws the crosshair at its location, unless the location is behind the horizon.
+     */
+    function drawCrosshair(context, clipAngle) {
+        const crosshair = mapTheme.style().crosshair;
+        const point = crosshair && crosshairLocation && visibleScreenPoint(globeProjection, crosshairLocation, clipAngle);
+        if (!point) return;
+        const [x, y] = point;
+
+        const { size } = crosshair;
+        context.beginPath();
+        context.moveTo(x - size, y);
+        context.lineTo(x - size / 3, y);
+        context.moveTo(x + size / 3, y);
+        context.lineTo(x + size, y);
+        context.moveTo(x, y - size);
+        context.lineTo(x, y - size / 3);
+        context.moveTo(x, y + size / 3);
+        context.lineTo(x, y + size);
+        strokeWithStyle(context, crosshair);
+    }
+
+    /**
+     * Manages the animated transition between projections through the frame scheduler.
+     * Applies easing for smooth acceleration and deceleration of the transition.
+     * 
+     * @param {string} targetProjectionName - Key in PROJECTIONS of the projection to transition to
+     * @returns {boolean} Whether a transition was started
+     */
+    function animateProjectionTransition(targetProjectionName) {
+        if (isProjectionTransitioning || targetProjectionName === currentProjectionName) return false;
+        
+        isProjectionTransitioning = true;
+        setProjectionControlsDisabled(true);
+        stopViewAnimations();
+        handOverViewCenter(targetProjectionName);
+
+        morphSource = currentProjectionName;
+        morphTarget = targetProjectionName;
+        globeProjection.morph(PROJECTIONS[morphSource].raw, PROJECTIONS[morphTarget].raw);
+
+        const transitionEasing = d3.easeCubicInOut;
+        let transitionStartTime = null;
+
+        frameScheduler.animate("transition", timestamp => {
+            if (transitionStartTime === null) transitionStartTime = timestamp;
+            const elapsedTime = timestamp - transitionStartTime;
+
+            if (elapsedTime < TRANSITION_DURATION) {
+                currentTransitionProgress = transitionEasing(elapsedTime / TRANSITION_DURATION);
+                requestRender();
+                return true;
+            }
+            isProjectionTransitioning = false;
+            currentTransitionProgress = 0;
+            completeProjectionChange(targetProjectionName);
+            return false;
+        });
+        return true;
+    }
+
+    /**
+     * Switches to another projection without animation.
+     *
+     * @param {string} targetProjectionName - Key in PROJECTIONS
+     */
+    function switchProjection(targetProjectionName) {
+        if (isProjectionTransitioning || targetProjectionName === currentProjectionName) return;
+        stopViewAnimations();
+        handOverViewCenter(targetProjectionName);
+        completeProjectionChange(targetProjectionName);
+    }
+
+    /**
+     * Hand the view centre over between globe rotation and flat map centre,
+     * so the same place stays in the middle of the view
+     */
+    function handOverViewCenter(targetProjectionName) {
+        ({ rotation: currentRotation, center: mapCenter } = handOverView(
+            { rotation: currentRotation, center: mapCenter },
+            currentProjectionName,
+            targetProjectionName,
+            projectionFits[targetProjectionName].scale * currentZoomTransform.k,
+            canvasSize.height
+        ));
+    }
+
+    /**
+     * Makes the target the current projection once it is reached (or switched to directly)
+     */
+    function completeProjectionChange(targetProjectionName) {
+        previousProjectionName = currentProjectionName;
+        currentProjectionName = targetProjectionName;
+        morphSource = morphTarget = targetProjectionName;
+        globeProjection.morph(PROJECTIONS[targetProjectionName].raw, PROJECTIONS[targetProjectionName].raw);
+        setProjectionControlsDisabled(false);
+        requestRender();
+        viewEvents.call("projection", mapController, getView());
+    }
+
+    function setProjectionControlsDisabled(disabled) {
+        projectionToggleButton.disabled = disabled;
+        projectionSelect.disabled = disabled;
+        projectionSelect.value = currentProjectionName;
+    }
+
+    /**
+     * Switches back and forth between the current and the previously shown projection.
+     */
+    function toggleProjectionType() {
+        if (isProjectionTransitioning) return;
+
+        animateProjectionTransition(previousProjectionName);
+    }
+
+    function populateProjectionSelect() {
+        for (const [projectionName, definition] of Object.entries(PROJECTIONS)) {
+            const option = document.createElement('option');
+            option.value = projectionName;
+            option.textContent = definition.label;
+            projectionSelect.appendChild(option);
+        }
+        projectionSelect.value = currentProjectionName;
+    }
+
+    /**
+     * Check if a point is within the visible area of the current projection
+     */
+    function isPointInVisibleArea(x, y) {
+        return screenToSphere(x, y) !== null;
+    }
+
+    /**
+     * Convert screen coordinates to spherical coordinates (longitude, latitude).
+     * Works for every projection, including intermediate states of a transition,
+     * and accounts for rotation, zoom and the flat map horizontal offset.
+     *
+     * @param {number} x - Screen x coordinate
+     * @param {number} y - Screen y coordinate
+     * @returns {[number, number]} [longitude, latitude] in degrees, or null if not on the rendered world
+     */
+    function screenToSphere(x, y) {
+        if (!globeProjection) return null;
+        return invertScreenPoint(globeProjection, [x, y], currentViewport);
+    }
+
+    /**
+     * Updates the cursor coordinate readout and reports the country under the pointer.
+     * A `countryhover` event is dispatched on the canvas whenever that country changes;
+     * its detail holds the `feature` (or null) and the pointer `location`. The map
+     * controller's "pointer" listeners receive every location.
+     *
+     * @param {number[]|null} location - [longitude, latitude] under the pointer, or null when off the world
+     */
+    function updatePointerLocation(location) {
+        const country = location && worldCountries ? findFeatureAt(worldCountries, location) : null;
+        if (country !== hoveredCountry) {
+            hoveredCountry = country;
+            globeCanvas.node().dispatchEvent(new CustomEvent('countryhover', {
+                detail: { feature: country, location }
+            }));
+            if (!isDragging) requestRender();
+        }
+
+        const readout = d3.select(cursorReadout);
+        readout.select(".readout-dms").text(location ? formatDMS(location) : "—");
+        readout.select(".readout-decimal").text(location ? formatDecimalDegrees(location) : "");
+        readout.select(".readout-country").text(country ? country.properties.name || `Feature ${country.id}` : "");
+        readout.select(".readout-scale").text(location && distortionLayer.isVisible() ?
+            formatLocalScale(localScale(globeProjection, location)) :
+            "");
+        viewEvents.call("pointer", mapController, location);
+    }
+
+    function formatLocalScale(scale) {
+        if (!scale) return "";
+        return `Scale ${scale.parallel.toFixed(2)} E–W, ${scale.meridian.toFixed(2)} N–S · ` +
+            `area ×${scale.areal.toFixed(2)} · angles ±${scale.maxAngle.toFixed(1)}°`;
+    }
+
+    /**
+     * Apply inertia to continue rotation after dragging.
+     * Steps the "inertia" animation of the frame scheduler.
+     *
+     * @returns {boolean} Whether the view is still moving
+     */
+    function applyInertia() {
+        if (isGlobeNavigation(currentProjectionName)) {
+            if (versorAngle(rotationVelocity) < MIN_VELOCITY) return false;
+
+            // Keep spinning about the axis of the last drag movement
+            currentRotation = rotationFromVersor(multiplyVersors(versorFromRotation(currentRotation), rotationVelocity));
+            if (isNorthUpLocked) currentRotation[2] = 0;
+
+            // Apply friction
+            rotationVelocity = scaleVersor(rotationVelocity, FRICTION);
+        } else {
+            if (Math.abs(mapPanVelocity) < MIN_VELOCITY) return false;
+
+            // Apply velocity to the map centre (wraps around the antimeridian)
+            panMapView(mapPanVelocity, 0);
+            
+            // Apply friction
+            mapPanVelocity *= FRICTION;
+        }
+
+        requestRender();
+        return true;
+    }
+
+    /**
+     * Start the inertia animation if the last drag left enough velocity
+     */
+    function startInertia() {
+        const hasVelocity = isGlobeNavigation(currentProjectionName) ?
+            versorAngle(rotationVelocity) > MIN_VELOCITY :
+            Math.abs(mapPanVelocity) > MIN_VELOCITY;
+        if (hasVelocity && !frameScheduler.isAnimating("inertia")) {
+            frameScheduler.animate("inertia", applyInertia);
+        }
+    }
+
+    /**
+     * Stop running inertia, north reset and flight animations and forget the drag velocity.
+     * Called whenever the user or the app takes over the view.
+     */
+    function stopViewAnimations() {
+        frameScheduler.stop("inertia").stop("northReset");
+        if (frameScheduler.isAnimating("flight")) {
+            frameScheduler.stop("flight");
+            resolveFlight(false);
+        }
+        rotationVelocity = [1, 0, 0, 0];
+        mapPanVelocity = 0;
+    }
+
+    /**
+     * Rolls the globe back to north-up about the view centre, keeping the centre in place
+     */
+    function resetNorth() {
+        if (isProjectionTransitioning || !isGlobeNavigation(currentProjectionName)) return;
+        stopViewAnimations();
+
+        const interpolateRotation = interpolateVersors(
+            versorFromRotation(currentRotation),
+            versorFromRotation([currentRotation[0], currentRotation[1], 0])
+        );
+        const startTime = performance.now();
+
+        frameScheduler.animate("northReset", currentTime => {
+            const progress = Math.min(1, (currentTime - startTime) / NORTH_RESET_DURATION);
+            currentRotation = rotationFromVersor(interpolateRotation(d3.easeCubicInOut(progress)));
+            if (progress === 1) currentRotation[2] = 0;
+            requestRender();
+            return progress < 1;
+        });
+    }
+
+    function setNorthUpLocked(locked) {
+        isNorthUpLocked = locked;
+        northLockToggleButton.setAttribute('aria-pressed', String(locked));
+        northLockToggleButton.classList.toggle('active', locked);
+        if (locked) resetNorth();
+        scheduleUrlUpdate();
+    }
+
+    function handlePointerMove(event) {
+        const rect = globeCanvas.node().getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+
+        if (activePointers.has(event.pointerId)) {
+            activePointers.set(event.pointerId, [event.clientX, event.clientY]);
+        }
+        if (pinchGesture) {
+            updatePinchGesture();
+            return;
+        }
+
+        if (isDragging) {
+            // If mouse goes out of bounds, stop dragging and start inertia
+            if (!isPointInVisibleArea(x, y)) {
+                isDragging = false;
+                dragStart = null;
+                startInertia();
+                globeCanvas.node().style.cursor = 'default';
+                return;
+            }
+
+            const currentTime = performance.now();
+            
+            if (isGlobeNavigation(currentProjectionName)) {
+                // Rotate so that the grabbed location lies under the pointer again. The pointer is
+                // inverted at the start rotation, which keeps errors from adding up during the drag.
+                globeProjection.rotate(dragStartRotation);
+                const pointerLocation = globeProjection.invert([x, y]);
+                const previousRotation = currentRotation;
+
+                currentRotation = isNorthUpLocked ?
+                    northUpDragRotation(
+                        dragStartLocation,
+                        d3.geoRotation(dragStartRotation)(pointerLocation),
+                        previousRotation
+                    ) :
+                    rotationFromVersor(multiplyVersors(
+                        versorFromRotation(dragStartRotation),
+                        versorDelta(cartesian(dragStartLocation), cartesian(pointerLocation))
+                    ));
+                globeProjection.rotate(currentRotation);
+
+                if (lastDragTime) {
+                    const dt = currentTime - lastDragTime;
+                    if (dt > 0) {
+                        const frameRotation = multiplyVersors(
+                            inverseVersor(versorFromRotation(previousRotation)),
+                            versorFromRotation(currentRotation)
+                        );
+                        rotationVelocity = scaleVersor(frameRotation, 16 / dt);
+                    }
+                }
+            } else {
+                // Handle flat map dragging
+                const dx = event.clientX - dragStart[0];
+                const dy = event.clientY - dragStart[1];
+                panMapView(dx, dy);
+                
+                // Calculate velocity for horizontal map scrolling
+                if (lastDragTime) {
+                    const dt = currentTime - lastDragTime;
+                    if (dt > 0) {
+                        mapPanVelocity = dx / dt * 16;
+                    }
+                }
+            }
+            
+            lastDragTime = currentTime;
+            dragStart = [event.clientX, event.clientY];
+            requestRender();
+            updatePointerLocation(screenToSphere(x, y));
+        } else {
+            const location = screenToSphere(x, y);
+            if (location) {
+                globeCanvas.node().style.cursor = isRouteMode ? 'crosshair' : 'grab';
+            } else {
+                globeCanvas.node().style.cursor = 'default';
+            }
+            updatePointerLocation(location);
+        }
+        updateCountryTooltip(event);
+    }
+
+    /**
+     * Apply a zoom change. Globes zoom about their centre, while flat maps keep
+     * the location under the pointer in place (zoom-to-cursor).
+     */
+    function handleZoom(event) {
+        const isFlatMap = !isGlobeNavigation(currentProjectionName);
+        const pointer = event.sourceEvent ? d3.pointer(event.sourceEvent, globeCanvas.node()) : zoomAnchorPoint;
+        const anchor = isFlatMap && pointer ? screenToSphere(...pointer) : null;
+
+        if (event.sourceEvent) stopViewAnimations(); // The user takes over from flights and inertia
+        currentZoomTransform = event.transform;
+
+        if (isFlatMap) {
+            panMapView(0, 0); // Re-apply the latitude bounds at the new zoom level
+            if (anchor) keepLocationUnderPointer(anchor, pointer);
+        }
+        requestRender();
+    }
+
+    /**
+     * Moves the flat map centre so that a location is shown under a screen point.
+     * Two correction steps are exact for cylindrical maps and close enough for the others.
+     *
+     * @param {number[]} location - [longitude, latitude] in degrees
+     * @param {number[]} point - [x, y] canvas pixel
+     */
+    function keepLocationUnderPointer(location, point) {
+        for (let step = 0; step < 2; step++) {
+            configureProjection();
+            const shownLocation = globeProjection.invert(point);
+            if (!shownLocation || !shownLocation.every(Number.isFinite)) return;
+
+            const fit = projectionFits[currentProjectionName];
+            mapCenter = [
+                wrapLongitude(mapCenter[0] + wrapLongitude(location[0] - shownLocation[0])),
+                panMapCenterLatitude(
+                    currentProjectionName,
+                    Math.max(-89, Math.min(89, mapCenter[1] + location[1] - shownLocation[1])),
+                    0,
+                    fit.scale * currentZoomTransform.k,
+                    canvasSize.height
+                )
+            ];
+        }
+    }
+
+    /**
+     * Handle pointer down event. A second finger turns the drag into a pinch gesture.
+     */
+    function handlePointerDown(event) {
+        activePointers.set(event.pointerId, [event.clientX, event.clientY]);
+        if (activePointers.size === 2) {
+            startPinchGesture();
+            return;
+        }
+        if (activePointers.size > 2) return;
+
+        const rect = globeCanvas.node().getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        pointerDownPosition = [event.clientX, event.clientY];
+
+        if (!isProjectionTransitioning && isPointInVisibleArea(x, y)) {
+            isDragging = true;
+            dragStart = [event.clientX, event.clientY];
+            dragStartRotation = [...currentRotation];
+            dragStartLocation = screenToSphere(x, y);
+            lastDragTime = performance.now();
+            globeCanvas.node().style.cursor = 'grabbing';
+            stopViewAnimations(); // Reset velocity on new drag
+        }
+    }
+
+    /**
+     * Handle pointer up, cancel and leave events
+     */
+    function handlePointerUp(event) {
+        activePointers.delete(event.pointerId);
+        if (pinchGesture) {
+            // The finger left on the screen does not resume dragging, which would make the view jump
+            if (activePointers.size < 2) pinchGesture = null;
+            return;
+        }
+
+        if (isDragging) {
+            isDragging = false;
+            dragStart = null;
+            
+            const rect = globeCanvas.node().getBoundingClientRect();
+            const x = event.clientX - rect.left;
+            const y = event.clientY - rect.top;
+            
+            if (isPointInVisibleArea(x, y)) {
+                globeCanvas.node().style.cursor = 'grab';
+            }
+            
+            // Start inertia animation if we have velocity
+            startInertia();
+        }
+    }
+
+    /**
+     * Distance, screen angle (degrees) and canvas midpoint of the first two active pointers
+     */
+    function pinchGeometry() {
+        const [[x0, y0], [x1, y1]] = activePointers.values();
+        const rect = globeCanvas.node().getBoundingClientRect();
+        return {
+            distance: Math.hypot(x1 - x0, y1 - y0),
+            angle: Math.atan2(y1 - y0, x1 - x0) * 180 / Math.PI,
+            midpoint: [(x0 + x1) / 2 - rect.left, (y0 + y1) / 2 - rect.top]
+        };
+    }
+
+    function startPinchGesture() {
+        isDragging = false;
+        dragStart = null;
+        pointerDownPosition = null; // A pinch is never a click
+        stopViewAnimations();
+        countryTooltip.hidden = true;
+        if (!isProjectionTransitioning) {
+            pinchGesture = pinchGeometry();
+        }
+    }
+
+    /**
+     * Pinch to zoom about the midpoint of the fingers and, on globes, twist to roll
+     * the view about its centre.
+     */
+    function updatePinchGesture() {
+        const geometry = pinchGeometry();
+
+        if (pinchGesture.distance > 0 && geometry.distance > 0) {
+            zoomAnchorPoint = geometry.midpoint;
+            d3.select(globeContext.canvas).call(zoom.scaleBy, geometry.distance / pinchGesture.distance);
+            zoomAnchorPoint = null;
+        }
+
+        if (isGlobeNavigation(currentProjectionName) && !isNorthUpLocked) {
+            // A positive roll turns the view anticlockwise, while screen angles grow clockwise
+            const twist = wrapLongitude(geometry.angle - pinchGesture.angle);
+            currentRotation = [currentRotation[0], currentRotation[1], wrapLongitude(currentRotation[2] - twist)];
+            requestRender();
+        }
+
+        pinchGesture = geometry;
+    }
+
+    /**
+     * Keyboard navigation of the focused canvas: arrow keys rotate globes or pan flat maps,
+     * +/- zoom, N resets north and P switches to the previous projection.
+     */
+    function handleCanvasKeyDown(event) {
+        if (event.altKey || event.ctrlKey || event.metaKey) return;
+
+        switch (event.key) {
+            case 'ArrowLeft': nudgeView(1, 0); break;
+            case 'ArrowRight': nudgeView(-1, 0); break;
+            case 'ArrowUp': nudgeView(0, 1); break;
+            case 'ArrowDown': nudgeView(0, -1); break;
+            case '+':
+            case '=': zoomViewBy(KEYBOARD_ZOOM_FACTOR); break;
+            case '-':
+            case '_': zoomViewBy(1 / KEYBOARD_ZOOM_FACTOR); break;
+            case 'p':
+            case 'P': toggleProjectionType(); break;
+            case 'n':
+            case 'N': resetNorth(); break;
+            case 'f':
+            case 'F': setFrameStatsVisible(frameStatsOverlay.hidden); break;
+            default: return;
+        }
+        event.preventDefault(); // Keep the page from scrolling
+    }
+
+    /**
+     * Moves the view by one keyboard step. Directions follow the content like a drag does,
+     * so (1, 0) moves the map to the right and reveals what lies to the west.
+     *
+     * @param {number} horizontal - -1, 0 or 1
+     * @param {number} vertical - -1, 0 or 1 (positive moves the content down)
+     */
+    function nudgeView(horizontal, vertical) {
+        if (isProjectionTransitioning) return;
+        stopViewAnimations();
+
+        if (isGlobeNavigation(currentProjectionName)) {
+            const step = KEYBOARD_ROTATION_STEP / currentZoomTransform.k;
+            currentRotation = [
+                currentRotation[0] + horizontal * step,
+                currentRotation[1] - vertical * step,
+                currentRotation[2]
+            ];
+        } else {
+            panMapView(horizontal * KEYBOARD_PAN_STEP, vertical * KEYBOARD_PAN_STEP);
+        }
+        requestRender();
+    }
+
+    /**
+     * Zooms about the canvas centre through d3.zoom, so wheel zooming continues from the new level
+     */
+    function zoomViewBy(factor) {
+        if (isProjectionTransitioning) return;
+        d3.select(globeContext.canvas).call(zoom.scaleBy, factor);
+    }
+
+    /**
+     * Adds a route point where the canvas was clicked, if the route tool is active.
+     * Presses that moved the pointer (drags) are ignored.
+     */
+    function handleCanvasClick(event) {
+        if (!pointerDownPosition) return;
+
+        const pointerTravel = Math.hypot(
+            event.clientX - pointerDownPosition[0],
+            event.clientY - pointerDownPosition[1]
+        );
+        pointerDownPosition = null;
+        if (pointerTravel > CLICK_TOLERANCE) return;
+
+        const rect = globeCanvas.node().getBoundingClientRect();
+        const x = event.clientX - rect.left;
+        const y = event.clientY - rect.top;
+        const location = screenToSphere(x, y);
+
+        if (isRouteMode) {
+            if (!location) return;
+            routePoints.push(location);
+            updateRoutePanel();
+            requestRender();
+            scheduleUrlUpdate();
+        } else {
+            selectCountryAt(location, event.shiftKey || event.ctrlKey || event.metaKey);
+        }
+    }
+
+    /**
+     * Selects the country at a location. Clicking outside every country clears the selection,
+     * unless the multi-select modifier is held.
+     *
+     * @param {number[]|null} location - [longitude, latitude] that was clicked
+     * @param {boolean} additive - Whether the multi-select modifier key (Shift, Ctrl or Cmd) is held
+     */
+    function selectCountryAt(location, additive) {
+        const country = location && worldCountries ? findFeatureAt(worldCountries, location) : null;
+        if (country) {
+            countrySelection.toggle(featureKey(country), { additive });
+        } else if (!additive) {
+            countrySelection.clear();
+        }
+    }
+
+    /**
+     * Shows the name and ID of the hovered country next to the pointer.
+     */
+    function updateCountryTooltip(event) {
+        if (!hoveredCountry || isDragging) {
+            countryTooltip.hidden = true;
+            return;
+        }
+        const tooltip = d3.select(countryTooltip);
+        tooltip.select(".tooltip-name").text(hoveredCountry.properties.name || "Unnamed feature");
+        tooltip.select(".tooltip-id").text(hoveredCountry.id !== undefined ? `ID ${hoveredCountry.id}` : "");
+        const value = choroplethLayer.valueFor(hoveredCountry);
+        tooltip.select(".tooltip-value").text(choroplethLayer.isActive() ?
+            `${choroplethLayer.columns().valueField}: ${value !== undefined ? d3.format(",")(value) : "no data"}` :
+            "");
+        countryTooltip.style.left = `${event.clientX + 14}px`;
+        countryTooltip.style.top = `${event.clientY + 14}px`;
+        countryTooltip.hidden = false;
+    }
+
+    function setRouteMode(enabled) {
+        isRouteMode = enabled;
+        routeToggleButton.setAttribute('aria-pressed', String(enabled));
+        routeToggleButton.classList.toggle('active', enabled);
+        routePanel.hidden = !enabled;
+        updateRoutePanel();
+        scheduleUrlUpdate();
+    }
+
+    function clearRoute() {
+        routePoints = [];
+        updateRoutePanel();
+        requestRender();
+        scheduleUrlUpdate();
+    }
+
+    /**
+     * Shows segment and total distances of the route in the selected unit,
+     * with initial/final bearings and the rhumb-line distance for comparison.
+     */
+    function updateRoutePanel() {
+        const summary = d3.select(routeSummary).html("");
+        if (routePoints.length < 2) {
+            summary.append("p").text(routePoints.length === 0 ?
+                "Click the globe or map to add route points." :
+                "Click another point to complete the first leg.");
+            return;
+        }
+
+        const unit = routeUnitSelect.value;
+        const route = measureRoute(routePoints);
+        const formatBearing = bearing => `${bearing.toFixed(1)}°`;
+
+        const table = summary.append("table");
+        table.append("thead").append("tr")
+            .selectAll("th")
+            .data(["Leg", "Great circle", "Initial", "Final", "Rhumb line"])
+            .join("th")
+            .text(heading => heading);
+        table.append("tbody")
+            .selectAll("tr")
+            .data(route.segments)
+            .join("tr")
+            .selectAll("td")
+            .data((segment, index) => [
+                index + 1,
+                formatDistance(segment.greatCircleDistance, unit),
+                formatBearing(segment.initialBearing),
+                formatBearing(segment.finalBearing),
+                formatDistance(segment.rhumbLineDistance, unit)
+            ])
+            .join("td")
+            .text(value => value);
+
+        const rhumbLineExcess = route.greatCircleTotal > 0 ?
+            (route.rhumbLineTotal / route.greatCircleTotal - 1) * 100 : 0;
+        summary.append("p")
+            .attr("class", "route-total")
+            .text(`Total: ${formatDistance(route.greatCircleTotal, unit)} great circle, ` +
+                `${formatDistance(route.rhumbLineTotal, unit)} rhumb line (+${rhumbLineExcess.toFixed(1)}%)`);
+    }
+
+    function populateRouteUnitSelect() {
+        for (const [unit, definition] of Object.entries(DISTANCE_UNITS)) {
+            const option = document.createElement('option');
+            option.value = unit;
+            option.textContent = definition.label;
+            routeUnitSelect.appendChild(option);
+        }
+        routeUnitSelect.value = "km";
+    }
+
+    function setDataLayerPanelOpen(open) {
+        dataPanel.hidden = !open;
+        dataLayerToggleButton.setAttribute('aria-pressed', String(open));
+        dataLayerToggleButton.classList.toggle('active', open);
+        scheduleUrlUpdate();
+    }
+
+    /**
+     * Reads a CSV or JSON table chosen by the user into the choropleth layer.
+     */
+    function handleDataFileChange() {
+        const file = dataFileInput.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            choroplethLayer.setTable(parseDataTable(text, dataTableFormat(file.name)), {
+                scaleType: dataScaleSelect.value
+            });
+        }).catch(error => {
+            console.error("Error reading the data table:", error);
+            choroplethLayer.clear();
+            dataSummary.textContent = `Could not read ${file.name}: ${error.message}`;
+        });
+    }
+
+    function replaceSelectOptions(select, values, selectedValue, label = value => value) {
+        d3.select(select)
+            .selectAll("option")
+            .data(values)
+            .join("option")
+            .attr("value", value => value)
+            .text(label);
+        select.value = selectedValue ?? "";
+    }
+
+    /**
+     * Syncs the data panel and legend with the choropleth layer and redraws the globe.
+     */
+    function handleChoroplethChange() {
+        const { keyFields, valueFields, keyField, valueField } = choroplethLayer.columns();
+        replaceSelectOptions(dataKeySelect, keyFields, keyField);
+        replaceSelectOptions(dataValueSelect, valueFields, valueField);
+
+        legendCanvas.hidden = !choroplethLayer.isActive();
+        renderLegend(legendCanvas.getContext('2d'), choroplethLayer.legend(), mapTheme.style());
+
+        if (!choroplethLayer.isActive()) {
+            dataSummary.textContent = keyField || valueField ?
+                "No country codes with numeric values found in the selected columns." :
+                "Load a table keyed by ISO 3166 numeric or alpha-3 country code.";
+        } else if (worldCountries) {
+            dataSummary.textContent = `${choroplethLayer.matchCount(worldCountries)} of ${worldCountries.features.length} countries have data.`;
+        }
+        landLayerVersion++;
+        requestRender();
+    }
+
+    function setMarkerPanelOpen(open) {
+        markerPanel.hidden = !open;
+        markerToggleButton.setAttribute('aria-pressed', String(open));
+        markerToggleButton.classList.toggle('active', open);
+        scheduleUrlUpdate();
+    }
+
+    /**
+     * Adds the markers of a GeoJSON or CSV file chosen by the user to the marker layer.
+     */
+    function handleMarkerFileChange() {
+        const file = markerFileInput.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            const { markers, skipped } = parseMarkers(text, markerFormat(file.name));
+            markerImportNote = `Added ${markers.length} from ${file.name}` +
+                (skipped > 0 ? `, skipped ${skipped} without a valid point.` : ".");
+            markerLayer.add(markers);
+        }).catch(error => {
+            console.error("Error reading the marker file:", error);
+            markerImportNote = `Could not read ${file.name}: ${error.message}`;
+            handleMarkerChange();
+        });
+    }
+
+    /**
+     * Syncs the marker panel with the marker layer and redraws the globe.
+     */
+    function handleMarkerChange() {
+        const { valueFields, sizeField } = markerLayer.columns();
+        replaceSelectOptions(markerSizeSelect, ["", ...valueFields], sizeField, field => field || "Marker value");
+
+        const count = markerLayer.markers().length;
+        markerSummary.textContent = [
+            count > 0 ? `${count} markers.` : "Load GeoJSON points or a CSV with longitude and latitude columns.",
+            markerImportNote
+        ].filter(Boolean).join(" ");
+        requestRender();
+    }
+
+    function populateMarkerIconSelect() {
+        for (const [icon, definition] of Object.entries(MARKER_ICONS)) {
+            const option = document.createElement('option');
+            option.value = icon;
+            option.textContent = definition.label;
+            markerIconSelect.appendChild(option);
+        }
+        markerIconSelect.value = "circle";
+    }
+
+    function setLayerPanelOpen(open) {
+        layerPanel.hidden = !open;
+        layerToggleButton.setAttribute('aria-pressed', String(open));
+        layerToggleButton.classList.toggle('active', open);
+        scheduleUrlUpdate();
+    }
+
+    /**
+     * Reads files chosen in the layer panel or dropped on the map into imported layers,
+     * one layer per file, and reports in the panel what was read and what went wrong.
+     *
+     * @param {FileList|File[]} files - Files to import
+     */
+    function importFiles(files) {
+        if (files.length === 0) return;
+        setLayerPanelOpen(true);
+
+        Promise.all([...files].map(file => file.text()
+            .then(text => {
+                const { collection, format, skipped, oversized } = parseGeoFile(text, importFormat(file.name));
+                importedLayers.add(file.name.replace(/\.[^.]+$/, ""), collection, { format });
+                const count = (number, noun) => `${number} ${noun}${number === 1 ? "" : "s"}`;
+                const notes = [{
+                    text: `Imported ${count(collection.features.length, "feature")} from ${file.name} ` +
+                        `(${IMPORT_FORMATS[format].label})` +
+                        (skipped > 0 ? `, skipped ${skipped} without a valid geometry.` : "."),
+                    kind: "info"
+                }];
+                if (oversized > 0) {
+                    notes.push({
+                        text: `${count(oversized, "polygon")} in ${file.name} ${oversized === 1 ? "covers" : "cover"} ` +
+                            "more than half the globe, which usually means malformed rings (e.g., a hole listed " +
+                            "before the exterior ring).",
+                        kind: "warning"
+                    });
+                }
+                return notes;
+            })
+            .catch(error => {
+                console.error(`Error importing ${file.name}:`, error);
+                return [{ text: `Could not import ${file.name}: ${error.message}`, kind: "error" }];
+            })
+        )).then(notes => {
+            importNotes = notes.flat();
+            handleImportedLayersChange();
+        });
+    }
+
+    /**
+     * Position in the layer stack where a layer of a type is added: layers clipped with
+     * the land go right above the topmost of them, the others on top of the stack.
+     */
+    function layerInsertIndex(type) {
+        const entries = layerStack.entries();
+        return LAYER_TYPES[type].clip === "land" ?
+            entries.findLastIndex(entry => LAYER_TYPES[entry.type].clip === "land") + 1 :
+            entries.length;
+    }
+
+    /**
+     * Adds new imported layers to the layer stack and drops the entries of removed ones.
+     */
+    function syncImportedStackEntries() {
+        const ids = new Set(importedLayers.layers().map(layer => layer.id));
+        for (const entry of layerStack.entries()) {
+            if (entry.type === "imported" && !ids.has(entry.id)) layerStack.remove(entry.id);
+        }
+        for (const id of ids) {
+            if (!layerStack.has(id)) layerStack.add({ type: "imported", id }, layerInsertIndex("imported"));
+        }
+    }
+
+    /**
+     * Syncs the layer panel and the layer stack with the imported layers and redraws the globe.
+     */
+    function handleImportedLayersChange() {
+        importedLayerVersion++;
+        syncImportedStackEntries();
+
+        d3.select(importSummary)
+            .selectAll("p")
+            .data(importedLayers.layers().length === 0 && importNotes.length === 0 ?
+                [{ text: "Drop GeoJSON, TopoJSON, KML or GPX files on the map, or choose them above.", kind: "info" }] :
+                importNotes)
+            .join("p")
+            .attr("class", note => `import-${note.kind}`)
+            .text(note => note.text);
+
+        updateLayerPanel();
+        requestRender();
+    }
+
+    /**
+     * Syncs the layer panel with the layer stack, records it in the URL and redraws the globe.
+     */
+    function handleLayerStackChange() {
+        updateLayerPanel();
+        scheduleUrlUpdate();
+        requestRender();
+    }
+
+    /**
+     * Lists the layers of the stack in the layer panel, the top layer first, and the
+     * removed built-in layers that can be added back.
+     */
+    function updateLayerPanel() {
+        const entries = layerStack.entries();
+        const stackIndex = entry => entries.indexOf(entry);
+        const layerName = entry => entry.type === "imported" ?
+            importedLayers.get(entry.id).name :
+            LAYER_TYPES[entry.type].label;
+
+        const missingTypes = Object.keys(LAYER_TYPES).filter(type => LAYER_TYPES[type].builtIn && !layerStack.has(type));
+        replaceSelectOptions(layerAddSelect, ["", ...missingTypes], "",
+            type => type ? LAYER_TYPES[type].label : "Add layer…");
+        layerAddSelect.disabled = missingTypes.length === 0;
+
+        const rows = d3.select(layerList)
+            .selectAll("li")
+            .data(entries.toReversed(), entry => entry.id)
+            .join(enter => {
+                const row = enter.append("li")
+                    .attr("class", "layer-row")
+                    .attr("draggable", "true")
+                    .on("dragstart", (event, entry) => {
+                        draggedLayerId = entry.id;
+                        event.dataTransfer.effectAllowed = "move";
+                        event.dataTransfer.setData("text/plain", entry.id);
+                    })
+                    .on("dragover", event => {
+                        if (draggedLayerId === null) return;
+                        event.preventDefault();
+                        event.currentTarget.classList.add("drag-over");
+                    })
+                    .on("dragleave", event => event.currentTarget.classList.remove("drag-over"))
+                    .on("drop", (event, entry) => {
+                        event.preventDefault();
+                        event.currentTarget.classList.remove("drag-over");
+                        if (draggedLayerId !== null && draggedLayerId !== entry.id) {
+                            layerStack.move(draggedLayerId, stackIndex(layerStack.get(entry.id)));
+                        }
+                    })
+                    .on("dragend", () => { draggedLayerId = null; });
+                row.append("span")
+                    .attr("class", "layer-handle")
+                    .attr("role", "button")
+                    .attr("tabindex", 0)
+                    .text("⠿")
+                    .on("keydown", (event, entry) => {
+                        const offset = { ArrowUp: 1, ArrowDown: -1 }[event.key];
+                        if (!offset) return;
+                        event.preventDefault();
+                        layerStack.move(entry.id, stackIndex(layerStack.get(entry.id)) + offset);
+                        event.currentTarget.focus(); // Reordering the rows moves the focus away
+                    });
+                row.append("input")
+                    .attr("type", "checkbox")
+                    .attr("class", "layer-visible")
+                    .on("change", (event, entry) => layerStack.setVisible(entry.id, event.target.checked));
+                row.append("span").attr("class", "layer-name");
+                row.filter(entry => entry.type === "graticule")
+                    .append("select")
+                    .attr("class", "layer-step")
+                    .attr("aria-label", "Graticule step")
+                    .on("change", event => layerStack.setGraticuleStep(+event.target.value));
+                const imported = row.filter(entry => entry.type === "imported");
+                imported.append("input")
+                    .attr("type", "color")
+                    .attr("class", "layer-color")
+                    .on("input", (event, entry) => importedLayers.setStyle(entry.id, { color: event.target.value }));
+                imported.append("button")
+                    .attr("type", "button")
+                    .text("Zoom")
+                    .on("click", (event, entry) => fitBounds(importedLayers.get(entry.id).features));
+                row.append("input")
+                    .attr("type", "range")
+                    .attr("class", "layer-opacity")
+                    .attr("min", 0)
+                    .attr("max", 100)
+                    .on("input", (event, entry) => layerStack.setOpacity(entry.id, event.target.value / 100));
+                row.append("button")
+                    .attr("type", "button")
+                    .attr("class", "layer-remove")
+                    .text("×")
+                    .on("click", (event, entry) => {
+                        if (entry.type === "imported") importedLayers.remove(entry.id); else layerStack.remove(entry.id);
+                    });
+                return row;
+            })
+            .order();
+
+        rows.select(".layer-handle")
+            .attr("aria-label", entry => `Move ${layerName(entry)} (arrow keys or drag)`);
+        rows.select(".layer-visible")
+            .property("checked", entry => entry.visible)
+            .attr("aria-label", entry => `Show ${layerName(entry)}`);
+        rows.select(".layer-name")
+            .text(layerName)
+            .attr("title", entry => {
+                if (entry.type !== "imported") return null;
+                const layer = importedLayers.get(entry.id);
+                return `${layer.features.features.length} features (${IMPORT_FORMATS[layer.format].label})`;
+            });
+        rows.select(".layer-step")
+            .each(function (entry) {
+                replaceSelectOptions(this, GRATICULE_STEPS.map(String), String(entry.step), step => `Every ${step}°`);
+            });
+        rows.select(".layer-color")
+            .property("value", entry => importedLayers.get(entry.id).style.color)
+            .attr("aria-label", entry => `Colour of ${layerName(entry)}`);
+        rows.select(".layer-opacity")
+            .property("value", entry => Math.round(entry.opacity * 100))
+            .attr("aria-label", entry => `Opacity of ${layerName(entry)}`)
+            .attr("title", entry => `${Math.round(entry.opacity * 100)}%`);
+        rows.select(".layer-remove")
+            .attr("aria-label", entry => `Remove ${layerName(entry)}`);
+    }
+
+    /**
+     * Highlights the map while files are dragged over it, and imports them when dropped.
+     */
+    function handleFileDrag(event) {
+        if (!event.dataTransfer?.types.includes("Files")) return;
+        event.preventDefault();
+        if (event.type === "dragover") {
+            event.dataTransfer.dropEffect = "copy";
+            globeCanvasWrapper.classed("drop-target", true);
+        } else if (event.type === "dragleave") {
+            if (!globeCanvasWrapper.node().contains(event.relatedTarget)) globeCanvasWrapper.classed("drop-target", false);
+        } else {
+            globeCanvasWrapper.classed("drop-target", false);
+            importFiles(event.dataTransfer.files);
+        }
+    }
+
+    function setTrackPanelOpen(open) {
+        trackPanel.hidden = !open;
+        trackToggleButton.setAttribute('aria-pressed', String(open));
+        trackToggleButton.classList.toggle('active', open);
+        scheduleUrlUpdate();
+    }
+
+    /**
+     * Adds the tracks of a CSV, GeoJSON, KML or GPX file chosen by the user to the track player.
+     */
+    function handleTrackFileChange() {
+        const file = trackFileInput.files[0];
+        if (!file) return;
+
+        file.text().then(text => {
+            const { tracks, skipped } = parseTracks(text, trackFormat(file.name));
+            const points = d3.sum(tracks, track => track.points.length);
+            trackImportNote = `Added ${tracks.length} track${tracks.length === 1 ? "" : "s"} (${points} points) from ${file.name}` +
+                (skipped > 0 ? `, skipped ${skipped} without a valid location or time.` : ".");
+            trackPlayer.add(tracks);
+        }).catch(error => {
+            console.error("Error reading the track file:", error);
+            trackImportNote = `Could not read ${file.name}: ${error.message}`;
+            handleTrackPlayerChange();
+        });
+    }
+
+    const formatPlaybackSpeed = speed =>
+        speed < 60 ? `${speed}×` :
+        speed < 3600 ? `${speed / 60} min/s` :
+        speed < 86400 ? `${speed / 3600} h/s` :
+        `${speed / 86400} d/s`;
+
+    /**
+     * Steps the playback once per frame while the player is playing.
+     */
+    function updatePlayback() {
+        if (!trackPlayer.isPlaying() || frameScheduler.isAnimating("playback")) return;
+        lastPlaybackTimestamp = null;
+        frameScheduler.animate("playback", timestamp => {
+            if (!trackPlayer.isPlaying()) return false;
+            if (lastPlaybackTimestamp !== null) {
+                trackPlayer.advance(Math.min(MAX_PLAYBACK_STEP, timestamp - lastPlaybackTimestamp));
+            }
+            lastPlaybackTimestamp = timestamp;
+            return trackPlayer.isPlaying();
+        });
+    }
+
+    /**
+     * Centres the view on the followed track, unless the user or an animation is moving the view.
+     */
+    function followTrack() {
+        const followed = trackPlayer.followed();
+        if (followed === null || isDragging || isProjectionTransitioning ||
+            ["flight", "inertia", "northReset"].some(name => frameScheduler.isAnimating(name))) return;
+        const position = trackPosition(trackPlayer.get(followed), trackPlayer.time());
+        if (position) applyView(position, currentZoomTransform.k);
+    }
+
+    /**
+     * Moves the time slider and label to the playback time, follows the followed track and
+     * redraws the globe. Runs on every frame while the tracks play, so it leaves the rest of
+     * the track panel alone.
+     */
+    function handleTrackTimeChange() {
+        const extent = trackPlayer.extent();
+        if (extent) trackTimeSlider.value = trackPlayer.time();
+        trackTimeLabel.textContent = extent ? formatTrackTime(trackPlayer.time()) : "—";
+        followTrack();
+        requestRender();
+    }
+
+    /**
+     * Syncs the track panel with the tracks and settings of the track player, and starts
+     * the playback when it is playing.
+     */
+    function handleTrackPlayerChange() {
+        const tracks = trackPlayer.tracks();
+        const extent = trackPlayer.extent();
+        const isPlaying = trackPlayer.isPlaying();
+
+        trackPlayButton.textContent = isPlaying ? "Pause" : "Play";
+        trackPlayButton.setAttribute('aria-pressed', String(isPlaying));
+        trackPlayButton.disabled = trackTimeSlider.disabled = !extent;
+        if (extent) {
+            trackTimeSlider.min = extent[0];
+            trackTimeSlider.max = extent[1];
+        }
+        replaceSelectOptions(trackSpeedSelect, TRACK_SPEEDS.map(String), String(trackPlayer.speed()), formatPlaybackSpeed);
+        replaceSelectOptions(trackTrailSelect, Object.keys(TRAIL_LENGTHS), trackPlayer.trailLength(),
+            length => TRAIL_LENGTHS[length].label);
+        replaceSelectOptions(trackFollowSelect, ["", ...tracks.map(track => track.id)], trackPlayer.followed() ?? "",
+            id => id ? trackPlayer.get(id).name : "Don't follow");
+        trackFollowSelect.disabled = tracks.length === 0;
+
+        trackSummary.textContent = [
+            tracks.length > 0 ?
+                `${tracks.length} track${tracks.length === 1 ? "" : "s"} from ${formatTrackTime(extent[0])} ` +
+                    `to ${formatTrackTime(extent[1])}.` :
+                "Load a CSV with longitude, latitude, time and track id columns, GeoJSON points with a time property, or a GPX file.",
+            trackImportNote
+        ].filter(Boolean).join(" ");
+
+        handleTrackTimeChange();
+        updatePlayback();
+    }
+
+    /**
+     * Shows or hides the day and night layer together with its panel.
+     */
+    function setDayNightVisible(visible) {
+        dayNightPanel.hidden = !visible;
+        dayNightToggleButton.setAttribute('aria-pressed', String(visible));
+        dayNightToggleButton.classList.toggle('active', visible);
+        dayNightLayer.setVisible(visible);
+        updateSunClock();
+        scheduleUrlUpdate();
+    }
+
+    /**
+     * Follows the current time while the layer is shown in "now" mode.
+     */
+    function updateSunClock() {
+        clearInterval(sunClockIntervalId);
+        sunClockIntervalId = null;
+        if (isSunClockLive && dayNightLayer.isVisible()) {
+            dayNightLayer.setTime(Date.now());
+            sunClockIntervalId = setInterval(() => dayNightLayer.setTime(Date.now()), SUN_CLOCK_INTERVAL);
+        }
+    }
+
+    function setSunClockLive(live) {
+        isSunClockLive = live;
+        dayNightNowCheckbox.checked = live;
+        updateSunClock();
+    }
+
+    /**
+     * Sets the layer to the UTC day of the date input and the minute of the time slider,
+     * leaving "now" mode.
+     */
+    function handleDayNightTimeInput() {
+        const day = dayNightDateInput.valueAsNumber;
+        if (!Number.isFinite(day)) return;
+        setSunClockLive(false);
+        dayNightLayer.setTime(day + dayNightTimeSlider.valueAsNumber * 60000);
+    }
+
+    /**
+     * Syncs the day and night panel with the layer and redraws the globe.
+     */
+    function handleDayNightChange() {
+        const time = dayNightLayer.time();
+        const day = d3.utcDay.floor(time);
+        dayNightDateInput.value = d3.utcFormat("%Y-%m-%d")(day);
+        dayNightTimeSlider.value = String(Math.floor((time - day) / 60000));
+        for (const checkbox of dayNightBands.querySelectorAll('input')) {
+            checkbox.checked = dayNightLayer.twilightBands().includes(checkbox.value);
+        }
+        dayNightSummary.textContent = `${d3.utcFormat("%Y-%m-%d %H:%M")(time)} UTC` +
+            (isSunClockLive ? " (now)" : "") +
+            `. Sun overhead at ${formatDMS(dayNightLayer.subsolarPoint())}.`;
+        requestRender();
+    }
+
+    function populateTwilightBands() {
+        for (const [band, definition] of Object.entries(TWILIGHT_BANDS)) {
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = "checkbox";
+            checkbox.value = band;
+            checkbox.addEventListener('change', () => dayNightLayer.setTwilightBand(band, checkbox.checked));
+            label.append(checkbox, ` ${definition.label}`);
+            dayNightBands.appendChild(label);
+        }
+    }
+
+    /**
+     * Shows or hides the distortion layer together with its panel and the scale readout.
+     */
+    function setDistortionVisible(visible) {
+        distortionPanel.hidden = !visible;
+        distortionToggleButton.setAttribute('aria-pressed', String(visible));
+        distortionToggleButton.classList.toggle('active', visible);
+        distortionLayer.setVisible(visible);
+        scheduleUrlUpdate();
+    }
+
+    /**
+     * Syncs the distortion panel with the distortion layer and redraws the globe.
+     */
+    function handleDistortionChange() {
+        distortionTissotCheckbox.checked = distortionLayer.showsIndicatrices();
+        replaceSelectOptions(distortionStepSelect, TISSOT_GRID_STEPS.map(String), String(distortionLayer.gridStep()),
+            step => `Every ${step}°`);
+        replaceSelectOptions(distortionRadiusSelect, TISSOT_RADII_KM.map(String), String(distortionLayer.radius()),
+            radius => `${radius} km`);
+        replaceSelectOptions(distortionHeatmapSelect, ["", ...Object.keys(DISTORTION_HEATMAPS)], distortionLayer.heatmap() ?? "",
+            heatmap => heatmap ? DISTORTION_HEATMAPS[heatmap].label : "None");
+        distortionStepSelect.disabled = distortionRadiusSelect.disabled = !distortionLayer.showsIndicatrices();
+
+        const heatmap = distortionLayer.heatmap();
+        distortionSummary.textContent = [
+            distortionLayer.showsIndicatrices() &&
+                `Each indicatrix is a circle of ${distortionLayer.radius()} km on the ground; its shape on the map shows the local distortion.`,
+            heatmap && DISTORTION_HEATMAPS[heatmap].description
+        ].filter(Boolean).join(" ");
+        if (!distortionLayer.isVisible()) d3.select(cursorReadout).select(".readout-scale").text("");
+        requestRender();
+    }
+
+    function setExportPanelOpen(open) {
+        exportPanel.hidden = !open;
+        exportToggleButton.setAttribute('aria-pressed', String(open));
+        exportToggleButton.classList.toggle('active', open);
+    }
+
+    /**
+     * Refreshes the export options that depend on the view: the pixel size of every
+     * resolution and the target of the recorded transition.
+     */
+    function updateExportPanel() {
+        const { width: canvasWidth, height: canvasHeight } = canvasSize;
+        const format = EXPORT_FORMATS[exportFormatSelect.value];
+
+        replaceSelectOptions(exportScaleSelect, EXPORT_SCALES.map(String), exportScaleSelect.value || "2",
+            scale => `${scale}× (${canvasWidth * scale} × ${canvasHeight * scale} px)`);
+        exportScaleSelect.disabled = exportFormatSelect.value === "svg";
+
+        replaceSelectOptions(exportAnimationSelect, ["transition", "spin"], exportAnimationSelect.value || "transition",
+            animation => animation === "spin" ?
+                "Spin" :
+                `Transition to ${PROJECTIONS[previousProjectionName].label}`);
+        exportAnimationSelect.disabled = !format.animated;
+        exportStartButton.disabled = isExporting;
+    }
+
+    function setExportStatus(message) {
+        exportSummary.textContent = message;
+    }
+
+    /**
+     * Creates an offscreen canvas covering the view at a multiple of the canvas resolution,
+     * scaled so that it is drawn in the coordinates of the globe canvas.
+     */
+    function createExportCanvas(pixelRatio) {
+        const canvas = document.createElement('canvas');
+        canvas.width = canvasSize.width * pixelRatio;
+        canvas.height = canvasSize.height * pixelRatio;
+        const context = canvas.getContext('2d');
+        context.scale(pixelRatio, pixelRatio);
+        return { canvas, context };
+    }
+
+    /**
+     * Records the transition to the previous projection, or a full turn of the view,
+     * frame by frame into an offscreen canvas. The view and projection shown on screen
+     * are left unchanged, and user input is blocked while recording.
+     *
+     * @param {string} animation - "transition" or "spin"
+     * @param {Object} recorder - Frame recorder (see exporters.js)
+     * @param {{canvas: HTMLCanvasElement, context: CanvasRenderingContext2D}} target - Export canvas
+     * @param {number} fps - Frames per second
+     * @returns {Promise<Blob>} Recorded file
+     */
+    async function recordAnimation(animation, recorder, { context }, fps) {
+        const isSpin = animation === "spin";
+        const frameCount = Math.round((isSpin ? SPIN_DURATION : TRANSITION_DURATION) / 1000 * fps);
+        const savedRotation = [...currentRotation];
+        const savedMapCenter = [...mapCenter];
+
+        isProjectionTransitioning = true;
+        setProjectionControlsDisabled(true);
+        stopViewAnimations();
+        try {
+            if (!isSpin) {
+                handOverViewCenter(previousProjectionName);
+                morphSource = currentProjectionName;
+                morphTarget = previousProjectionName;
+                globeProjection.morph(PROJECTIONS[morphSource].raw, PROJECTIONS[morphTarget].raw);
+            }
+
+            // A spin leaves out its last frame, which equals the first, so that it loops smoothly
+            const lastFrame = isSpin ? frameCount - 1 : frameCount;
+            for (let frame = 0; frame <= lastFrame; frame++) {
+                const t = frame / frameCount;
+                if (isSpin) {
+                    currentRotation = [savedRotation[0] + 360 * t, savedRotation[1], savedRotation[2]];
+                    mapCenter = [wrapLongitude(savedMapCenter[0] - 360 * t), savedMapCenter[1]];
+                }
+                renderProjectionFrame(isSpin ? 0 : d3.easeCubicInOut(t), context);
+                setExportStatus(`Recording frame ${frame + 1} of ${lastFrame + 1}…`);
+                await recorder.addFrame();
+            }
+            setExportStatus("Encoding…");
+            return await recorder.finish();
+        } finally {
+            currentRotation = savedRotation;
+            mapCenter = savedMapCenter;
+            morphSource = morphTarget = currentProjectionName;
+            globeProjection.morph(PROJECTIONS[currentProjectionName].raw, PROJECTIONS[currentProjectionName].raw);
+            isProjectionTransitioning = false;
+            setProjectionControlsDisabled(false);
+            requestRender();
+        }
+    }
+
+    /**
+     * Exports the view in the format chosen in the export panel and downloads the file.
+     */
+    async function exportView() {
+        if (isExporting) return;
+        if (isProjectionTransitioning) {
+            setExportStatus("Wait for the projection change to finish.");
+            return;
+        }
+
+        const formatName = exportFormatSelect.value;
+        const format = EXPORT_FORMATS[formatName];
+        const pixelRatio = +exportScaleSelect.value;
+        isExporting = true;
+        updateExportPanel();
+        setExportStatus("Exporting…");
+
+        try {
+            let blob;
+            if (formatName === "svg") {
+                const svgContext = createSvgContext(canvasSize.width, canvasSize.height);
+                renderProjectionFrame(0, svgContext);
+                blob = new Blob([svgContext.toString()], { type: "image/svg+xml" });
+            } else if (!format.animated) {
+                const target = createExportCanvas(pixelRatio);
+                renderProjectionFrame(0, target.context);
+                blob = await canvasToBlob(target.canvas);
+            } else {
+                const target = createExportCanvas(pixelRatio);
+                const recorder = formatName === "gif" ?
+                    createGifRecorder(target.canvas, format.fps) :
+                    createWebmRecorder(target.canvas, format.fps);
+                blob = await recordAnimation(exportAnimationSelect.value, recorder, target, format.fps);
+            }
+
+            const fileName = `geodesic-map-${currentProjectionName}.${format.extension}`;
+            downloadBlob(blob, fileName);
+            setExportStatus(`Saved ${fileName} (${d3.format(".3~s")(blob.size)}B).`);
+        } catch (error) {
+            console.error("Error exporting the view:", error);
+            setExportStatus(`Export failed: ${error.message}`);
+        } finally {
+            isExporting = false;
+            updateExportPanel();
+        }
+    }
+
+    function populateExportFormatSelect() {
+        for (const [formatName, definition] of Object.entries(EXPORT_FORMATS)) {
+            const option = document.createElement('option');
+            option.value = formatName;
+            option.textContent = definition.label;
+            exportFormatSelect.appendChild(option);
+        }
+        exportFormatSelect.value = "png";
+    }
+
+    function populateDataScaleSelect() {
+        for (const [scaleType, definition] of Object.entries(SCALE_TYPES)) {
+            const option = document.createElement('option');
+            option.value = scaleType;
+            option.textContent = definition.label;
+            dataScaleSelect.appendChild(option);
+        }
+        dataScaleSelect.value = "sequential";
+    }
+
+    /**
+     * Shows a message in the data status banner, or hides it when no message is given.
+     *
+     * @param {string|null} message - Text to display
+     * @param {boolean} [isError=false] - Whether the message reports a failure
+     */
+    function setDataStatus(message, isError = false) {
+        dataStatus.hidden = !message;
+        dataStatus.textContent = message || "";
+        dataStatus.classList.toggle('error', isError);
+    }
+
+    /**
+     * Loads the geographic features to draw from a data source.
+     * If loading fails, the globe falls back to the sphere and graticule only
+     * and the failure is reported in the status banner.
+     *
+     * @param {{url: string, objects?: string[]}} source - Data source descriptor (see dataSources.js)
+     * @returns {Promise<boolean>} Resolves to true once the features are shown, false if loading
+     *     failed or another source was loaded in the meantime
+     */
+    function loadWorldData(source) {
+        const loadId = ++dataLoadId;
+        currentDataSource = source;
+        updateResolutionSelect();
+        setDataStatus("Loading map data…");
+
+        return loadGeoData(source).then(features => {
+            if (loadId !== dataLoadId) return false;
+            worldCountries = features;
+            hoveredCountry = null;
+            setDataStatus(null);
+            handleChoroplethChange();
+            return true;
+        }).catch(error => {
+            if (loadId !== dataLoadId) return false;
+            console.error("Error loading the world atlas data:", error);
+            worldCountries = null;
+            hoveredCountry = null;
+            landLayerVersion++;
+            setDataStatus(`Map data could not be loaded (${error.message}). Showing the globe outline only.`, true);
+            requestRender();
+            return false;
+        });
+    }
+
+    /**
+     * Loads the features to draw from another data source, e.g. other TopoJSON objects of
+     * the world atlas with `setDataSource(worldAtlasSource(worldAtlasUrls, "50m", ["land"]))`,
+     * or a file of the app with `setDataSource({url: "regions.json", objects: ["regions"]})`.
+     *
+     * @param {{url: string, objects?: string[]}} source - Data source descriptor (see dataSources.js)
+     * @returns {Promise<boolean>} Resolves to true once the features are shown, false if loading
+     *     failed (the failure is shown in the status banner) or another source replaced it
+     */
+    function setDataSource(source) {
+        try {
+            return loadWorldData(checkDataSource(source));
+        } catch (error) {
+            return Promise.reject(error);
+        }
+    }
+
+    /**
+     * Applies the theme to the canvas background and redraws the map and legend with it.
+     */
+    function handleThemeChange() {
+        globeCanvasWrapper.style("background-color", mapTheme.style().background);
+        themeSelect.value = mapTheme.preset();
+        for (const cache of stackLayerCaches) cache.clear();
+        distortionLayerCache.clear();
+        renderLegend(legendCanvas.getContext('2d'), choroplethLayer.legend(), mapTheme.style());
+        requestRender();
+    }
+
+    function populateThemeSelect() {
+        for (const [presetName, preset] of Object.entries(THEME_PRESETS)) {
+            const option = document.createElement('option');
+            option.value = presetName;
+            option.textContent = preset.label;
+            themeSelect.appendChild(option);
+        }
+        themeSelect.value = mapTheme.preset();
+    }
+
+    function populateResolutionSelect() {
+        for (const [resolution, atlas] of Object.entries(WORLD_ATLAS_RESOLUTIONS)) {
+            if (!worldAtlasUrls?.[resolution]) continue;
+            const option = document.createElement('option');
+            option.value = resolution;
+            option.textContent = atlas.label;
+            resolutionSelect.appendChild(option);
+        }
+        updateResolutionSelect();
+    }
+
+    /**
+     * Shows the resolution of the world atlas in the resolution select. Other data sources
+     * (and atlas files the map has no URLs for) have no resolutions to switch between, so
+     * the select is disabled while they are shown.
+     */
+    function updateResolutionSelect() {
+        const { resolution } = currentDataSource;
+        const isAtlasShown = Boolean(resolution && worldAtlasUrls?.[resolution]);
+        resolutionSelect.disabled = !isAtlasShown;
+        if (isAtlasShown) resolutionSelect.value = resolution;
+    }
+
+    /**
+     * Marks a location with a crosshair, or removes the crosshair when null.
+     *
+     * @param {number[]|null} location - [longitude, latitude] in degrees
+     */
+    function setCrosshair(location) {
+        crosshairLocation = location && [...location];
+        requestRender();
+    }
+
+    /**
+     * Current view: projection, location at the centre of the view, globe rotation
+     * (including roll) and zoom factor.
+     */
+    function getView() {
+        const isGlobe = isGlobeNavigation(currentProjectionName);
+        return {
+            projection: currentProjectionName,
+            center: isGlobe ? mapCenterFromRotation(currentRotation) : [...mapCenter],
+            rotation: isGlobe ? [...currentRotation] : rotationFromMapCenter(mapCenter),
+            zoom: currentZoomTransform.k
+        };
+    }
+
+    /**
+     * Calls the "change" listeners if the view differs from the one they last received.
+     * Every view change ends in a render, so this runs at the end of renderProjectionFrame.
+     */
+    function notifyViewChange() {
+        const view = getView();
+        const isSameView = lastNotifiedView &&
+            view.projection === lastNotifiedView.projection &&
+            view.zoom === lastNotifiedView.zoom &&
+            view.rotation.every((angle, index) => angle === lastNotifiedView.rotation[index]) &&
+            view.center.every((angle, index) => angle === lastNotifiedView.center[index]);
+        if (isSameView) return;
+
+        lastNotifiedView = view;
+        viewEvents.call("change", mapController, view);
+    }
+
+    /**
+     * Centres the view on a location and applies a zoom factor. The zoom goes through
+     * d3.zoom so that wheel zooming continues from it; this also renders the frame.
+     *
+     * @param {number[]} center - [longitude, latitude] in degrees
+     * @param {number} zoomFactor - Zoom factor, clamped to the zoom extent
+     * @param {number} [roll] - Globe roll angle in degrees (kept when omitted)
+     */
+    function applyView(center, zoomFactor, roll = currentRotation[2]) {
+        if (isGlobeNavigation(currentProjectionName)) {
+            currentRotation = [-center[0], -center[1], isNorthUpLocked ? 0 : roll];
+        } else {
+            mapCenter = [wrapLongitude(center[0]), center[1]];
+        }
+        const k = Math.max(ZOOM_EXTENT[0], Math.min(ZOOM_EXTENT[1], zoomFactor));
+        d3.select(globeContext.canvas).call(zoom.transform, d3.zoomIdentity.scale(k));
+    }
+
+    /**
+     * Sets the view without animation. Missing fields keep their current value.
+     *
+     * @param {Object} view - Partial view as returned by getView(); `rotation` takes
+     *     precedence over `center`, and its roll only applies to globes
+     * @returns {boolean} False if a projection transition prevented the change
+     */
+    function setView({ projection, center, rotation, zoom: zoomFactor } = {}) {
+        if (isProjectionTransitioning) return false;
+        if (projection !== undefined && !PROJECTIONS[projection]) {
+            throw new Error(`Unknown projection "${projection}"`);
+        }
+        stopViewAnimations();
+        if (projection) switchProjection(projection);
+
+        applyView(
+            rotation ? mapCenterFromRotation(rotation) : center ?? getView().center,
+            zoomFactor ?? currentZoomTransform.k,
+            rotation ? rotation[2] ?? 0 : undefined
+        );
+        return true;
+    }
+
+    /**
+     * Flies to a location along the great circle, zooming out and back in on long flights.
+     *
+     * @param {number[]} center - Target [longitude, latitude] in degrees
+     * @param {number} [zoomFactor] - Target zoom factor (current zoom when omitted)
+     * @param {Object} [options]
+     * @param {number} [options.duration] - Flight duration in ms (depends on the distance by default)
+     * @returns {Promise<boolean>} Resolves to true when the flight ends, false if it was interrupted
+     */
+    function flyTo(center, zoomFactor = currentZoomTransform.k, { duration } = {}) {
+        if (isProjectionTransitioning) return Promise.resolve(false);
+        stopViewAnimations();
+
+        const target = {
+            center: [wrapLongitude(center[0]), Math.max(-90, Math.min(90, center[1]))],
+            zoom: Math.max(ZOOM_EXTENT[0], Math.min(ZOOM_EXTENT[1], zoomFactor))
+        };
+        const flight = interpolateFlight({ center: getView().center, zoom: currentZoomTransform.k }, target);
+        const flightDuration = duration ?? flight.duration;
+
+        return new Promise(resolve => {
+            const startTime = performance.now();
+            resolveFlight = resolve;
+
+            frameScheduler.animate("flight", currentTime => {
+                const progress = Math.min(1, (currentTime - startTime) / flightDuration);
+                if (progress < 1) {
+                    const view = flight(d3.easeCubicInOut(progress));
+                    applyView(view.center, view.zoom);
+                    return true;
+                }
+                applyView(target.center, target.zoom);
+                resolve(true);
+                return false;
+            });
+        });
+    }
+
+    /**
+     * Centres a feature and zooms so that it fills the view.
+     *
+     * @param {Object} feature - GeoJSON object
+     * @param {Object} [options]
+     * @param {boolean} [options.animate=true] - Fly to the feature rather than jump
+     * @param {number} [options.padding=20] - Margin around the feature in pixels
+     * @returns {Promise<boolean>} Resolves when the view is reached (false if interrupted), rejects
+     *     for features without a geographic extent
+     */
+    function fitBounds(feature, { animate = true, padding = 20 } = {}) {
+        let featureView;
+        try {
+            featureView = fitFeatureView(
+                feature,
+                PROJECTIONS[currentProjectionName],
+                projectionFits[currentProjectionName],
+                canvasSize.width,
+                canvasSize.height,
+                padding
+            );
+        } catch (error) {
+            return Promise.reject(new Error(`Cannot fit the view to the feature: ${error.message}`));
+        }
+        const { center, zoom: zoomFactor } = featureView;
+        if (animate) return flyTo(center, zoomFactor);
+        return Promise.resolve(setView({ center, zoom: zoomFactor }));
+    }
+
+    /**
+     * Changes the projection, animated like the projection controls by default.
+     *
+     * @param {string} projectionName - Key in PROJECTIONS
+     * @param {Object} [options]
+     * @param {boolean} [options.animate=true] - Morph into the new projection
+     * @returns {Promise<Object>} Resolves to the view once the projection is shown
+     */
+    function setProjection(projectionName, { animate = true } = {}) {
+        if (!PROJECTIONS[projectionName]) {
+            return Promise.reject(new Error(`Unknown projection "${projectionName}"`));
+        }
+        if (!animate) {
+            switchProjection(projectionName);
+            return Promise.resolve(getView());
+        }
+        return new Promise(resolve => {
+            const listenerName = `projection.request${++projectionRequestId}`;
+            viewEvents.on(listenerName, view => {
+                viewEvents.on(listenerName, null);
+                resolve(view);
+            });
+            if (!animateProjectionTransition(projectionName)) {
+                viewEvents.on(listenerName, null);
+                resolve(getView());
+            }
+        });
+    }
+
+    /**
+     * State written to the URL hash: the view, the active tools, the route and selection
+     * and the built-in layers of the layer stack
+     */
+    function currentUrlState() {
+        const view = getView();
+        // Imported layers are left out, as their data only lives in this page
+        const builtInLayers = layerStack.state().filter(entry => LAYER_TYPES[entry.type].builtIn);
+        return {
+            projection: view.projection,
+            center: view.center,
+            zoom: view.zoom,
+            roll: isGlobeNavigation(view.projection) ? view.rotation[2] : 0,
+            northUp: isNorthUpLocked,
+            layers: [
+                isRouteMode && "route",
+                !dataPanel.hidden && "data",
+                !markerPanel.hidden && "markers",
+                !layerPanel.hidden && "layers",
+                !trackPanel.hidden && "tracks",
+                dayNightLayer.isVisible() && "night",
+                distortionLayer.isVisible() && "distortion"
+            ].filter(Boolean),
+            route: routePoints,
+            selection: countrySelection.keys(),
+            stack: isDefaultLayerStack(builtInLayers) ? null : builtInLayers
+        };
+    }
+
+    const isDefaultLayerStack = entries => JSON.stringify(entries) === JSON.stringify(DEFAULT_LAYER_STACK_STATE);
+
+    /**
+     * Replaces the built-in layers of the stack, keeping the imported layers with their
+     * visibility and opacity.
+     *
+     * @param {Object[]} entries - Built-in layer stack entries, from the bottom up
+     */
+    function restoreBuiltInLayers(entries) {
+        const importedEntries = layerStack.entries().filter(entry => entry.type === "imported");
+        layerStack.restore(entries.filter(entry => LAYER_TYPES[entry.type]?.builtIn));
+        for (const entry of importedEntries) layerStack.add(entry, layerInsertIndex("imported"));
+    }
+
+    /**
+     * Records the state in the browser history once it has stopped changing, so that
+     * back and forward step through settled views rather than every animation frame.
+     */
+    function scheduleUrlUpdate() {
+        if (!urlState) return;
+        clearTimeout(urlUpdateTimeoutId);
+        urlUpdateTimeoutId = setTimeout(() => {
+            if (isProjectionTransitioning || frameScheduler.isAnimating("flight") ||
+                frameScheduler.isAnimating("inertia") || isDragging) {
+                scheduleUrlUpdate();
+                return;
+            }
+            const hash = serializeUrlState(currentUrlState());
+            if (hash !== lastUrlHash) {
+                lastUrlHash = hash;
+                history.pushState(null, "", `#${hash}`);
+            }
+        }, URL_UPDATE_DELAY);
+    }
+
+    /**
+     * Restores the state of a location hash. View fields missing from the hash keep
+     * their current value. The entry is then rewritten with the state actually shown
+     * (e.g., after clamping), without adding to the history.
+     *
+     * @param {string} hash - Location hash
+     */
+    function applyUrlState(hash) {
+        if (isProjectionTransitioning) {
+            // Restore once the running transition has finished
+            viewEvents.on("projection.url", () => {
+                viewEvents.on("projection.url", null);
+                applyUrlState(hash);
+            });
+            return;
+        }
+
+        const state = parseUrlState(hash, Object.keys(PROJECTIONS));
+        if (state.northUp !== isNorthUpLocked) setNorthUpLocked(state.northUp);
+        setView({
+            projection: state.projection,
+            rotation: state.center && [-state.center[0], -state.center[1], state.roll],
+            zoom: state.zoom
+        });
+
+        setRouteMode(state.layers.includes("route"));
+        setDataLayerPanelOpen(state.layers.includes("data"));
+        setMarkerPanelOpen(state.layers.includes("markers"));
+        setLayerPanelOpen(state.layers.includes("layers"));
+        setTrackPanelOpen(state.layers.includes("tracks"));
+        restoreBuiltInLayers(state.stack ?? DEFAULT_LAYER_STACK_STATE);
+        setDayNightVisible(state.layers.includes("night"));
+        setDistortionVisible(state.layers.includes("distortion"));
+        routePoints = state.route;
+        updateRoutePanel();
+        countrySelection.select(state.selection);
+        requestRender();
+
+        clearTimeout(urlUpdateTimeoutId);
+        lastUrlHash = serializeUrlState(currentUrlState());
+        history.replaceState(null, "", `#${lastUrlHash}`);
+    }
+
+    mapController = {
+        getView,
+        setView,
+        flyTo,
+        fitBounds,
+        setProjection,
+        setCrosshair,
+        setDataSource,
+        on(type, callback) {
+            if (arguments.length < 2) return viewEvents.on(type);
+            viewEvents.on(type, callback);
+            return mapController;
+        }
+    };
+
+    // Initialize the visualization by setting up the canvas, establishing event listeners
+    // for user interaction and loading the world map data
+    handleCanvasResize();
+    projectionToggleButton.addEventListener('click', toggleProjectionType);
+    projectionSelect.addEventListener('change', () => animateProjectionTransition(projectionSelect.value));
+    resolutionSelect.addEventListener('change', () => {
+        loadWorldData(worldAtlasSource(worldAtlasUrls, resolutionSelect.value, currentDataSource.objects));
+    });
+    themeSelect.addEventListener('change', () => mapTheme.setPreset(themeSelect.value));
+    mapTheme.on("change.globe", handleThemeChange);
+
+    resetNorthButton.addEventListener('click', resetNorth);
+    northLockToggleButton.addEventListener('click', () => setNorthUpLocked(!isNorthUpLocked));
+    routeToggleButton.addEventListener('click', () => setRouteMode(!isRouteMode));
+    routeClearButton.addEventListener('click', clearRoute);
+    routeUnitSelect.addEventListener('change', updateRoutePanel);
+
+    // Add pointer event listeners for mouse, pen and touch handling
+    globeCanvas.node().addEventListener('click', handleCanvasClick, { signal });
+    globeCanvas.node().addEventListener('pointermove', handlePointerMove, { signal });
+    globeCanvas.node().addEventListener('pointerdown', handlePointerDown, { signal });
+    globeCanvas.node().addEventListener('pointerup', handlePointerUp, { signal });
+    globeCanvas.node().addEventListener('pointercancel', handlePointerUp, { signal });
+    globeCanvas.node().addEventListener('pointerleave', (event) => {
+        handlePointerUp(event); // Stop dragging if the pointer leaves the canvas
+        updatePointerLocation(null);
+        updateCountryTooltip(event);
+    }, { signal });
+    globeCanvas.node().addEventListener('keydown', handleCanvasKeyDown, { signal });
+    countrySelection.on("change.globe", requestRender);
+    countrySelection.on("change.url", scheduleUrlUpdate);
+    viewEvents.on("change.url", scheduleUrlUpdate);
+
+    dataLayerToggleButton.addEventListener('click', () => setDataLayerPanelOpen(dataPanel.hidden));
+    dataFileInput.addEventListener('change', handleDataFileChange);
+    dataKeySelect.addEventListener('change', () => choroplethLayer.setKeyField(dataKeySelect.value));
+    dataValueSelect.addEventListener('change', () => choroplethLayer.setValueField(dataValueSelect.value));
+    dataScaleSelect.addEventListener('change', () => choroplethLayer.setScaleType(dataScaleSelect.value));
+    dataClearButton.addEventListener('click', () => {
+        dataFileInput.value = "";
+        choroplethLayer.clear();
+    });
+    choroplethLayer.on("change.globe", handleChoroplethChange);
+
+    markerToggleButton.addEventListener('click', () => setMarkerPanelOpen(markerPanel.hidden));
+    markerFileInput.addEventListener('change', handleMarkerFileChange);
+    markerSizeSelect.addEventListener('change', () => markerLayer.setSizeField(markerSizeSelect.value));
+    const applyMarkerStyle = () => markerLayer.setDefaultStyle({
+        color: markerColorInput.value,
+        icon: markerIconSelect.value
+    });
+    markerIconSelect.addEventListener('change', applyMarkerStyle);
+    markerColorInput.addEventListener('input', applyMarkerStyle);
+    markerClusterCheckbox.addEventListener('change', () => markerLayer.setClustering(markerClusterCheckbox.checked));
+    markerClearButton.addEventListener('click', () => {
+        markerFileInput.value = "";
+        markerImportNote = "";
+        markerLayer.clear();
+    });
+    markerLayer.on("change.globe", handleMarkerChange);
+
+    layerToggleButton.addEventListener('click', () => setLayerPanelOpen(layerPanel.hidden));
+    layerAddSelect.addEventListener('change', () => {
+        const type = layerAddSelect.value;
+        if (type) layerStack.add({ type }, layerInsertIndex(type));
+    });
+    layerResetButton.addEventListener('click', () => restoreBuiltInLayers(DEFAULT_LAYER_STACK_STATE));
+    layerStack.on("change.globe", handleLayerStackChange);
+    importFileInput.addEventListener('change', () => {
+        importFiles(importFileInput.files);
+        importFileInput.value = "";
+    });
+    for (const type of ["dragover", "dragleave", "drop"]) {
+        globeCanvasWrapper.node().addEventListener(type, handleFileDrag, { signal });
+    }
+    importedLayers.on("change.globe", handleImportedLayersChange);
+
+    trackToggleButton.addEventListener('click', () => setTrackPanelOpen(trackPanel.hidden));
+    trackFileInput.addEventListener('change', handleTrackFileChange);
+    trackClearButton.addEventListener('click', () => {
+        trackFileInput.value = "";
+        trackImportNote = "";
+        trackPlayer.clear();
+    });
+    trackPlayButton.addEventListener('click', () => {
+        if (trackPlayer.isPlaying()) trackPlayer.pause(); else trackPlayer.play();
+    });
+    trackTimeSlider.addEventListener('input', () => trackPlayer.setTime(+trackTimeSlider.value));
+    trackSpeedSelect.addEventListener('change', () => trackPlayer.setSpeed(+trackSpeedSelect.value));
+    trackTrailSelect.addEventListener('change', () => trackPlayer.setTrailLength(trackTrailSelect.value));
+    trackFollowSelect.addEventListener('change', () => trackPlayer.setFollowed(trackFollowSelect.value || null));
+    trackPlayer.on("change.globe", handleTrackPlayerChange);
+    trackPlayer.on("time.globe", handleTrackTimeChange);
+
+    dayNightToggleButton.addEventListener('click', () => setDayNightVisible(!dayNightLayer.isVisible()));
+    dayNightNowCheckbox.addEventListener('change', () => setSunClockLive(dayNightNowCheckbox.checked));
+    dayNightDateInput.addEventListener('change', handleDayNightTimeInput);
+    dayNightTimeSlider.addEventListener('input', handleDayNightTimeInput);
+    dayNightLayer.on("change.globe", handleDayNightChange);
+
+    distortionToggleButton.addEventListener('click', () => setDistortionVisible(!distortionLayer.isVisible()));
+    distortionTissotCheckbox.addEventListener('change', () =>
+        distortionLayer.setIndicatricesShown(distortionTissotCheckbox.checked));
+    distortionStepSelect.addEventListener('change', () => distortionLayer.setGrid({ step: +distortionStepSelect.value }));
+    distortionRadiusSelect.addEventListener('change', () => distortionLayer.setGrid({ radius: +distortionRadiusSelect.value }));
+    distortionHeatmapSelect.addEventListener('change', () => distortionLayer.setHeatmap(distortionHeatmapSelect.value || null));
+    distortionLayer.on("change.globe", handleDistortionChange);
+
+    exportToggleButton.addEventListener('click', () => setExportPanelOpen(exportPanel.hidden));
+    exportFormatSelect.addEventListener('change', updateExportPanel);
+    exportStartButton.addEventListener('click', exportView);
+    viewEvents.on("projection.export", updateExportPanel);
+
+    zoom = d3.zoom()
+        .scaleExtent(ZOOM_EXTENT)
+        .filter(event => {
+            // Only allow wheel events for zooming, and not while a transition runs.
+            // This prevents d3.zoom from interfering with drag-to-rotate.
+            return event.type === 'wheel' && !isProjectionTransitioning;
+        })
+        .on('zoom', handleZoom);
+    d3.select(globeContext.canvas).call(zoom);
+
+    populateProjectionSelect();
+    populateResolutionSelect();
+    populateThemeSelect();
+    populateRouteUnitSelect();
+    populateDataScaleSelect();
+    populateMarkerIconSelect();
+    populateExportFormatSelect();
+    populateTwilightBands();
+    handleChoroplethChange();
+    handleMarkerChange();
+    handleImportedLayersChange();
+    handleTrackPlayerChange();
+    handleDayNightChange();
+    handleDistortionChange();
+    updateExportPanel();
+    if (typeof ResizeObserver !== "undefined") {
+        resizeObserver = new ResizeObserver(() => {
+            handleCanvasResize();
+            updateExportPanel();
+        });
+        resizeObserver.observe(globeCanvasWrapper.node());
+    } else {
+        window.addEventListener('resize', () => {
+            handleCanvasResize();
+            updateExportPanel();
+        }, { signal });
+    }
+    watchPixelRatio();
+
+    if (urlState) {
+        // Restore a shared view, and step through the view history with back and forward
+        applyUrlState(window.location.hash);
+        window.addEventListener('popstate', () => applyUrlState(window.location.hash), { signal });
+    }
+
+    loadWorldData(currentDataSource);
+
+    /**
+     * Stops the map and removes it from its container: removes its listeners on the
+     * window and the canvas, detaches the zoom behaviour, cancels the pending frame,
+     * animations and timers, and ignores map data still loading.
+     */
+    function destroy() {
+        if (isDestroyed) return;
+        isDestroyed = true;
+        stopViewAnimations();
+        frameScheduler.cancel();
+        listenerController.abort();
+        resizeObserver?.disconnect();
+        d3.select(globeContext.canvas).on(".zoom", null);
+        clearTimeout(settleTimeoutId);
+        clearTimeout(urlUpdateTimeoutId);
+        clearInterval(frameStatsIntervalId);
+        clearInterval(sunClockIntervalId);
+        dataLoadId++;
+        for (const state of [mapTheme, countrySelection, choroplethLayer, markerLayer, layerStack, importedLayers,
+            trackPlayer, dayNightLayer, distortionLayer]) {
+            state.on(".globe", null);
+        }
+        countrySelection.on(".url", null);
+        root.remove();
+    }
+
+    return {
+        element: root,
+        mapController,
+        countrySelection,
+        choroplethLayer,
+        markerLayer,
+        layerStack,
+        trackPlayer,
+        importedLayers,
+        dayNightLayer,
+        distortionLayer,
+        mapTheme,
+        destroy
+    };
+}
@@ -0,0 +1,180 @@
+/**
+ * Markup of a map: the canvas with its controls, panels and overlays. Elements carry
+ * class names rather than ids, so several maps can be on one page; the map finds them
+ * within its own root element.
+ */
+
+export const GLOBE_MAPPER_MARKUP = `
+<div class="globe-canvas-wrapper">
+  <canvas class="globe-canvas" tabindex="0" aria-label="Map view. Drag or use the arrow keys to move, pinch or press plus and minus to zoom, press N to reset north, P to switch projection and F to show frame statistics."></canvas>
+</div>
+<div class="controls">
+  <select class="projection-select" aria-label="Projection"></select>
+  <button class="projection-toggle">Transform Projection</button>
+  <select class="resolution-select" aria-label="Map detail"></select>
+  <select class="theme-select" aria-label="Map theme"></select>
+  <button class="reset-north tool-button" type="button">Reset North</button>
+  <button class="north-lock-toggle tool-button" aria-pressed="false">North Up</button>
+  <button class="route-toggle tool-button" aria-pressed="false">Draw Route</button>
+  <button class="data-layer-toggle tool-button" aria-pressed="false">Data Layer</button>
+  <button class="marker-toggle tool-button" aria-pressed="false">Markers</button>
+  <button class="layer-toggle tool-button" aria-pressed="false">Layers</button>
+  <button class="track-toggle tool-button" aria-pressed="false">Tracks</button>
+  <button class="day-night-toggle tool-button" aria-pressed="false">Day/Night</button>
+  <button class="distortion-toggle tool-button" aria-pressed="false">Distortion</button>
+  <button class="export-toggle tool-button" aria-pressed="false">Export</button>
+  <canvas class="legend-canvas" width="260" height="58" hidden></canvas>
+</div>
+<div class="panels">
+  <div class="route-panel panel" hidden>
+    <div class="panel-header">
+      <span class="panel-title">Great-circle route</span>
+      <select class="route-unit-select" aria-label="Distance unit"></select>
+      <button class="route-clear" type="button">Clear</button>
+    </div>
+    <div class="route-summary"></div>
+  </div>
+  <div class="data-panel panel" hidden>
+    <div class="panel-header">
+      <span class="panel-title">Choropleth data</span>
+      <button class="data-clear" type="button">Clear</button>
+    </div>
+    <label class="panel-row">Table (CSV or JSON)
+      <input class="data-file" type="file" accept=".csv,.json,text/csv,application/json">
+    </label>
+    <label class="panel-row">Country code column
+      <select class="data-key-select"></select>
+    </label>
+    <label class="panel-row">Value column
+      <select class="data-value-select"></select>
+    </label>
+    <label class="panel-row">Scale
+      <select class="data-scale-select"></select>
+    </label>
+    <div class="data-summary"></div>
+  </div>
+  <div class="marker-panel panel" hidden>
+    <div class="panel-header">
+      <span class="panel-title">Markers</span>
+      <button class="marker-clear" type="button">Clear</button>
+    </div>
+    <label class="panel-row">Points (GeoJSON or CSV)
+      <input class="marker-file" type="file" accept=".geojson,.json,.csv,application/geo+json,application/json,text/csv">
+    </label>
+    <label class="panel-row">Size by
+      <select class="marker-size-select"></select>
+    </label>
+    <label class="panel-row">Icon
+      <select class="marker-icon-select"></select>
+    </label>
+    <label class="panel-row">Colour
+      <input class="marker-color" type="color" value="#ff6600">
+    </label>
+    <label class="panel-row">Cluster nearby markers
+      <input class="marker-cluster" type="checkbox" checked>
+    </label>
+    <div class="marker-summary"></div>
+  </div>
+  <div class="layer-panel panel" hidden>
+    <div class="panel-header">
+      <span class="panel-title">Layers</span>
+      <select class="layer-add-select" aria-label="Add layer"></select>
+      <button class="layer-reset" type="button">Reset</button>
+    </div>
+    <ul class="layer-list" aria-label="Layers, top layer first"></ul>
+    <label class="panel-row">Import files (GeoJSON, TopoJSON, KML, GPX)
+      <input class="import-file" type="file" multiple accept=".geojson,.json,.topojson,.kml,.gpx,application/geo+json,application/json,application/vnd.google-earth.kml+xml,application/gpx+xml">
+    </label>
+    <div class="import-summary" role="status"></div>
+  </div>
+  <div class="track-panel panel" hidden>
+    <div class="panel-header">
+      <span class="panel-title">Track playback</span>
+      <button class="track-clear" type="button">Clear</button>
+    </div>
+    <label class="panel-row">Tracks (CSV, GeoJSON, KML or GPX)
+      <input class="track-file" type="file" accept=".csv,.geojson,.json,.kml,.gpx,text/csv,application/geo+json,application/json,application/vnd.google-earth.kml+xml,application/gpx+xml">
+    </label>
+    <div class="panel-row">
+      <button class="track-play" type="button" aria-pressed="false">Play</button>
+      <input class="track-time" type="range" step="any" aria-label="Playback time">
+    </div>
+    <div class="track-time-label" aria-live="off"></div>
+    <label class="panel-row">Speed
+      <select class="track-speed-select"></select>
+    </label>
+    <label class="panel-row">Trail
+      <select class="track-trail-select"></select>
+    </label>
+    <label class="panel-row">Follow
+      <select class="track-follow-select"></select>
+    </label>
+    <div class="track-summary"></div>
+  </div>
+  <div class="day-night-panel panel" hidden>
+    <div class="panel-header">
+      <span class="panel-title">Day and night</span>
+    </div>
+    <label class="panel-row">Now
+      <input class="day-night-now" type="checkbox" checked>
+    </label>
+    <label class="panel-row">Date (UTC)
+      <input class="day-night-date" type="date" required>
+    </label>
+    <label class="panel-row">Time of day (UTC)
+      <input class="day-night-time" type="range" min="0" max="1439" step="1" value="720">
+    </label>
+    <div class="panel-row">Twilight
+      <span class="day-night-bands"></span>
+    </div>
+    <div class="day-night-summary"></div>
+  </div>
+  <div class="distortion-panel panel" hidden>
+    <div class="panel-header">
+      <span class="panel-title">Distortion</span>
+    </div>
+    <label class="panel-row">Tissot's indicatrices
+      <input class="distortion-tissot" type="checkbox" checked>
+    </label>
+    <label class="panel-row">Grid
+      <select class="distortion-step-select"></select>
+    </label>
+    <label class="panel-row">Radius
+      <select class="distortion-radius-select"></select>
+    </label>
+    <label class="panel-row">Heatmap
+      <select class="distortion-heatmap-select"></select>
+    </label>
+    <div class="distortion-summary"></div>
+  </div>
+  <div class="export-panel panel" hidden>
+    <div class="panel-header">
+      <span class="panel-title">Export view</span>
+      <button class="export-start" type="button">Export</button>
+    </div>
+    <label class="panel-row">Format
+      <select class="export-format-select"></select>
+    </label>
+    <label class="panel-row">Resolution
+      <select class="export-scale-select"></select>
+    </label>
+    <label class="panel-row">Animation
+      <select class="export-animation-select"></select>
+    </label>
+    <div class="export-summary" role="status"></div>
+  </div>
+</div>
+<div class="cursor-readout">
+  <div class="readout-dms">—</div>
+  <div class="readout-decimal"></div>
+  <div class="readout-country"></div>
+  <div class="readout-scale"></div>
+</div>
+<div class="country-tooltip" role="tooltip" hidden>
+  <div class="tooltip-name"></div>
+  <div class="tooltip-id"></div>
+  <div class="tooltip-value"></div>
+</div>
+<div class="data-status" role="status" hidden></div>
+<div class="frame-stats" hidden></div>
+`;
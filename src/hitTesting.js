@@ -0,0 +1,52 @@
+/**
+ * Hit testing of geographic features against locations on the sphere.
+ */
+
+import * as d3 from 'd3';
+
+// Bounding boxes are expensive to compute, so they are cached per feature object
+const featureBoundsCache = new WeakMap();
+
+function featureBounds(feature) {
+    let bounds = featureBoundsCache.get(feature);
+    if (!bounds) {
+        bounds = d3.geoBounds(feature);
+        featureBoundsCache.set(feature, bounds);
+    }
+    return bounds;
+}
+
+/**
+ * Quick rejection test against a feature's bounding box.
+ * Boxes crossing the antimeridian have a western edge greater than their eastern edge.
+ */
+function boundsContain([[west, south], [east, north]], [longitude, latitude]) {
+    if (latitude < south || latitude > north) return false;
+    return west <= east ?
+        longitude >= west && longitude <= east :
+        longitude >= west || longitude <= east;
+}
+
+/**
+ * Finds the feature containing a location.
+ *
+ * @param {Object} featureCollection - GeoJSON FeatureCollection to search
+ * @param {number[]} location - [longitude, latitude] in degrees
+ * @returns {Object|null} The first feature containing the location, or null
+ */
+export function findFeatureAt(featureCollection, location) {
+    return featureCollection.features.find(feature =>
+        boundsContain(featureBounds(feature), location) && d3.geoContains(feature, location)
+    ) || null;
+}
+
+/**
+ * Stable identifier of a feature, used to track hover and selection across
+ * data reloads and resolutions. Falls back to the name for features without an ID.
+ *
+ * @param {Object} feature - GeoJSON feature
+ * @returns {string|number|undefined} Feature key
+ */
+export function featureKey(feature) {
+    return feature.id ?? feature.properties?.name;
+}
@@ -0,0 +1,433 @@
+/**
+ * Imported layers: the user's own GeoJSON, TopoJSON, KML and GPX files, read into
+ * GeoJSON features and drawn on the globe, one layer per file.
+ */
+
+import * as d3 from 'd3';
+import { toFeatureCollection } from './dataSources.js';
+
+/**
+ * File formats that can be imported, with the file extensions they are recognised by.
+ * GeoJSON and TopoJSON files are told apart by their content, whatever their extension.
+ */
+export const IMPORT_FORMATS = {
+    geojson: { label: "GeoJSON", extensions: ["geojson", "json"] },
+    topojson: { label: "TopoJSON", extensions: ["topojson"] },
+    kml: { label: "KML", extensions: ["kml"] },
+    gpx: { label: "GPX", extensions: ["gpx"] }
+};
+
+const DEFAULT_STYLE = { width: 1.5, fillOpacity: 0.3, pointRadius: 4 };
+
+/**
+ * Finds the import format of a file from its name.
+ *
+ * @param {string} fileName - File name or URL
+ * @returns {string} Key in IMPORT_FORMATS
+ */
+export function importFormat(fileName) {
+    const extension = (/\.([^./?#]+)($|[?#])/.exec(fileName)?.[1] ?? "").toLowerCase();
+    const format = Object.keys(IMPORT_FORMATS).find(name => IMPORT_FORMATS[name].extensions.includes(extension));
+    if (!format) {
+        throw new Error(`Unsupported file type "${extension ? `.${extension}` : fileName}" (expected GeoJSON, TopoJSON, KML or GPX)`);
+    }
+    return format;
+}
+
+function parseXml(text) {
+    const document = new DOMParser().parseFromString(text, "application/xml");
+    if (document.getElementsByTagName("parsererror").length > 0) {
+        throw new Error("The file is not well-formed XML");
+    }
+    return document;
+}
+
+// KML and GPX may or may not use namespace prefixes, so elements are matched by local name
+const childElements = (element, name) => [...element.children].filter(child => child.localName === name);
+const childElement = (element, name) => childElements(element, name)[0] ?? null;
+const childText = (element, name) => childElement(element, name)?.textContent.trim() ?? null;
+
+/**
+ * Reads a KML coordinates string ("lon,lat[,alt] lon,lat[,alt] ...")
+ */
+function kmlCoordinates(element) {
+    const text = childText(element, "coordinates") ?? "";
+    return text.split(/\s+/).filter(Boolean).map(tuple => tuple.split(",").slice(0, 2).map(Number));
+}
+
+function kmlGeometries(element) {
+    return [...element.children].flatMap(child => {
+        switch (child.localName) {
+            case "Point":
+                return [{ type: "Point", coordinates: kmlCoordinates(child)[0] }];
+            case "LineString":
+                return [{ type: "LineString", coordinates: kmlCoordinates(child) }];
+            case "LinearRing":
+                return [{ type: "Polygon", coordinates: [kmlCoordinates(child)] }];
+            case "Polygon": {
+                const rings = [
+                    ...childElements(child, "outerBoundaryIs"),
+                    ...childElements(child, "innerBoundaryIs")
+                ].flatMap(boundary => childElements(boundary, "LinearRing").map(kmlCoordinates));
+                return [{ type: "Polygon", coordinates: rings }];
+            }
+            case "MultiGeometry":
+                return kmlGeometries(child);
+            default:
+                return [];
+        }
+    });
+}
+
+function kmlProperties(placemark) {
+    const properties = {};
+    for (const name of ["name", "description"]) {
+        const value = childText(placemark, name);
+        if (value !== null) properties[name] = value;
+    }
+    for (const data of placemark.getElementsByTagName("*")) {
+        if (data.localName === "Data") {
+            properties[data.getAttribute("name")] = childText(data, "value");
+        } else if (data.localName === "SimpleData") {
+            properties[data.getAttribute("name")] = data.textContent.trim();
+        }
+    }
+    return properties;
+}
+
+function parseKml(text) {
+    const features = [...parseXml(text).getElementsByTagName("*")]
+        .filter(element => element.localName === "Placemark")
+        .map(placemark => {
+            const geometries = kmlGeometries(placemark);
+            return {
+                type: "Feature",
+                properties: kmlProperties(placemark),
+                geometry: geometries.length === 0 ? null :
+                    geometries.length === 1 ? geometries[0] :
+                        { type: "GeometryCollection", geometries }
+            };
+        });
+    return { type: "FeatureCollection", features };
+}
+
+const gpxPoint = point => [+point.getAttribute("lon"), +point.getAttribute("lat")];
+
+function gpxProperties(element) {
+    const properties = {};
+    for (const name of ["name", "desc", "type", "ele", "time"]) {
+        const value = childText(element, name);
+        if (value !== null) properties[name] = value;
+    }
+    return properties;
+}
+
+/**
+ * Reads the waypoints, routes and tracks of a GPX file. Tracks keep the time of their
+ * points, when recorded, in a `coordTimes` property (one array of ISO 8601 strings per segment).
+ */
+function parseGpx(text) {
+    const gpx = parseXml(text).documentElement;
+    const features = [];
+    for (const waypoint of childElements(gpx, "wpt")) {
+        features.push({ type: "Feature", properties: gpxProperties(waypoint), geometry: { type: "Point", coordinates: gpxPoint(waypoint) } });
+    }
+    for (const route of childElements(gpx, "rte")) {
+        features.push({
+            type: "Feature",
+            properties: gpxProperties(route),
+            geometry: { type: "LineString", coordinates: childElements(route, "rtept").map(gpxPoint) }
+        });
+    }
+    for (const track of childElements(gpx, "trk")) {
+        const segments = childElements(track, "trkseg").map(segment => childElements(segment, "trkpt"));
+        const properties = gpxProperties(track);
+        if (segments.some(points => points.some(point => childElement(point, "time")))) {
+            properties.coordTimes = segments.map(points => points.map(point => childText(point, "time")));
+        }
+        features.push({
+            type: "Feature",
+            properties,
+            geometry: { type: "MultiLineString", coordinates: segments.map(points => points.map(gpxPoint)) }
+        });
+    }
+    return { type: "FeatureCollection", features };
+}
+
+const isValidPosition = position => Array.isArray(position) && position.length >= 2 &&
+    Number.isFinite(position[0]) && Number.isFinite(position[1]) && Math.abs(position[1]) <= 90;
+
+/**
+ * Whether a geometry can be drawn: known type, valid positions, and enough of them for
+ * lines and rings.
+ */
+function isValidGeometry(geometry) {
+    if (!geometry) return false;
+    const { type, coordinates } = geometry;
+    const isLine = line => Array.isArray(line) && line.length >= 2 && line.every(isValidPosition);
+    const isPolygon = rings => Array.isArray(rings) && rings.length > 0 &&
+        rings.every(ring => isLine(ring) && ring.length >= 4);
+    switch (type) {
+        case "Point":
+            return isValidPosition(coordinates);
+        case "MultiPoint":
+            return Array.isArray(coordinates) && coordinates.every(isValidPosition);
+        case "LineString":
+            return isLine(coordinates);
+        case "MultiLineString":
+            return Array.isArray(coordinates) && coordinates.every(isLine);
+        case "Polygon":
+            return isPolygon(coordinates);
+        case "MultiPolygon":
+            return Array.isArray(coordinates) && coordinates.every(isPolygon);
+        case "GeometryCollection":
+            return Array.isArray(geometry.geometries) && geometry.geometries.every(isValidGeometry);
+        default:
+            return false;
+    }
+}
+
+const HEMISPHERE_AREA = 2 * Math.PI; // Steradians
+
+/**
+ * Puts the rings of a polygon in the winding order d3 expects: exterior rings clockwise
+ * and holes anticlockwise (as seen on a map), the opposite of RFC 7946 GeoJSON. With the
+ * wrong order d3.geoPath fills everything outside the polygon instead. Assumes no ring
+ * encloses more than a hemisphere, which holds for nearly all real-world data, so a
+ * polygon that still covers more than a hemisphere once rewound has malformed rings
+ * (e.g., a hole listed before the exterior ring, or larger than it).
+ *
+ * @returns {{rings: number[][][], isOversized: boolean}} Rings, and whether the rewound
+ *     polygon still covers more than a hemisphere
+ */
+function rewindPolygon(rings) {
+    const rewound = rings.map((ring, index) => {
+        const isSmall = d3.geoArea({ type: "Polygon", coordinates: [ring] }) <= HEMISPHERE_AREA;
+        // Alone, an exterior ring encloses its small inside and a hole the large outside
+        return isSmall === (index === 0) ? ring : [...ring].reverse();
+    });
+    return {
+        rings: rewound,
+        isOversized: d3.geoArea({ type: "Polygon", coordinates: rewound }) > HEMISPHERE_AREA
+    };
+}
+
+/**
+ * Rewinds the polygons of a geometry (see rewindPolygon).
+ *
+ * @returns {{geometry: Object, oversized: number}} Geometry, and the number of polygons that
+ *     still cover more than a hemisphere
+ */
+function rewindGeometry(geometry) {
+    if (geometry.type === "Polygon") {
+        const { rings, isOversized } = rewindPolygon(geometry.coordinates);
+        return { geometry: { ...geometry, coordinates: rings }, oversized: isOversized ? 1 : 0 };
+    }
+    if (geometry.type === "MultiPolygon") {
+        const polygons = geometry.coordinates.map(rewindPolygon);
+        return {
+            geometry: { ...geometry, coordinates: polygons.map(polygon => polygon.rings) },
+            oversized: polygons.filter(polygon => polygon.isOversized).length
+        };
+    }
+    if (geometry.type === "GeometryCollection") {
+        const parts = geometry.geometries.map(rewindGeometry);
+        return {
+            geometry: { ...geometry, geometries: parts.map(part => part.geometry) },
+            oversized: d3.sum(parts, part => part.oversized)
+        };
+    }
+    return { geometry, oversized: 0 };
+}
+
+/**
+ * Reads a GeoJSON, TopoJSON, KML or GPX file into GeoJSON features that d3 draws correctly.
+ * Features without a valid geometry are skipped, and polygons are rewound to d3's winding
+ * order. Skipped features and polygons that still cover more than a hemisphere once
+ * rewound are counted so they can be reported.
+ *
+ * @param {string} text - File contents
+ * @param {string} format - Key in IMPORT_FORMATS (see importFormat)
+ * @returns {{collection: Object, format: string, skipped: number, oversized: number}} FeatureCollection,
+ *     the format actually found (TopoJSON may come as .json), the number of features skipped
+ *     and the number of polygons covering more than a hemisphere
+ */
+export function parseGeoFile(text, format) {
+    let collection;
+    let foundFormat = format;
+    if (format === "kml") {
+        collection = parseKml(text);
+    } else if (format === "gpx") {
+        collection = parseGpx(text);
+    } else if (Object.hasOwn(IMPORT_FORMATS, format)) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`The file is not valid JSON (${error.message})`);
+        }
+        foundFormat = data?.type === "Topology" ? "topojson" : "geojson";
+        collection = toFeatureCollection(data);
+    } else {
+        throw new Error(`Unsupported import format "${format}"`);
+    }
+
+    let skipped = 0;
+    let oversized = 0;
+    const features = [];
+    for (const feature of collection.features ?? []) {
+        if (!isValidGeometry(feature?.geometry)) {
+            skipped++;
+            continue;
+        }
+        const result = rewindGeometry(feature.geometry);
+        oversized += result.oversized;
+        features.push({ ...feature, properties: feature.properties ?? {}, geometry: result.geometry });
+    }
+    if (features.length === 0) {
+        throw new Error(skipped > 0 ? `None of the ${skipped} features has a valid geometry` : "The file contains no features");
+    }
+    return { collection: { type: "FeatureCollection", features }, format: foundFormat, skipped, oversized };
+}
+
+/**
+ * Sorts the geometries of features into polygons, lines and points, which are drawn differently.
+ */
+function splitGeometries(features) {
+    const groups = { polygons: [], lines: [], points: [] };
+    const visit = geometry => {
+        switch (geometry.type) {
+            case "Polygon":
+            case "MultiPolygon":
+                groups.polygons.push(geometry);
+                break;
+            case "LineString":
+            case "MultiLineString":
+                groups.lines.push(geometry);
+                break;
+            case "Point":
+            case "MultiPoint":
+                groups.points.push(geometry);
+                break;
+            case "GeometryCollection":
+                geometry.geometries.forEach(visit);
+                break;
+        }
+    };
+    features.forEach(feature => visit(feature.geometry));
+    return Object.fromEntries(Object.entries(groups)
+        .map(([group, geometries]) => [group, { type: "GeometryCollection", geometries }]));
+}
+
+/**
+ * Creates the collection of imported layers, in the order they were added. Their
+ * drawing order and visibility are kept by the layer stack (see layerStack.js).
+ * Listeners registered with `on("change", callback)` are called whenever a layer is
+ * added, removed or restyled.
+ *
+ * @returns {Object} Imported layers
+ */
+export function createImportedLayers() {
+    let layers = [];
+    let layerCount = 0;
+    const listeners = d3.dispatch("change");
+
+    const find = id => {
+        const layer = layers.find(candidate => candidate.id === id);
+        if (!layer) {
+            throw new Error(`Unknown layer "${id}"`);
+        }
+        return layer;
+    };
+    const changed = () => listeners.call("change", collection);
+
+    const collection = {
+        layers() {
+            return layers;
+        },
+        get(id) {
+            return find(id);
+        },
+        /**
+         * Adds a layer drawing a FeatureCollection. Layers get a colour of their own
+         * unless one is given.
+         *
+         * @returns {Object} Layer, with `id`, `name`, `format`, `features` and `style`
+         */
+        add(name, features, { format = "geojson", style = {} } = {}) {
+            const layer = {
+                id: `layer-${++layerCount}`,
+                name,
+                format,
+                features,
+                geometry: splitGeometries(features.features),
+                style: { color: d3.schemeTableau10[(layerCount - 1) % 10], ...DEFAULT_STYLE, ...style }
+            };
+            layers = [...layers, layer];
+            changed();
+            return layer;
+        },
+        remove(id) {
+            find(id);
+            layers = layers.filter(layer => layer.id !== id);
+            changed();
+            return collection;
+        },
+        /**
+         * Changes the `color`, line `width`, `fillOpacity` or `pointRadius` of a layer.
+         */
+        setStyle(id, style) {
+            const layer = find(id);
+            layer.style = { ...layer.style, ...style };
+            changed();
+            return collection;
+        },
+        on(type, callback) {
+            if (arguments.length < 2) return listeners.on(type);
+            listeners.on(type, callback);
+            return collection;
+        }
+    };
+    return collection;
+}
+
+/**
+ * Draws an imported layer: polygons filled and outlined, lines stroked and points as dots,
+ * all in the layer's colour.
+ *
+ * @param {CanvasRenderingContext2D|Object} context - Context to draw into
+ * @param {Function} path - d3.geoPath bound to the context
+ * @param {Object} layer - Layer of an imported layers collection
+ */
+export function renderImportedLayer(context, path, layer) {
+    const { color, width, fillOpacity, pointRadius } = layer.style;
+    const { polygons, lines, points } = layer.geometry;
+    context.save();
+    context.fillStyle = color;
+    context.strokeStyle = color;
+    context.lineWidth = width;
+    context.lineJoin = "round";
+    context.lineCap = "round";
+    context.setLineDash([]);
+
+    if (polygons.geometries.length > 0) {
+        const opacity = context.globalAlpha;
+        context.beginPath();
+        path(polygons);
+        context.globalAlpha = opacity * fillOpacity;
+        context.fill();
+        context.globalAlpha = opacity;
+        context.stroke();
+    }
+    if (lines.geometries.length > 0) {
+        context.beginPath();
+        path(lines);
+        context.stroke();
+    }
+    if (points.geometries.length > 0) {
+        context.beginPath();
+        path.pointRadius(pointRadius)(points);
+        context.fill();
+    }
+    context.restore();
+}
@@ -0,0 +1,100 @@
+/**
+ * Helpers for drawing the map cheaply: offscreen caches for layers that did not change
+ * since the last frame, and geometry simplification for frames drawn while the view moves.
+ */
+
+/**
+ * Creates a cache holding one layer drawn on an offscreen canvas. The layer is redrawn
+ * only when its key changes; otherwise the cached pixels are copied.
+ *
+ * @returns {{draw: Function, clear: Function}} Cache
+ */
+export function createLayerCache() {
+    const canvas = document.createElement('canvas');
+    const context = canvas.getContext('2d');
+    let cachedKey = null;
+
+    return {
+        /**
+         * Draws the layer onto a target context.
+         *
+         * @param {CanvasRenderingContext2D} target - Context to draw onto, in CSS pixels
+         * @param {string} key - Identifies everything the layer's pixels depend on
+         * @param {{width: number, height: number, pixelRatio: number}} size - Canvas size in CSS
+         *     pixels, and backing store pixels per CSS pixel
+         * @param {Function} drawLayer - Draws the layer into the context it is given
+         */
+        draw(target, key, { width, height, pixelRatio }, drawLayer) {
+            if (key !== cachedKey) {
+                const backingWidth = Math.round(width * pixelRatio);
+                const backingHeight = Math.round(height * pixelRatio);
+                if (canvas.width !== backingWidth || canvas.height !== backingHeight) {
+                    canvas.width = backingWidth;
+                    canvas.height = backingHeight;
+                }
+                context.setTransform(1, 0, 0, 1, 0, 0);
+                context.clearRect(0, 0, backingWidth, backingHeight);
+                context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+                drawLayer(context);
+                cachedKey = key;
+            }
+            target.drawImage(canvas, 0, 0, width, height);
+        },
+        clear() {
+            cachedKey = null;
+        }
+    };
+}
+
+/**
+ * Creates a stream transform for projected geometry that drops line and ring points
+ * lying within a screen distance of the previous point kept. The last point of every
+ * line and ring is kept, so outlines stay closed and lines end where they should.
+ * Use it between a projection and its output:
+ * `d3.geoPath({stream: output => projection.stream(simplify(output))}, context)`.
+ *
+ * @param {number} tolerance - Distance in pixels
+ * @returns {Function} Wraps an output stream
+ */
+export function screenSimplification(tolerance) {
+    const squaredTolerance = tolerance * tolerance;
+
+    return output => {
+        let isInLine = false;
+        let lastX;
+        let lastY;
+        let skippedPoint = null;
+
+        return {
+            point(x, y) {
+                if (!isInLine) {
+                    output.point(x, y);
+                } else if (lastX === undefined || (x - lastX) ** 2 + (y - lastY) ** 2 >= squaredTolerance) {
+                    output.point(x, y);
+                    lastX = x;
+                    lastY = y;
+                    skippedPoint = null;
+                } else {
+                    skippedPoint = [x, y];
+                }
+            },
+            lineStart() {
+                isInLine = true;
+                lastX = lastY = undefined;
+                skippedPoint = null;
+                output.lineStart();
+            },
+            lineEnd() {
+                if (skippedPoint) output.point(...skippedPoint);
+                isInLine = false;
+                output.lineEnd();
+            },
+            polygonStart() {
+                output.polygonStart();
+            },
+            polygonEnd() {
+                output.polygonEnd();
+            }
+        };
+    };
+}
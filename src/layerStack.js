@@ -0,0 +1,175 @@
+/**
+ * Layer stack: the order, visibility and opacity of the layers drawn on the map, and
+ * their settings. The stack only describes the layers; the map draws them.
+ *
+ * Entries are {id, type, visible, opacity} objects, plus `step` for the graticule, listed
+ * from the bottom layer to the top one. Built-in layers use their type as id, so each
+ * appears at most once; imported layers use the id of their imported layer.
+ */
+
+import * as d3 from 'd3';
+
+/**
+ * Layer types. `clip` selects the clip angle the layer is drawn with on clipped
+ * projections: "land" layers hide behind the horizon with the countries, "overlay"
+ * layers open up with the rest of the sphere during transitions. `builtIn` layers can be
+ * added back from the layer manager once removed.
+ */
+export const LAYER_TYPES = {
+    countries: { label: "Countries and ocean", clip: "land", builtIn: true },
+    imported: { label: "Imported layer", clip: "land", builtIn: false },
+    graticule: { label: "Graticule", clip: "overlay", builtIn: true },
+    tropics: { label: "Tropics", clip: "overlay", builtIn: true },
+    polarCircles: { label: "Polar circles", clip: "overlay", builtIn: true },
+    sphere: { label: "Sphere outline", clip: "overlay", builtIn: true },
+    equator: { label: "Equator", clip: "overlay", builtIn: true },
+    trajectory: { label: "Sample trajectory", clip: "overlay", builtIn: true }
+};
+
+export const GRATICULE_STEPS = [5, 10, 15, 30]; // Degrees between graticule lines
+const DEFAULT_GRATICULE_STEP = 10;
+
+/**
+ * Built-in layers of a new stack, from bottom to top
+ */
+export const DEFAULT_LAYER_STACK = ["countries", "graticule", "tropics", "polarCircles", "sphere", "equator", "trajectory"];
+
+/**
+ * Creates a stack entry, filling in defaults and checking its values.
+ *
+ * @param {Object} description
+ * @param {string} description.type - Key in LAYER_TYPES
+ * @param {string} [description.id] - Layer id; built-in layers always use their type
+ * @param {boolean} [description.visible=true]
+ * @param {number} [description.opacity=1] - Between 0 and 1
+ * @param {number} [description.step] - Degrees between graticule lines
+ * @returns {Object} Entry
+ */
+function createEntry({ type, id = type, visible = true, opacity = 1, step = DEFAULT_GRATICULE_STEP }) {
+    if (!Object.hasOwn(LAYER_TYPES, type)) {
+        throw new Error(`Unknown layer type "${type}"`);
+    }
+    if (!(opacity >= 0 && opacity <= 1)) {
+        throw new Error(`Invalid layer opacity ${opacity}`);
+    }
+    const entry = { id: LAYER_TYPES[type].builtIn ? type : String(id), type, visible: Boolean(visible), opacity };
+    if (type === "graticule") {
+        if (!(step > 0 && step <= 90)) {
+            throw new Error(`Invalid graticule step ${step}`);
+        }
+        entry.step = step;
+    }
+    return entry;
+}
+
+/**
+ * Creates the layer stack, holding the default built-in layers.
+ * Listeners registered with `on("change", callback)` are called whenever a layer is
+ * added, removed, moved, shown, hidden or changed.
+ *
+ * @returns {Object} Layer stack
+ */
+export function createLayerStack() {
+    let entries = DEFAULT_LAYER_STACK.map(type => createEntry({ type }));
+    const listeners = d3.dispatch("change");
+
+    const indexOf = id => {
+        const index = entries.findIndex(entry => entry.id === id);
+        if (index < 0) {
+            throw new Error(`Unknown layer "${id}"`);
+        }
+        return index;
+    };
+    const update = (id, changes) => {
+        const index = indexOf(id);
+        entries = entries.with(index, createEntry({ ...entries[index], ...changes }));
+        listeners.call("change", stack);
+        return stack;
+    };
+
+    const stack = {
+        /**
+         * Entries from the bottom layer to the top one
+         */
+        entries() {
+            return entries;
+        },
+        get(id) {
+            return entries[indexOf(id)];
+        },
+        has(id) {
+            return entries.some(entry => entry.id === id);
+        },
+        /**
+         * Adds a layer (see createEntry for the description), on top unless an index is given.
+         */
+        add(description, index = entries.length) {
+            const entry = createEntry(description);
+            if (stack.has(entry.id)) {
+                throw new Error(`Layer "${entry.id}" is already in the stack`);
+            }
+            entries = entries.toSpliced(Math.max(0, Math.min(entries.length, index)), 0, entry);
+            listeners.call("change", stack);
+            return stack;
+        },
+        remove(id) {
+            entries = entries.toSpliced(indexOf(id), 1);
+            listeners.call("change", stack);
+            return stack;
+        },
+        /**
+         * Moves a layer to a position in the stack, 0 being the bottom.
+         */
+        move(id, index) {
+            const entry = entries[indexOf(id)];
+            const others = entries.filter(other => other !== entry);
+            entries = others.toSpliced(Math.max(0, Math.min(others.length, index)), 0, entry);
+            listeners.call("change", stack);
+            return stack;
+        },
+        setVisible(id, visible) {
+            return update(id, { visible });
+        },
+        setOpacity(id, opacity) {
+            return update(id, { opacity });
+        },
+        setGraticuleStep(step) {
+            return update("graticule", { step });
+        },
+        /**
+         * Plain copy of the entries, for saving the stack (e.g. as JSON) and restoring it later.
+         */
+        state() {
+            return entries.map(entry => ({ ...entry }));
+        },
+        /**
+         * Replaces the stack with saved entries. Entries of unknown types, with invalid
+         * values or repeating a layer are left out.
+         *
+         * @param {Object[]} state - Result of `state()`
+         */
+        restore(state) {
+            const restored = [];
+            for (const description of state) {
+                try {
+                    const entry = createEntry(description);
+                    if (!restored.some(other => other.id === entry.id)) restored.push(entry);
+                } catch {
+                    // Skip the entry
+                }
+            }
+            entries = restored;
+            listeners.call("change", stack);
+            return stack;
+        },
+        reset() {
+            return stack.restore(DEFAULT_LAYER_STACK.map(type => ({ type })));
+        },
+        on(type, callback) {
+            if (arguments.length < 2) return listeners.on(type);
+            listeners.on(type, callback);
+            return stack;
+        }
+    };
+    return stack;
+}
@@ -0,0 +1,24 @@
+/**
+ * GeodesicMapper library entry: the embeddable map components, and the registries their
+ * options and state objects refer to. It works with any bundler, or none: the host serves
+ * the world atlas files of the world-atlas package and passes their URLs to the maps.
+ * Hosts built with Vite can import the URLs of the files bundled as assets from
+ * 'geodesicmapper/world-atlas' (see bundledWorldAtlas.js) instead.
+ *
+ * Usage:
+ *     import { createDualView, createGlobeMapper, worldAtlasSource } from 'geodesicmapper';
+ *     const worldAtlasUrls = { "110m": "/maps/countries-110m.json", "50m": "/maps/countries-50m.json" };
+ *     const mapper = createGlobeMapper(element, { worldAtlasUrls, projection: "mercator", theme: "light" });
+ *     mapper.mapController.flyTo([2.35, 48.85], 4);
+ *     mapper.mapController.setDataSource(worldAtlasSource(worldAtlasUrls, "50m", ["land"]));
+ *     mapper.destroy();
+ *
+ *     // A globe and a Mercator map side by side, showing the same place
+ *     const dualView = createDualView(element, { worldAtlasUrls });
+ */
+
+export { createGlobeMapper } from './globeMapper.js';
+export { createDualView, linkGlobeMappers } from './dualView.js';
+export { PROJECTIONS } from './projections.js';
+export { THEME_PRESETS } from './themes.js';
+export { WORLD_ATLAS_RESOLUTIONS, worldAtlasSource } from './worldAtlas.js';
@@ -0,0 +1,321 @@
+/**
+ * Point marker layer: markers read from GeoJSON or CSV, sized by a numeric property,
+ * clustered by screen distance and drawn on the globe canvas.
+ */
+
+import * as d3 from 'd3';
+import { toFeatureCollection } from './dataSources.js';
+
+/**
+ * Marker icons, drawn with d3 symbol types.
+ */
+export const MARKER_ICONS = {
+    circle: { label: "Circle", symbol: d3.symbolCircle },
+    square: { label: "Square", symbol: d3.symbolSquare },
+    triangle: { label: "Triangle", symbol: d3.symbolTriangle },
+    diamond: { label: "Diamond", symbol: d3.symbolDiamond },
+    star: { label: "Star", symbol: d3.symbolStar },
+    cross: { label: "Cross", symbol: d3.symbolCross }
+};
+
+const DEFAULT_RADIUS = 5; // Marker radius in pixels when markers are not sized by value
+const MIN_RADIUS = 3;
+const MAX_RADIUS = 16;
+
+export const LONGITUDE_COLUMN = /^(lon|lng|long|longitude|x)$/i;
+export const LATITUDE_COLUMN = /^(lat|latitude|y)$/i;
+
+/**
+ * Creates a marker from a plain description, filling in defaults.
+ *
+ * @param {Object} description
+ * @param {number[]} description.location - [longitude, latitude] in degrees
+ * @param {string} [description.label] - Text drawn next to the marker
+ * @param {string} [description.color] - CSS colour (the layer's default colour when omitted)
+ * @param {string} [description.icon] - Key in MARKER_ICONS (the layer's default icon when omitted)
+ * @param {number} [description.value] - Size value, used when the layer is not sized by a property
+ * @param {Object} [description.properties] - Other data of the marker
+ * @returns {Object} Marker
+ */
+export function createMarker({ location, label = "", color = null, icon = null, value = null, properties = {} }) {
+    const [longitude, latitude] = location || [];
+    if (!Number.isFinite(longitude) || !Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+        throw new Error(`Invalid marker location ${JSON.stringify(location)}`);
+    }
+    return {
+        location: [longitude, latitude],
+        label: label === null ? "" : String(label),
+        color,
+        icon: Object.hasOwn(MARKER_ICONS, icon ?? "") ? icon : null,
+        value: Number.isFinite(value) ? value : null,
+        properties
+    };
+}
+
+function markerFromProperties(location, properties) {
+    const value = properties.value;
+    return createMarker({
+        location,
+        label: properties.label ?? properties.name ?? properties.title ?? "",
+        color: properties.color ?? properties["marker-color"] ?? null,
+        icon: properties.icon ?? properties["marker-symbol"] ?? null,
+        value: value === null || value === "" ? null : +value,
+        properties
+    });
+}
+
+/**
+ * Parses markers from GeoJSON (Point and MultiPoint geometries) or from CSV with
+ * longitude and latitude columns. Label, colour, icon and value are read from the
+ * `label`/`name`/`title`, `color`/`marker-color`, `icon`/`marker-symbol` and `value`
+ * properties or columns.
+ *
+ * @param {string} text - File contents
+ * @param {string} format - "geojson" or "csv"
+ * @returns {{markers: Object[], skipped: number}} Markers, and the number of features or rows without a usable point
+ */
+export function parseMarkers(text, format) {
+    const markers = [];
+    let skipped = 0;
+    const tryAdd = (location, properties) => {
+        try {
+            markers.push(markerFromProperties(location, properties));
+        } catch {
+            skipped++;
+        }
+    };
+
+    if (format === "csv") {
+        const rows = d3.csvParse(text, d3.autoType);
+        const longitudeColumn = rows.columns.find(column => LONGITUDE_COLUMN.test(column));
+        const latitudeColumn = rows.columns.find(column => LATITUDE_COLUMN.test(column));
+        if (!longitudeColumn || !latitudeColumn) {
+            throw new Error("CSV needs longitude and latitude columns (e.g., \"lon\" and \"lat\")");
+        }
+        for (const row of rows) {
+            tryAdd([row[longitudeColumn], row[latitudeColumn]], row);
+        }
+    } else if (format === "geojson") {
+        for (const feature of toFeatureCollection(JSON.parse(text)).features) {
+            const geometry = feature.geometry;
+            const properties = feature.properties || {};
+            if (geometry?.type === "Point") {
+                tryAdd(geometry.coordinates, properties);
+            } else if (geometry?.type === "MultiPoint") {
+                geometry.coordinates.forEach(coordinates => tryAdd(coordinates, properties));
+            } else {
+                skipped++;
+            }
+        }
+    } else {
+        throw new Error(`Unsupported marker format "${format}"`);
+    }
+    return { markers, skipped };
+}
+
+/**
+ * Guesses the marker file format from a file name or URL.
+ *
+ * @param {string} name - File name or URL
+ * @returns {string} "csv" or "geojson"
+ */
+export function markerFormat(name) {
+    return /\.csv($|\?)/i.test(name) ? "csv" : "geojson";
+}
+
+/**
+ * Creates the marker layer state.
+ * Listeners registered with `on("change", callback)` are called whenever the markers,
+ * their sizing or their default style change.
+ *
+ * @returns {Object} Marker layer
+ */
+export function createMarkerLayer() {
+    let markers = [];
+    let sizeField = null; // Property that sizes the markers; null sizes them by their `value`
+    let defaultColor = "#ff6600";
+    let defaultIcon = "circle";
+    let clustering = true;
+    let radiusScale = null;
+    const listeners = d3.dispatch("change");
+
+    const sizeValue = marker => {
+        const value = sizeField === null ? marker.value : marker.properties[sizeField];
+        return value === null || value === "" || !Number.isFinite(+value) ? null : Math.abs(+value);
+    };
+
+    function rebuild() {
+        const maximum = d3.max(markers, sizeValue);
+        radiusScale = maximum > 0 ?
+            d3.scaleSqrt().domain([0, maximum]).range([MIN_RADIUS, MAX_RADIUS]) :
+            null;
+        listeners.call("change", layer);
+    }
+
+    const layer = {
+        markers() {
+            return markers;
+        },
+        /**
+         * Adds markers, given as marker descriptions (see createMarker).
+         */
+        add(descriptions) {
+            markers = markers.concat(descriptions.map(createMarker));
+            rebuild();
+            return layer;
+        },
+        clear() {
+            markers = [];
+            sizeField = null;
+            rebuild();
+            return layer;
+        },
+        /**
+         * Sizes the markers by a numeric property, or by their `value` when the field is null.
+         */
+        setSizeField(field) {
+            sizeField = field || null;
+            rebuild();
+            return layer;
+        },
+        columns() {
+            const fields = [...new Set(markers.flatMap(marker => Object.keys(marker.properties)))]
+                .filter(field => !LONGITUDE_COLUMN.test(field) && !LATITUDE_COLUMN.test(field));
+            const valueFields = fields.filter(field =>
+                d3.mean(markers, marker => {
+                    const value = marker.properties[field];
+                    return value !== null && value !== "" && Number.isFinite(+value) ? 1 : 0;
+                }) > 0.5
+            );
+            return { valueFields, sizeField };
+        },
+        setDefaultStyle({ color = defaultColor, icon = defaultIcon } = {}) {
+            defaultColor = color;
+            defaultIcon = Object.hasOwn(MARKER_ICONS, icon) ? icon : defaultIcon;
+            listeners.call("change", layer);
+            return layer;
+        },
+        setClustering(enabled) {
+            clustering = enabled;
+            listeners.call("change", layer);
+            return layer;
+        },
+        isClustering() {
+            return clustering;
+        },
+        radiusFor(marker) {
+            const value = sizeValue(marker);
+            return radiusScale && value !== null ? radiusScale(value) : DEFAULT_RADIUS;
+        },
+        colorFor(marker) {
+            return marker.color ?? defaultColor;
+        },
+        iconFor(marker) {
+            return marker.icon ?? defaultIcon;
+        },
+        on(type, callback) {
+            if (arguments.length < 2) return listeners.on(type);
+            listeners.on(type, callback);
+            return layer;
+        }
+    };
+    return layer;
+}
+
+/**
+ * Groups projected markers that lie within a screen distance of each other.
+ * Clusters are seeded in input order, so the grouping is stable between frames.
+ *
+ * @param {{x: number, y: number, marker: Object}[]} points - Projected markers
+ * @param {number} radius - Clustering distance in pixels
+ * @returns {{x: number, y: number, markers: Object[]}[]} Clusters positioned at the mean of their members
+ */
+export function clusterMarkers(points, radius) {
+    const quadtree = d3.quadtree(points, point => point.x, point => point.y);
+    const clustered = new Set();
+    const clusters = [];
+
+    for (const seed of points) {
+        if (clustered.has(seed)) continue;
+
+        const members = [];
+        quadtree.visit((node, x0, y0, x1, y1) => {
+            if (!node.length) {
+                for (let leaf = node; leaf; leaf = leaf.next) {
+                    const point = leaf.data;
+                    if (!clustered.has(point) && Math.hypot(point.x - seed.x, point.y - seed.y) <= radius) {
+                        clustered.add(point);
+                        members.push(point);
+                    }
+                }
+            }
+            // Skip quadrants that lie entirely outside the clustering distance
+            return x0 > seed.x + radius || x1 < seed.x - radius || y0 > seed.y + radius || y1 < seed.y - radius;
+        });
+
+        clusters.push({
+            x: d3.mean(members, point => point.x),
+            y: d3.mean(members, point => point.y),
+            markers: members.map(point => point.marker)
+        });
+    }
+    return clusters;
+}
+
+/**
+ * Draws markers and marker clusters. Single markers are drawn with their icon,
+ * colour, size and label; clusters as a disc showing the number of markers.
+ *
+ * @param {CanvasRenderingContext2D} context - Context of the globe canvas
+ * @param {{x: number, y: number, markers: Object[]}[]} clusters - Result of clusterMarkers
+ * @param {Object} layer - Marker layer providing the marker styles
+ * @param {Object} style - Outline, label and cluster colours (the `markers` entry of a theme style)
+ */
+export function renderMarkers(context, clusters, layer, style) {
+    const symbol = d3.symbol().context(context);
+    context.save();
+    context.font = "11px system-ui, sans-serif";
+    context.textBaseline = "middle";
+    context.lineJoin = "round";
+
+    for (const { x, y, markers } of clusters) {
+        if (markers.length === 1) {
+            const [marker] = markers;
+            const radius = layer.radiusFor(marker);
+
+            context.save();
+            context.translate(x, y);
+            context.beginPath();
+            symbol.type(MARKER_ICONS[layer.iconFor(marker)].symbol).size(Math.PI * radius * radius)();
+            context.fillStyle = layer.colorFor(marker);
+            context.fill();
+            context.lineWidth = 1;
+            context.strokeStyle = style.outline;
+            context.stroke();
+            context.restore();
+
+            if (marker.label) {
+                context.textAlign = "left";
+                context.lineWidth = 3;
+                context.strokeStyle = style.labelHalo;
+                context.strokeText(marker.label, x + radius + 4, y);
+                context.fillStyle = style.label;
+                context.fillText(marker.label, x + radius + 4, y);
+            }
+        } else {
+            const radius = Math.min(24, 8 + 2 * Math.sqrt(markers.length));
+            context.beginPath();
+            context.arc(x, y, radius, 0, 2 * Math.PI);
+            context.fillStyle = style.clusterFill;
+            context.fill();
+            context.lineWidth = 1.5;
+            context.strokeStyle = style.clusterStroke;
+            context.stroke();
+
+            context.textAlign = "center";
+            context.fillStyle = style.clusterLabel;
+            context.fillText(String(markers.length), x, y);
+        }
+    }
+    context.restore();
+}
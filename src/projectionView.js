@@ -0,0 +1,398 @@
+/**
+ * Projection parameters of a map view: the rotation, scale and translation that show a
+ * view in a registered projection, their blend at any point of a transition, and the
+ * hand-off of the view centre between globes and flat maps. Frames of a view are set up
+ * and drawn here too, from the stack layers up, so that the map and the headless tests
+ * share the same drawing code.
+ *
+ * A view is {rotation, center, zoom}: globes show their rotation, flat maps their centre,
+ * and both are scaled by the zoom factor, so the zoom carries over through transitions.
+ */
+
+import * as d3 from 'd3';
+import { renderImportedLayer } from './importedLayers.js';
+import { LAYER_TYPES } from './layerStack.js';
+import {
+    PROJECTIONS,
+    interpolateClipAngles,
+    isWithinClipAngle,
+    mapCenterFromRotation,
+    mapCenterTranslate,
+    panMapCenterLatitude,
+    rotationFromMapCenter,
+    wrapLongitude
+} from './projections.js';
+
+/**
+ * Whether a projection is navigated like a globe (drag rotates the sphere)
+ * rather than like a flat map (drag pans the map).
+ *
+ * @param {string} projectionName - Key in PROJECTIONS
+ * @returns {boolean}
+ */
+export function isGlobeNavigation(projectionName) {
+    return PROJECTIONS[projectionName].navigation === "rotate";
+}
+
+/**
+ * Rotation, scale and translation of a view in a projection. Globes use the view's
+ * rotation; flat maps rotate their centre longitude to the middle (so panning wraps
+ * around) and translate their centre latitude there.
+ *
+ * @param {string} projectionName - Key in PROJECTIONS
+ * @param {{rotation: number[], center: number[], zoom: number}} view - View to show
+ * @param {Object} fit - Result of fitProjection for the canvas size
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @param {number} canvasHeight - Canvas height in pixels
+ * @returns {{rotation: number[], scale: number, translate: number[]}}
+ */
+export function viewParameters(projectionName, { rotation, center, zoom }, fit, canvasWidth, canvasHeight) {
+    const scale = fit.scale * zoom;
+    if (isGlobeNavigation(projectionName)) {
+        return { rotation, scale, translate: fit.translate };
+    }
+    return {
+        rotation: [-center[0], 0, 0],
+        scale,
+        translate: mapCenterTranslate(projectionName, center[1], scale, canvasWidth, canvasHeight)
+    };
+}
+
+/**
+ * Blends the parameters of the transition's source and target views. The rotation takes
+ * the short way round, whatever turns the globe has accumulated.
+ *
+ * @param {Object} sourceParameters - viewParameters of the source projection
+ * @param {Object} targetParameters - viewParameters of the target projection
+ * @param {number} transitionProgress - Value between 0 (source) and 1 (target)
+ * @returns {{rotation: number[], scale: number, translate: number[]}}
+ */
+export function interpolateViewParameters(sourceParameters, targetParameters, transitionProgress) {
+    const targetRotation = [...targetParameters.rotation];
+    targetRotation[0] = sourceParameters.rotation[0] + wrapLongitude(targetRotation[0] - sourceParameters.rotation[0]);
+    return {
+        rotation: d3.interpolate(sourceParameters.rotation, targetRotation)(transitionProgress),
+        scale: d3.interpolate(sourceParameters.scale, targetParameters.scale)(transitionProgress),
+        translate: d3.interpolate(sourceParameters.translate, targetParameters.translate)(transitionProgress)
+    };
+}
+
+/**
+ * Viewport clip rectangle of a projection with latitude bounds (e.g., Mercator), between
+ * its bounding parallels on the configured projection.
+ *
+ * @param {Object} projection - Configured d3 projection
+ * @param {string} projectionName - Key in PROJECTIONS of the projection that dominates the frame
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @returns {{x: number, y: number, width: number, height: number}|null} Rectangle, or null
+ *     for projections without latitude bounds
+ */
+export function viewportClipRectangle(projection, projectionName, canvasWidth) {
+    const { latitudeBounds } = PROJECTIONS[projectionName];
+    if (!latitudeBounds) return null;
+
+    const centerLongitude = -projection.rotate()[0];
+    const top = projection([centerLongitude, latitudeBounds.MAX])[1];
+    const bottom = projection([centerLongitude, latitudeBounds.MIN])[1];
+    return { x: 0, y: top, width: canvasWidth, height: bottom - top };
+}
+
+/**
+ * Canvas position of a location drawn on a projection with a clip angle, for symbols
+ * drawn at locations (markers, crosshairs) that the projection's own clipping leaves out.
+ *
+ * @param {Object} projection - Configured d3 projection
+ * @param {number[]} location - [longitude, latitude] in degrees
+ * @param {number|null} clipAngle - Clip angle in degrees the map layers are drawn with
+ * @returns {number[]|null} [x, y] canvas pixel, or null when the location is beyond the
+ *     clip angle or doesn't project to a point
+ */
+export function visibleScreenPoint(projection, location, clipAngle) {
+    if (!isWithinClipAngle(location, projection.rotate(), clipAngle)) return null;
+    const point = projection(location);
+    return point && point.every(Number.isFinite) ? point : null;
+}
+
+/**
+ * Hands the view centre over from one projection to another, so the same place stays in
+ * the middle of the view: globes take their rotation from a flat map's centre and flat
+ * maps their centre from a globe's rotation. Flat map centres are then kept within the
+ * map's latitude bounds.
+ *
+ * @param {{rotation: number[], center: number[]}} view - View shown in the source projection
+ * @param {string} sourceProjectionName - Key in PROJECTIONS of the projection left
+ * @param {string} targetProjectionName - Key in PROJECTIONS of the projection shown next
+ * @param {number} targetScale - Scale of the target projection (fitted scale times zoom)
+ * @param {number} canvasHeight - Canvas height in pixels
+ * @returns {{rotation: number[], center: number[]}} View for the target projection
+ */
+export function handOverView({ rotation, center }, sourceProjectionName, targetProjectionName, targetScale, canvasHeight) {
+    const isSourceGlobe = isGlobeNavigation(sourceProjectionName);
+    const isTargetGlobe = isGlobeNavigation(targetProjectionName);
+    let targetRotation = rotation;
+    let targetCenter = center;
+    if (!isSourceGlobe && isTargetGlobe) {
+        targetRotation = rotationFromMapCenter(center);
+    } else if (isSourceGlobe && !isTargetGlobe) {
+        targetCenter = mapCenterFromRotation(rotation);
+    }
+    if (!isTargetGlobe) {
+        targetCenter = [
+            targetCenter[0],
+            panMapCenterLatitude(targetProjectionName, targetCenter[1], 0, targetScale, canvasHeight)
+        ];
+    }
+    return { rotation: targetRotation, center: targetCenter };
+}
+
+/**
+ * Configures the projection of a frame of the transition between two projections (both
+ * the same when no transition runs), showing a view.
+ *
+ * @param {Object} projection - Projection made with createProjectionInterpolator, morphing
+ *     from the raw projection of `source` to that of `target`
+ * @param {Object} frame
+ * @param {string} frame.source - Key in PROJECTIONS of the morph source
+ * @param {string} frame.target - Key in PROJECTIONS of the morph target
+ * @param {{rotation: number[], center: number[], zoom: number}} frame.view - View to show
+ * @param {Object} frame.fits - Results of fitProjection for the canvas size, by projection name
+ * @param {number} frame.width - Canvas width in pixels
+ * @param {number} frame.height - Canvas height in pixels
+ * @param {number} transitionProgress - Value between 0 (morph source) and 1 (morph target)
+ * @returns {Object} Frame to draw: the configured `projection`, its `clipAngles` (see
+ *     interpolateClipAngles), the `latitudeBounds` of the projection that dominates the
+ *     frame and its `viewport` clip rectangle (both null without bounds), the
+ *     `limbShadingWeight` between 0 and 1, and the canvas `width` and `height`
+ */
+export function configureFrame(projection, { source, target, view, fits, width, height }, transitionProgress) {
+    const { rotation, scale, translate } = interpolateViewParameters(
+        viewParameters(source, view, fits[source], width, height),
+        viewParameters(target, view, fits[target], width, height),
+        transitionProgress
+    );
+    projection
+        .alpha(transitionProgress)
+        .rotate(rotation)
+        .scale(scale)
+        .translate(translate);
+
+    const dominantProjection = transitionProgress > 0.5 ? target : source;
+    return {
+        projection,
+        clipAngles: interpolateClipAngles(PROJECTIONS[source].clipAngle, PROJECTIONS[target].clipAngle, transitionProgress),
+        latitudeBounds: PROJECTIONS[dominantProjection].latitudeBounds ?? null,
+        viewport: viewportClipRectangle(projection, dominantProjection, width),
+        // Limb shading fades in and out with the projections that have it
+        limbShadingWeight:
+            (PROJECTIONS[source].limbShading ? 1 - transitionProgress : 0) +
+            (PROJECTIONS[target].limbShading ? transitionProgress : 0),
+        width,
+        height
+    };
+}
+
+/**
+ * Draws a frame: clears the canvas, clips to the viewport and draws the layers from the
+ * bottom up, each with the clip angle it asks for.
+ *
+ * @param {CanvasRenderingContext2D|Object} context - Context to draw into
+ * @param {Object} frame - Frame returned by configureFrame
+ * @param {{clip?: string, draw: Function}[]} layers - Layers drawn with `draw(context)`;
+ *     `clip` ("land" or "overlay") sets the clip angle of the projection first
+ * @param {string|null} [background=null] - Colour filling the canvas first; none leaves it transparent
+ */
+export function drawFrame(context, frame, layers, background = null) {
+    const { projection, clipAngles, viewport, width, height } = frame;
+    context.clearRect(0, 0, width, height);
+    if (background) {
+        context.fillStyle = background;
+        context.fillRect(0, 0, width, height);
+    }
+    context.save();
+    if (viewport) {
+        context.beginPath();
+        context.rect(viewport.x, viewport.y, viewport.width, viewport.height);
+        context.clip();
+    }
+    for (const { clip, draw } of layers) {
+        if (clip) projection.clipAngle(clipAngles[clip]);
+        draw(context);
+    }
+    context.restore();
+}
+
+const SPHERE = { type: "Sphere" };
+const EARTH_OBLIQUITY = 23.4365; // Axial tilt in degrees, the latitude of the tropics
+// Parallels are drawn as dense LineStrings, as d3 joins their points along great circles
+const parallelLine = latitude => d3.range(-180, 181, 1).map(longitude => [longitude, latitude]);
+
+// Geometry of the line layers of the stack, drawn with the theme style of the same name
+// (the sphere layer strokes the outline of the world, see traceOutline)
+const REFERENCE_LINES = {
+    tropics: {
+        type: "MultiLineString",
+        coordinates: [parallelLine(EARTH_OBLIQUITY), parallelLine(-EARTH_OBLIQUITY)]
+    },
+    polarCircles: {
+        type: "MultiLineString",
+        coordinates: [parallelLine(90 - EARTH_OBLIQUITY), parallelLine(EARTH_OBLIQUITY - 90)]
+    },
+    equator: {
+        type: "LineString",
+        coordinates: [[-180, 0], [-90, 0], [0, 0], [90, 0], [180, 0]]
+    },
+    trajectory: {
+        type: "LineString",
+        coordinates: [[-150, -60], [-75, -30], [0, 0], [75, 30], [150, 60]]
+    }
+};
+
+const OUTLINE_STEP = 2; // Degrees between the points of a latitude band outline
+
+const graticules = new Map(); // Graticule MultiLineStrings by step
+
+function graticuleLines(step) {
+    if (!graticules.has(step)) graticules.set(step, d3.geoGraticule().step([step, step])());
+    return graticules.get(step);
+}
+
+/**
+ * Adds the outline of the world to the current path: the sphere, or on projections with
+ * latitude bounds (e.g., Mercator, which sends the poles to infinity) the band between
+ * the bounding parallels, traced point by point so it follows the transition.
+ *
+ * @param {CanvasRenderingContext2D|Object} context - Context to draw into
+ * @param {Function} path - d3.geoPath bound to the context and the frame's projection
+ * @param {Object} frame - Frame returned by configureFrame
+ */
+export function traceOutline(context, path, { projection, latitudeBounds }) {
+    if (!latitudeBounds) {
+        path(SPHERE);
+        return;
+    }
+    // Just inside the antimeridian of the view, so no edge is cut there
+    const centerLongitude = -projection.rotate()[0];
+    const west = centerLongitude - 180 + 1e-6;
+    const east = centerLongitude + 180 - 1e-6;
+    const { MIN: south, MAX: north } = latitudeBounds;
+    const steps = (start, end) => [...d3.range(start, end, Math.sign(end - start) * OUTLINE_STEP), end];
+    const outline = [
+        ...steps(west, east).map(longitude => [longitude, north]),
+        ...steps(north, south).map(latitude => [east, latitude]),
+        ...steps(east, west).map(longitude => [longitude, south]),
+        ...steps(south, north).map(latitude => [west, latitude])
+    ].map(projection);
+    context.moveTo(...outline[0]);
+    for (const point of outline.slice(1)) context.lineTo(...point);
+    context.closePath();
+}
+
+/**
+ * Strokes the current path with the stroke colour, width and dash pattern of a layer style
+ */
+export function strokeWithStyle(context, lineStyle) {
+    context.lineWidth = lineStyle.width;
+    context.strokeStyle = lineStyle.stroke;
+    context.setLineDash(lineStyle.dash ?? []);
+    context.stroke();
+}
+
+/**
+ * Draws the ocean, its limb shading and the countries, filled with their choropleth
+ * colour when there is one, and the night side when it is shown. Parts whose theme
+ * style is null are left out.
+ */
+function drawSurface(context, path, frame, content) {
+    const { style, countries, colorFor, drawNight } = content;
+
+    if (style.ocean) {
+        context.beginPath();
+        traceOutline(context, path, frame);
+        context.fillStyle = style.ocean.fill;
+        context.fill();
+    }
+
+    if (countries) {
+        if (colorFor) {
+            for (const feature of countries.features) {
+                const fill = colorFor(feature) ?? style.noData?.fill;
+                if (!fill) continue;
+                context.beginPath();
+                path(feature);
+                context.fillStyle = fill;
+                context.fill();
+            }
+        }
+        context.beginPath();
+        path(countries);
+        if (!colorFor && style.land) {
+            context.fillStyle = style.land.fill;
+            context.fill();
+        }
+        if (style.borders) strokeWithStyle(context, style.borders);
+    }
+
+    if (drawNight) drawNight(context, path);
+
+    if (style.limbShading && frame.limbShadingWeight > 0) {
+        // Darkens towards the limb like a lit sphere, whose brightness falls with the
+        // cosine of the angle between the surface and the line of sight
+        const [[x0, y0], [x1, y1]] = d3.geoPath(frame.projection).bounds(SPHERE);
+        const radius = Math.max(x1 - x0, y1 - y0) / 2;
+        const gradient = context.createRadialGradient((x0 + x1) / 2, (y0 + y1) / 2, 0, (x0 + x1) / 2, (y0 + y1) / 2, radius);
+        const shadingColor = d3.color(style.limbShading.color);
+        const maxOpacity = shadingColor.opacity;
+        for (const offset of [0, 0.5, 0.7, 0.85, 0.95, 1]) {
+            const opacity = maxOpacity * (1 - Math.sqrt(1 - offset * offset));
+            gradient.addColorStop(offset, shadingColor.copy({ opacity }).formatRgb());
+        }
+
+        context.save();
+        context.globalAlpha *= frame.limbShadingWeight;
+        context.beginPath();
+        path(SPHERE);
+        context.fillStyle = gradient;
+        context.fill();
+        context.restore();
+    }
+}
+
+/**
+ * Draws a layer of the layer stack at its opacity, with the clip angle of its type.
+ * Layers, or parts of the countries layer, whose theme style is null are left out.
+ *
+ * @param {CanvasRenderingContext2D|Object} context - Context to draw into
+ * @param {Function} path - d3.geoPath bound to the context and the frame's projection
+ * @param {Object} frame - Frame returned by configureFrame
+ * @param {Object} entry - Layer stack entry
+ * @param {Object} content - What the layers show
+ * @param {Object} content.style - Theme style
+ * @param {Object|null} content.countries - Country features, or null when none are loaded
+ * @param {Function|null} [content.colorFor] - Choropleth colour of a country feature, or null
+ *     to fill the countries with the land colour
+ * @param {Function|null} [content.drawNight] - Draws the night side with `drawNight(context, path)`
+ * @param {Function} [content.importedLayer] - Imported layer of an id
+ */
+export function drawStackLayer(context, path, frame, entry, content) {
+    const { style } = content;
+    frame.projection.clipAngle(frame.clipAngles[LAYER_TYPES[entry.type].clip]);
+    context.save();
+    context.globalAlpha *= entry.opacity;
+    if (entry.type === "countries") {
+        drawSurface(context, path, frame, content);
+    } else if (entry.type === "imported") {
+        renderImportedLayer(context, path, content.importedLayer(entry.id));
+    } else {
+        const lineStyle = style[entry.type];
+        if (lineStyle) {
+            context.beginPath();
+            if (entry.type === "sphere") {
+                traceOutline(context, path, frame);
+            } else {
+                path(entry.type === "graticule" ? graticuleLines(entry.step) : REFERENCE_LINES[entry.type]);
+            }
+            strokeWithStyle(context, lineStyle);
+        }
+    }
+    context.restore();
+}
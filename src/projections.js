@@ -0,0 +1,438 @@
+/**
+ * Projection registry and morph engine used by the globe renderer.
+ * Every entry carries its raw projection, its clipping behaviour and a fitting
+ * function so the renderer can morph between any two of them.
+ */
+
+import * as d3 from 'd3';
+import { geoRobinsonRaw } from 'd3-geo-projection';
+
+const globeSphere = { type: "Sphere" };
+
+/**
+ * Padding (in pixels) kept between the projected sphere and the canvas edges.
+ */
+const FIT_PADDING = 10;
+
+/**
+ * Creates a custom projection that can smoothly interpolate between two different
+ * map projections (e.g., orthographic to Mercator).
+ * The pair of raw projections can be swapped at any time with `morph()`, so a single
+ * projection instance can be reused for every transition.
+ *
+ * @param {Function} startProjection - Initial raw projection (e.g., orthographic for globe view)
+ * @param {Function} endProjection - Target raw projection (e.g., Mercator for flat map)
+ * @returns {Object} An interpolated projection with an alpha parameter to control transition
+ */
+export function createProjectionInterpolator(startProjection, endProjection) {
+    let startRaw = startProjection;
+    let endRaw = endProjection;
+
+    // At the endpoints the raw projection itself is used, which keeps its exact inverse
+    // and avoids blending against infinite values (e.g., Mercator at the poles)
+    const projectionMutator = d3.geoProjectionMutator(transitionProgress => {
+        if (transitionProgress === 0) return startRaw;
+        if (transitionProgress === 1) return endRaw;
+        const blendedRaw = (longitude, latitude) => {
+            const [x0, y0] = startRaw(longitude, latitude);
+            const [x1, y1] = endRaw(longitude, latitude);
+            return [
+                x0 + transitionProgress * (x1 - x0),
+                y0 + transitionProgress * (y1 - y0)
+            ];
+        };
+        blendedRaw.invert = createNumericInverse(
+            blendedRaw,
+            transitionProgress < 0.5 ? startRaw : endRaw
+        );
+        return blendedRaw;
+    });
+    let transitionProgress = 0;
+    return Object.assign(projectionMutator(transitionProgress), {
+        alpha(progress) {
+            return arguments.length ? projectionMutator(transitionProgress = +progress) : transitionProgress;
+        },
+        morph(start, end) {
+            if (!arguments.length) return [startRaw, endRaw];
+            startRaw = start;
+            endRaw = end;
+            return projectionMutator(transitionProgress);
+        }
+    });
+}
+
+/**
+ * Creates an inverse for a raw projection that has no closed-form one (such as the blend
+ * of two projections) by solving for the location with Newton's method. The search starts
+ * from the inverse of a nearby projection, which keeps it on the visible side of the sphere.
+ *
+ * @param {Function} raw - Raw projection to invert, taking and returning radians
+ * @param {Function} seedRaw - Raw projection whose inverse provides the initial guess
+ * @returns {Function} Inverse raw projection, returning [NaN, NaN] when the search fails
+ */
+function createNumericInverse(raw, seedRaw) {
+    const MAX_ITERATIONS = 25;
+    const TOLERANCE = 1e-9;
+    const STEP = 1e-7;
+    const MAX_LATITUDE = Math.PI / 2 - 1e-6;
+
+    return (x, y) => {
+        let [lambda, phi] = seedRaw.invert ? seedRaw.invert(x, y) : [0, 0];
+        if (!Number.isFinite(lambda) || !Number.isFinite(phi)) {
+            lambda = 0;
+            phi = 0;
+        }
+        phi = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, phi));
+
+        for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+            const [projectedX, projectedY] = raw(lambda, phi);
+            const errorX = projectedX - x;
+            const errorY = projectedY - y;
+            if (Math.abs(errorX) < TOLERANCE && Math.abs(errorY) < TOLERANCE) {
+                return [lambda, phi];
+            }
+
+            // Jacobian of the projection by forward differences
+            const phiStep = phi + STEP > MAX_LATITUDE ? -STEP : STEP;
+            const [lambdaStepX, lambdaStepY] = raw(lambda + STEP, phi);
+            const [phiStepX, phiStepY] = raw(lambda, phi + phiStep);
+            const dxdLambda = (lambdaStepX - projectedX) / STEP;
+            const dydLambda = (lambdaStepY - projectedY) / STEP;
+            const dxdPhi = (phiStepX - projectedX) / phiStep;
+            const dydPhi = (phiStepY - projectedY) / phiStep;
+
+            const determinant = dxdLambda * dydPhi - dxdPhi * dydLambda;
+            if (!Number.isFinite(determinant) || Math.abs(determinant) < 1e-12) break;
+
+            lambda -= (dydPhi * errorX - dxdPhi * errorY) / determinant;
+            phi -= (dxdLambda * errorY - dydLambda * errorX) / determinant;
+            phi = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, phi));
+        }
+        return [NaN, NaN];
+    };
+}
+
+/**
+ * Converts canvas pixels to a location on the sphere, for any projection state.
+ * Returns null for pixels outside the rendered world: points whose inverse doesn't project
+ * back onto them, points beyond the projection's clip angle from the view centre, and
+ * points outside the viewport clip rectangle.
+ *
+ * @param {Object} projection - Configured d3 projection (rotation, scale, translation and clip angle applied)
+ * @param {number[]} point - [x, y] canvas pixel
+ * @param {Object|null} [viewport] - Viewport clip rectangle ({x, y, width, height}) in use
+ * @returns {number[]|null} [longitude, latitude] in degrees, or null if not on the rendered world
+ */
+export function invertScreenPoint(projection, point, viewport = null) {
+    if (!projection.invert) return null;
+
+    const [x, y] = point;
+    if (viewport && (x < viewport.x || x > viewport.x + viewport.width ||
+        y < viewport.y || y > viewport.y + viewport.height)) {
+        return null;
+    }
+
+    const location = projection.invert(point);
+    if (!location || !location.every(Number.isFinite)) return null;
+
+    // Points outside the projected world invert to locations that don't project back onto them
+    const reprojectedPoint = projection(location);
+    if (!reprojectedPoint || Math.hypot(reprojectedPoint[0] - x, reprojectedPoint[1] - y) > 1) return null;
+
+    // d3 reports a disabled clip angle (antimeridian clipping) as 0
+    return isWithinClipAngle(location, projection.rotate(), projection.clipAngle()) ? location : null;
+}
+
+/**
+ * Whether a location is on the side of the globe a clipped projection shows: within the
+ * clip angle of the centre of the view.
+ *
+ * @param {number[]} location - [longitude, latitude] in degrees
+ * @param {number[]} rotation - [lambda, phi, gamma] rotation of the projection in degrees
+ * @param {number|null} clipAngle - Clip angle in degrees; every location is shown without one (null or 0)
+ * @returns {boolean}
+ */
+export function isWithinClipAngle(location, rotation, clipAngle) {
+    if (!clipAngle) return true;
+    return d3.geoDistance(location, mapCenterFromRotation(rotation)) <= clipAngle * Math.PI / 180;
+}
+
+/**
+ * Fits a projection so the whole (clipped) sphere fits inside the canvas.
+ *
+ * @param {Object} definition - Registry entry of the projection
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @param {number} canvasHeight - Canvas height in pixels
+ * @returns {{scale: number, translate: number[], viewport: Object|null, worldWidth: number|null}}
+ */
+function fitSphere(definition, canvasWidth, canvasHeight) {
+    const fittedProjection = d3.geoProjection(definition.raw)
+        .clipAngle(definition.clipAngle)
+        .fitExtent([
+            [FIT_PADDING, FIT_PADDING],
+            [canvasWidth - FIT_PADDING, canvasHeight - FIT_PADDING]
+        ], globeSphere);
+
+    const scale = fittedProjection.scale();
+    return {
+        scale,
+        translate: fittedProjection.translate(),
+        viewport: null,
+        // Width of one copy of the world along the equator, used to wrap horizontal panning
+        worldWidth: definition.navigation === "pan" ? 2 * scale * definition.raw(Math.PI, 0)[0] : null
+    };
+}
+
+/**
+ * Calculates the necessary parameters for the Mercator projection view including:
+ * - Appropriate scale to fit the map within the canvas
+ * - Translation to center the map
+ * - Viewport clipping bounds to hide extreme polar distortions
+ *
+ * @param {Object} definition - Registry entry of the projection (provides `latitudeBounds`)
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @param {number} canvasHeight - Canvas height in pixels
+ * @returns {{scale: number, translate: number[], viewport: Object, worldWidth: number}}
+ */
+function fitMercatorViewport(definition, canvasWidth, canvasHeight) {
+    const { latitudeBounds } = definition;
+    const temporaryMercatorProjection = d3.geoProjection(definition.raw)
+        .precision(0.1);
+
+    const scale = (Math.min(canvasWidth, canvasHeight)) / (2 * Math.PI);
+
+    temporaryMercatorProjection.scale(scale)
+                               .translate([canvasWidth / 2, canvasHeight / 2]);
+
+    const northernBoundaryY = temporaryMercatorProjection([0, latitudeBounds.MAX])[1];
+    const southernBoundaryY = temporaryMercatorProjection([0, latitudeBounds.MIN])[1];
+
+    const viewportHeight = southernBoundaryY - northernBoundaryY;
+    const verticalCenteringOffset = (canvasHeight / 2) - (northernBoundaryY + viewportHeight / 2);
+
+    const translate = [canvasWidth / 2, verticalCenteringOffset + canvasHeight / 2];
+
+    temporaryMercatorProjection.scale(scale).translate(translate);
+
+    const viewportTop = temporaryMercatorProjection([0, latitudeBounds.MAX])[1];
+    const viewportBottom = temporaryMercatorProjection([0, latitudeBounds.MIN])[1];
+
+    return {
+        scale,
+        translate,
+        viewport: {
+            x: 0,
+            y: viewportTop,
+            width: canvasWidth,
+            height: viewportBottom - viewportTop
+        },
+        worldWidth: scale * 2 * Math.PI
+    };
+}
+
+/**
+ * Registry of every projection the globe can morph between.
+ *
+ * - `raw`: d3 raw projection (must expose `invert` for hit testing)
+ * - `clipAngle`: small-circle clip in degrees, or null for antimeridian clipping
+ * - `navigation`: "rotate" for azimuthal views dragged like a globe,
+ *   "pan" for world maps scrolled horizontally
+ * - `limbShading` (optional): true for views of the globe as seen from space, which
+ *   themes may darken towards the limb
+ * - `fit(definition, width, height)`: scale, translation and optional viewport clip rectangle
+ */
+export const PROJECTIONS = {
+    orthographic: {
+        label: "Orthographic",
+        raw: d3.geoOrthographicRaw,
+        clipAngle: 90,
+        navigation: "rotate",
+        limbShading: true,
+        fit: fitSphere
+    },
+    mercator: {
+        label: "Mercator",
+        raw: d3.geoMercatorRaw,
+        clipAngle: null,
+        navigation: "pan",
+        // Custom latitude bounds to avoid extreme distortion near the poles
+        // while maintaining a visually balanced map view
+        latitudeBounds: {
+            MIN: -83,
+            MAX: 86
+        },
+        fit: fitMercatorViewport
+    },
+    equirectangular: {
+        label: "Equirectangular",
+        raw: d3.geoEquirectangularRaw,
+        clipAngle: null,
+        navigation: "pan",
+        fit: fitSphere
+    },
+    equalEarth: {
+        label: "Equal Earth",
+        raw: d3.geoEqualEarthRaw,
+        clipAngle: null,
+        navigation: "pan",
+        fit: fitSphere
+    },
+    robinson: {
+        label: "Robinson",
+        raw: geoRobinsonRaw,
+        clipAngle: null,
+        navigation: "pan",
+        fit: fitSphere
+    },
+    naturalEarth: {
+        label: "Natural Earth",
+        raw: d3.geoNaturalEarth1Raw,
+        clipAngle: null,
+        navigation: "pan",
+        fit: fitSphere
+    },
+    azimuthalEquidistant: {
+        label: "Azimuthal Equidistant",
+        raw: d3.geoAzimuthalEquidistantRaw,
+        clipAngle: 180 - 1e-3,
+        navigation: "rotate",
+        fit: fitSphere
+    },
+    gnomonic: {
+        label: "Gnomonic",
+        raw: d3.geoGnomonicRaw,
+        clipAngle: 60,
+        navigation: "rotate",
+        fit: fitSphere
+    },
+    stereographic: {
+        label: "Stereographic",
+        raw: d3.geoStereographicRaw,
+        clipAngle: 142,
+        navigation: "rotate",
+        fit: fitSphere
+    }
+};
+
+/**
+ * Computes the fitted view parameters of a registered projection for a canvas size.
+ *
+ * @param {string} projectionName - Key in PROJECTIONS
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @param {number} canvasHeight - Canvas height in pixels
+ * @returns {{scale: number, translate: number[], viewport: Object|null, worldWidth: number|null}}
+ */
+export function fitProjection(projectionName, canvasWidth, canvasHeight) {
+    const definition = PROJECTIONS[projectionName];
+    return definition.fit(definition, canvasWidth, canvasHeight);
+}
+
+/**
+ * Clip angles to use at a given point of a morph between two projections.
+ * During the first half of the transition the visible portion of the start projection
+ * expands towards a full sphere (180°), and during the second half it contracts to the
+ * clip angle of the target projection. Filled land is only expanded slightly past the
+ * clip angle, since filled polygons fold over themselves in the blended projection.
+ *
+ * @param {number|null} startClipAngle - Clip angle of the start projection
+ * @param {number|null} endClipAngle - Clip angle of the target projection
+ * @param {number} transitionProgress - Value between 0 (start) and 1 (target)
+ * @returns {{land: number|null, overlay: number|null}} Clip angles in degrees (null disables clipping)
+ */
+export function interpolateClipAngles(startClipAngle, endClipAngle, transitionProgress) {
+    const HEMISPHERE_VIEW_THRESHOLD = 0.5;
+    const LAND_EXPANSION_ANGLE = 10;
+
+    const nearStart = transitionProgress <= HEMISPHERE_VIEW_THRESHOLD;
+    const clipAngle = nearStart ? startClipAngle : endClipAngle;
+    if (clipAngle === null) return { land: null, overlay: null };
+
+    const expansion = (nearStart ? transitionProgress : 1 - transitionProgress) * 2;
+    return {
+        land: Math.min(180, clipAngle + expansion * LAND_EXPANSION_ANGLE),
+        overlay: clipAngle + expansion * (180 - clipAngle)
+    };
+}
+
+/**
+ * Wraps a longitude into [-180, 180).
+ *
+ * @param {number} longitude - Longitude in degrees
+ * @returns {number} Equivalent longitude in [-180, 180)
+ */
+export function wrapLongitude(longitude) {
+    return ((longitude + 180) % 360 + 360) % 360 - 180;
+}
+
+/**
+ * Converts a globe rotation into the centre of a flat map view, so the same place stays
+ * in the middle when going from a globe to a flat map.
+ *
+ * @param {number[]} rotation - [lambda, phi, gamma] globe rotation in degrees
+ * @returns {number[]} [longitude, latitude] at the centre of the view
+ */
+export function mapCenterFromRotation(rotation) {
+    return [wrapLongitude(-rotation[0]), -rotation[1]];
+}
+
+/**
+ * Converts the centre of a flat map view into a globe rotation, the inverse of
+ * mapCenterFromRotation.
+ *
+ * @param {number[]} center - [longitude, latitude] at the centre of the view
+ * @param {number} [roll=0] - Roll angle of the globe in degrees, which flat maps lack
+ * @returns {number[]} [lambda, phi, gamma] globe rotation in degrees
+ */
+export function rotationFromMapCenter(center, roll = 0) {
+    return [-center[0], -center[1], roll];
+}
+
+/**
+ * Projected height (in pixels, north positive) of a latitude on the central meridian.
+ */
+function meridianHeight(raw, latitude, scale) {
+    return raw(0, latitude * Math.PI / 180)[1] * scale;
+}
+
+/**
+ * Moves the centre latitude of a flat map view by a vertical screen distance, keeping the
+ * map edges (its latitude bounds, or the poles) outside the canvas. A map that is shorter
+ * than the canvas stays vertically centred.
+ *
+ * @param {string} projectionName - Key in PROJECTIONS of a pan-navigated projection
+ * @param {number} latitude - Current centre latitude in degrees
+ * @param {number} verticalShift - Screen distance in pixels (positive moves the map down)
+ * @param {number} scale - Current projection scale (fitted scale times zoom)
+ * @param {number} canvasHeight - Canvas height in pixels
+ * @returns {number} New centre latitude in degrees
+ */
+export function panMapCenterLatitude(projectionName, latitude, verticalShift, scale, canvasHeight) {
+    const { raw, latitudeBounds = { MIN: -90, MAX: 90 } } = PROJECTIONS[projectionName];
+    const top = meridianHeight(raw, latitudeBounds.MAX, scale);
+    const bottom = meridianHeight(raw, latitudeBounds.MIN, scale);
+    const halfHeight = canvasHeight / 2;
+
+    let center = meridianHeight(raw, latitude, scale) + verticalShift;
+    if (top - bottom <= canvasHeight) {
+        center = (top + bottom) / 2;
+    } else {
+        center = Math.max(bottom + halfHeight, Math.min(top - halfHeight, center));
+    }
+    return raw.invert(0, center / scale)[1] * 180 / Math.PI;
+}
+
+/**
+ * Translation that puts the centre latitude of a flat map view in the middle of the canvas.
+ * The centre longitude is applied through the projection rotation, which wraps the map.
+ *
+ * @param {string} projectionName - Key in PROJECTIONS of a pan-navigated projection
+ * @param {number} latitude - Centre latitude in degrees
+ * @param {number} scale - Current projection scale (fitted scale times zoom)
+ * @param {number} canvasWidth - Canvas width in pixels
+ * @param {number} canvasHeight - Canvas height in pixels
+ * @returns {number[]} [x, y] translation
+ */
+export function mapCenterTranslate(projectionName, latitude, scale, canvasWidth, canvasHeight) {
+    const { raw } = PROJECTIONS[projectionName];
+    return [canvasWidth / 2, canvasHeight / 2 + meridianHeight(raw, latitude, scale)];
+}
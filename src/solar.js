@@ -0,0 +1,214 @@
+/**
+ * Day and night: the position of the sun for a UTC time, and a layer shading the night
+ * side of the Earth with optional twilight bands.
+ *
+ * Solar coordinates follow the NOAA solar calculator (after Meeus, "Astronomical
+ * Algorithms"), accurate to about a hundredth of a degree for dates near the present.
+ */
+
+import * as d3 from 'd3';
+import { wrapLongitude } from './projections.js';
+
+const RADIANS = Math.PI / 180;
+
+/**
+ * Twilight bands, by how far the sun is below the horizon at their night side edge.
+ */
+export const TWILIGHT_BANDS = {
+    civil: { label: "Civil", depression: 6 },
+    nautical: { label: "Nautical", depression: 12 },
+    astronomical: { label: "Astronomical", depression: 18 }
+};
+
+const CIRCLE_PRECISION = 1; // Degrees between the vertices of the shaded circles
+
+/**
+ * Julian centuries between J2000.0 (2000-01-01 12:00 UTC) and a time
+ */
+const julianCenturies = date => (date - Date.UTC(2000, 0, 1, 12)) / 864e5 / 36525;
+
+function meanObliquityOfEcliptic(t) {
+    const seconds = 21.448 - t * (46.815 + t * (0.00059 - t * 0.001813));
+    return 23 + (26 + seconds / 60) / 60;
+}
+
+function obliquityCorrection(t) {
+    return meanObliquityOfEcliptic(t) + 0.00256 * Math.cos((125.04 - 1934.136 * t) * RADIANS);
+}
+
+function meanLongitudeSun(t) {
+    const longitude = (280.46646 + t * (36000.76983 + t * 0.0003032)) % 360;
+    return longitude < 0 ? longitude + 360 : longitude;
+}
+
+function meanAnomalySun(t) {
+    return 357.52911 + t * (35999.05029 - 0.0001537 * t);
+}
+
+function eccentricityEarthOrbit(t) {
+    return 0.016708634 - t * (0.000042037 + 0.0000001267 * t);
+}
+
+function equationOfCenterSun(t) {
+    const anomaly = meanAnomalySun(t) * RADIANS;
+    return Math.sin(anomaly) * (1.914602 - t * (0.004817 + 0.000014 * t)) +
+        Math.sin(2 * anomaly) * (0.019993 - 0.000101 * t) +
+        Math.sin(3 * anomaly) * 0.000289;
+}
+
+function apparentLongitudeSun(t) {
+    const trueLongitude = meanLongitudeSun(t) + equationOfCenterSun(t);
+    return trueLongitude - 0.00569 - 0.00478 * Math.sin((125.04 - 1934.136 * t) * RADIANS);
+}
+
+/**
+ * Declination of the sun in degrees
+ */
+function solarDeclination(t) {
+    return Math.asin(Math.sin(obliquityCorrection(t) * RADIANS) * Math.sin(apparentLongitudeSun(t) * RADIANS)) / RADIANS;
+}
+
+/**
+ * Difference between apparent and mean solar time, in minutes
+ */
+function equationOfTime(t) {
+    const obliquity = obliquityCorrection(t) * RADIANS;
+    const meanLongitude = meanLongitudeSun(t) * RADIANS;
+    const anomaly = meanAnomalySun(t) * RADIANS;
+    const eccentricity = eccentricityEarthOrbit(t);
+    const y = Math.tan(obliquity / 2) ** 2;
+
+    const equation = y * Math.sin(2 * meanLongitude) -
+        2 * eccentricity * Math.sin(anomaly) +
+        4 * eccentricity * y * Math.sin(anomaly) * Math.cos(2 * meanLongitude) -
+        0.5 * y * y * Math.sin(4 * meanLongitude) -
+        1.25 * eccentricity * eccentricity * Math.sin(2 * anomaly);
+    return 4 * equation / RADIANS;
+}
+
+/**
+ * Computes the subsolar point, where the sun is straight overhead.
+ *
+ * @param {Date|number} date - UTC time
+ * @returns {number[]} [longitude, latitude] in degrees
+ */
+export function subsolarPoint(date) {
+    const t = julianCenturies(date);
+    const minutesOfDay = (date - d3.utcDay.floor(new Date(date))) / 6e4;
+    // The sun is overhead where the apparent solar time is noon
+    return [wrapLongitude(-(minutesOfDay + equationOfTime(t) - 720) / 4), solarDeclination(t)];
+}
+
+/**
+ * Creates the day and night layer state. The layer starts hidden, at the current time,
+ * with all twilight bands shown.
+ * Listeners registered with `on("change", callback)` are called whenever the time,
+ * the visibility or the twilight bands change.
+ *
+ * @returns {Object} Day and night layer
+ */
+export function createDayNightLayer() {
+    let isVisible = false;
+    let time = new Date();
+    let twilightBands = new Set(Object.keys(TWILIGHT_BANDS));
+    const listeners = d3.dispatch("change");
+
+    const layer = {
+        isVisible() {
+            return isVisible;
+        },
+        setVisible(visible) {
+            isVisible = visible;
+            listeners.call("change", layer);
+            return layer;
+        },
+        time() {
+            return time;
+        },
+        /**
+         * Sets the time the sun position is computed for, as a Date or a timestamp in ms.
+         */
+        setTime(value) {
+            const date = new Date(value);
+            if (Number.isNaN(date.getTime())) {
+                throw new Error(`Invalid time "${value}"`);
+            }
+            time = date;
+            listeners.call("change", layer);
+            return layer;
+        },
+        /**
+         * Keys in TWILIGHT_BANDS of the bands shown, from the lightest to the darkest
+         */
+        twilightBands() {
+            return Object.keys(TWILIGHT_BANDS).filter(band => twilightBands.has(band));
+        },
+        setTwilightBand(band, shown) {
+            if (!Object.hasOwn(TWILIGHT_BANDS, band)) {
+                throw new Error(`Unknown twilight band "${band}"`);
+            }
+            twilightBands = new Set(twilightBands);
+            if (shown) twilightBands.add(band); else twilightBands.delete(band);
+            listeners.call("change", layer);
+            return layer;
+        },
+        subsolarPoint() {
+            return subsolarPoint(time);
+        },
+        /**
+         * Identifies what the layer draws, for caching its pixels
+         */
+        key() {
+            return isVisible ? `${time.getTime()} ${layer.twilightBands()}` : "hidden";
+        },
+        on(type, callback) {
+            if (arguments.length < 2) return listeners.on(type);
+            listeners.on(type, callback);
+            return layer;
+        }
+    };
+    return layer;
+}
+
+/**
+ * Shades the night side of the Earth and marks the subsolar point. Night is the
+ * hemisphere centred on the point opposite the sun; every twilight band shown adds a
+ * circle of the same shade within it, so the shading deepens towards full darkness
+ * and reaches the opacity of the night fill where the sun is lowest.
+ *
+ * @param {CanvasRenderingContext2D|Object} context - Context to draw into
+ * @param {Function} path - d3.geoPath bound to the context; its projection clips the circles
+ * @param {Object} layer - Day and night layer
+ * @param {{night: Object|null, sun: Object|null}} style - Night fill and sun marker style (null hides either)
+ */
+export function renderDayNight(context, path, layer, style) {
+    const sun = layer.subsolarPoint();
+
+    if (style.night) {
+        const antisolarPoint = [wrapLongitude(sun[0] + 180), -sun[1]];
+        const radii = [90, ...layer.twilightBands().map(band => 90 - TWILIGHT_BANDS[band].depression)];
+
+        // Stacked circles multiply their transparency, so each takes the root of the night's
+        const nightColor = d3.color(style.night.fill);
+        const shade = nightColor.copy({ opacity: 1 - (1 - nightColor.opacity) ** (1 / radii.length) }).formatRgb();
+        const circle = d3.geoCircle().center(antisolarPoint).precision(CIRCLE_PRECISION);
+
+        context.fillStyle = shade;
+        for (const radius of radii) {
+            context.beginPath();
+            path(circle.radius(radius)());
+            context.fill();
+        }
+    }
+
+    if (style.sun) {
+        context.beginPath();
+        path.pointRadius(style.sun.radius)({ type: "Point", coordinates: sun });
+        context.fillStyle = style.sun.fill;
+        context.fill();
+        context.lineWidth = style.sun.width;
+        context.strokeStyle = style.sun.stroke;
+        context.setLineDash([]);
+        context.stroke();
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * Map themes: the colours, line widths and dash patterns of every layer drawn on the map,
+ * with dark, light and print presets that can be switched and adjusted at runtime.
+ *
+ * A style holds one entry per layer. Line layers have `stroke`, `width` and an optional
+ * `dash` pattern; filled layers have `fill`. A layer whose entry is null is hidden, like
+ * the optional ones (tropics, polar circles, limb shading and the sun marker) often are.
+ */
+
+import * as d3 from 'd3';
+
+export const THEME_PRESETS = {
+    dark: {
+        label: "Dark",
+        style: {
+            background: "#000000",
+            ocean: { fill: "#0b2545" },
+            limbShading: { color: "rgba(0, 0, 0, 0.6)" },
+            land: { fill: "#336699" },
+            noData: { fill: "#4d5a66" },
+            borders: { stroke: "#ffffff", width: 0.5 },
+            graticule: { stroke: "rgba(255, 255, 255, 0.2)", width: 0.5 },
+            sphere: { stroke: "#ffffff", width: 1.5 },
+            equator: { stroke: "#ff4444", width: 2 },
+            tropics: { stroke: "rgba(255, 204, 102, 0.6)", width: 1, dash: [4, 4] },
+            polarCircles: { stroke: "rgba(153, 221, 255, 0.6)", width: 1, dash: [4, 4] },
+            trajectory: { stroke: "#00ff00", width: 2 },
+            night: { fill: "rgba(0, 4, 24, 0.6)" },
+            sun: { fill: "#ffd23f", stroke: "#ffffff", width: 1, radius: 6 },
+            tissot: { fill: "rgba(255, 85, 85, 0.3)", stroke: "#ff5555", width: 1 },
+            heatmap: { opacity: 0.55 },
+            selection: { fill: "#ffaa33", stroke: "#ffffff", width: 1 },
+            selectionOutline: { stroke: "#ffaa33", width: 2 },
+            hover: { fill: "rgba(255, 255, 255, 0.3)", stroke: "#ffffff", width: 1.5 },
+            route: { stroke: "#ffcc00", width: 2.5, vertexFill: "#ffcc00", vertexRadius: 4 },
+            tracks: { width: 2, headRadius: 5, outline: "#ffffff" },
+            crosshair: { stroke: "#ffffff", width: 1.5, size: 10 },
+            legend: { fill: "rgba(0, 0, 0, 0.6)", text: "#ffffff" },
+            markers: {
+                outline: "#ffffff",
+                label: "#ffffff",
+                labelHalo: "rgba(0, 0, 0, 0.7)",
+                clusterFill: "rgba(0, 128, 128, 0.85)",
+                clusterStroke: "#ffffff",
+                clusterLabel: "#ffffff"
+            }
+        }
+    },
+    light: {
+        label: "Light",
+        style: {
+            background: "#f2f0eb",
+            ocean: { fill: "#c9dff0" },
+            limbShading: { color: "rgba(20, 50, 80, 0.35)" },
+            land: { fill: "#e6e0cf" },
+            noData: { fill: "#d4d4d4" },
+            borders: { stroke: "#8a8a8a", width: 0.5 },
+            graticule: { stroke: "rgba(0, 0, 0, 0.15)", width: 0.5 },
+            sphere: { stroke: "#5a6b7a", width: 1 },
+            equator: { stroke: "#d62728", width: 1.5 },
+            tropics: { stroke: "rgba(214, 39, 40, 0.5)", width: 1, dash: [4, 4] },
+            polarCircles: { stroke: "rgba(31, 119, 180, 0.6)", width: 1, dash: [4, 4] },
+            trajectory: { stroke: "#2ca02c", width: 2 },
+            night: { fill: "rgba(10, 30, 70, 0.45)" },
+            sun: { fill: "#ffb000", stroke: "#333333", width: 1, radius: 6 },
+            tissot: { fill: "rgba(200, 30, 60, 0.25)", stroke: "#c81e3c", width: 1 },
+            heatmap: { opacity: 0.5 },
+            selection: { fill: "#ff9f1c", stroke: "#333333", width: 1 },
+            selectionOutline: { stroke: "#e67e00", width: 2 },
+            hover: { fill: "rgba(0, 0, 0, 0.12)", stroke: "#333333", width: 1.5 },
+            route: { stroke: "#c2185b", width: 2.5, vertexFill: "#c2185b", vertexRadius: 4 },
+            tracks: { width: 2, headRadius: 5, outline: "#333333" },
+            crosshair: { stroke: "#333333", width: 1.5, size: 10 },
+            legend: { fill: "rgba(255, 255, 255, 0.85)", text: "#1a1a1a" },
+            markers: {
+                outline: "#ffffff",
+                label: "#1a1a1a",
+                labelHalo: "rgba(255, 255, 255, 0.8)",
+                clusterFill: "rgba(0, 110, 110, 0.85)",
+                clusterStroke: "#ffffff",
+                clusterLabel: "#ffffff"
+            }
+        }
+    },
+    print: {
+        label: "Print",
+        style: {
+            background: "#ffffff",
+            ocean: { fill: "#ffffff" },
+            limbShading: null,
+            land: { fill: "#dddddd" },
+            noData: { fill: "#f5f5f5" },
+            borders: { stroke: "#000000", width: 0.4 },
+            graticule: { stroke: "rgba(0, 0, 0, 0.3)", width: 0.3 },
+            sphere: { stroke: "#000000", width: 1 },
+            equator: { stroke: "#000000", width: 1 },
+            tropics: { stroke: "#000000", width: 0.5, dash: [3, 3] },
+            polarCircles: { stroke: "#000000", width: 0.5, dash: [3, 3] },
+            trajectory: { stroke: "#000000", width: 1.5, dash: [6, 3] },
+            night: { fill: "rgba(0, 0, 0, 0.3)" },
+            sun: { fill: "#ffffff", stroke: "#000000", width: 1.5, radius: 5 },
+            tissot: { fill: "rgba(0, 0, 0, 0.15)", stroke: "#000000", width: 0.75 },
+            heatmap: { opacity: 0.6 },
+            selection: { fill: "#999999", stroke: "#000000", width: 1 },
+            selectionOutline: { stroke: "#000000", width: 2 },
+            hover: { fill: "rgba(0, 0, 0, 0.1)", stroke: "#000000", width: 1.5 },
+            route: { stroke: "#000000", width: 2, vertexFill: "#000000", vertexRadius: 3 },
+            tracks: { width: 1.5, headRadius: 4, outline: "#000000" },
+            crosshair: { stroke: "#000000", width: 1, size: 10 },
+            legend: { fill: "#ffffff", text: "#000000" },
+            markers: {
+                outline: "#000000",
+                label: "#000000",
+                labelHalo: "rgba(255, 255, 255, 0.9)",
+                clusterFill: "#666666",
+                clusterStroke: "#000000",
+                clusterLabel: "#ffffff"
+            }
+        }
+    }
+};
+
+/**
+ * Applies style overrides layer by layer: an object for a layer is merged into the
+ * layer's entry, anything else (e.g., null to hide a layer) replaces it.
+ */
+function mergeStyles(style, overrides) {
+    const merged = { ...style };
+    for (const [layer, value] of Object.entries(overrides)) {
+        const isMergeable = value && typeof value === "object" && !Array.isArray(value) &&
+            merged[layer] && typeof merged[layer] === "object";
+        merged[layer] = isMergeable ? { ...merged[layer], ...value } : value;
+    }
+    return merged;
+}
+
+/**
+ * Creates the map theme state, starting from a preset.
+ * Listeners registered with `on("change", callback)` receive the style whenever the
+ * preset is switched or the style is adjusted.
+ *
+ * @param {string} [presetName="dark"] - Key in THEME_PRESETS
+ * @returns {Object} Theme with `style`, `preset`, `setPreset`, `set` and `on`
+ */
+export function createMapTheme(presetName = "dark") {
+    let preset = presetName;
+    let style = structuredClone(THEME_PRESETS[presetName].style);
+    const listeners = d3.dispatch("change");
+
+    const theme = {
+        style() {
+            return style;
+        },
+        /**
+         * Key of the preset the style started from
+         */
+        preset() {
+            return preset;
+        },
+        setPreset(name) {
+            if (!Object.hasOwn(THEME_PRESETS, name)) {
+                throw new Error(`Unknown theme "${name}"`);
+            }
+            preset = name;
+            style = structuredClone(THEME_PRESETS[name].style);
+            listeners.call("change", theme, style);
+            return theme;
+        },
+        /**
+         * Adjusts the style, e.g. `set({land: {fill: "#557755"}, tropics: null})`.
+         */
+        set(overrides) {
+            style = mergeStyles(style, overrides);
+            listeners.call("change", theme, style);
+            return theme;
+        },
+        on(type, callback) {
+            if (arguments.length < 2) return listeners.on(type);
+            listeners.on(type, callback);
+            return theme;
+        }
+    };
+    return theme;
+}
@@ -0,0 +1,436 @@
+/**
+ * Tracks: timestamped point sequences of moving objects (flights, ships, satellites)
+ * read from CSV, GeoJSON or GPX, and a player that replays them along a timeline.
+ *
+ * Between two recorded points an object is placed on the great circle joining them, so
+ * tracks stay geodesic in every projection like the rest of the map.
+ */
+
+import * as d3 from 'd3';
+import { importFormat, parseGeoFile } from './importedLayers.js';
+import { LATITUDE_COLUMN, LONGITUDE_COLUMN } from './markers.js';
+
+const TIME_FIELD = /^(time|timestamp|datetime|date|t)$/i;
+const TRACK_FIELD = /^(track|track_?id|id|name|callsign|flight|vessel|mmsi|icao24|object)$/i;
+const TIME_LIST_FIELDS = ["coordTimes", "times"]; // Per-vertex times of lines (GPX and geojson conventions)
+const DEFAULT_TRACK_NAME = "Track"; // Name of the one track of points without a track field
+
+/**
+ * Playback speeds, in seconds of track time per second
+ */
+export const TRACK_SPEEDS = [1, 10, 60, 600, 3600, 86400];
+
+/**
+ * Trail lengths, as a fraction of the time covered by all tracks
+ */
+export const TRAIL_LENGTHS = {
+    none: { label: "None", fraction: 0 },
+    short: { label: "Short", fraction: 0.02 },
+    medium: { label: "Medium", fraction: 0.08 },
+    long: { label: "Long", fraction: 0.25 },
+    full: { label: "Full", fraction: 1 }
+};
+
+const TRAIL_SEGMENTS = 8; // Pieces of a trail, each drawn more opaque than the one behind it
+
+/**
+ * Reads a time as ms since the epoch: Date objects, numbers (in seconds below 1e11,
+ * i.e. before the year 5138, in ms above) and date strings.
+ *
+ * @returns {number|null} Time, or null when the value is not a time
+ */
+function parseTime(value) {
+    if (value instanceof Date) return Number.isNaN(value.getTime()) ? null : value.getTime();
+    if (value === null || value === undefined || value === "") return null;
+    const number = typeof value === "number" ? value : /^-?\d+(\.\d+)?$/.test(value) ? Number(value) : NaN;
+    if (Number.isFinite(number)) return Math.abs(number) < 1e11 ? number * 1000 : number;
+    const time = Date.parse(value);
+    return Number.isNaN(time) ? null : time;
+}
+
+const isValidLocation = ([longitude, latitude] = []) =>
+    Number.isFinite(longitude) && Number.isFinite(latitude) && Math.abs(latitude) <= 90;
+
+/**
+ * Groups timestamped points by track name into tracks sorted by time.
+ */
+function groupTracks(samples) {
+    return d3.groups(samples, sample => sample.name).map(([name, points]) => ({
+        name,
+        points: points
+            .map(({ time, location }) => ({ time, location }))
+            .sort((a, b) => a.time - b.time)
+    }));
+}
+
+/**
+ * Reads tracks from GeoJSON features: Points with a time property, grouped into tracks
+ * by an id or name property (into a single track without one), and lines with the time
+ * of every vertex in a `coordTimes` or `times` property.
+ *
+ * @param {Object[]} features - GeoJSON features
+ * @returns {{tracks: Object[], skipped: number}} Tracks as {name, points}, and the number
+ *     of features or vertices without a usable location and time
+ */
+export function tracksFromFeatures(features) {
+    const samples = [];
+    const lineTracks = [];
+    let skipped = 0;
+
+    for (const feature of features) {
+        const properties = feature.properties ?? {};
+        const geometry = feature.geometry;
+        const timeField = Object.keys(properties).find(field => TIME_FIELD.test(field));
+        const trackField = Object.keys(properties).find(field => TRACK_FIELD.test(field));
+
+        if (geometry?.type === "Point" && timeField) {
+            const time = parseTime(properties[timeField]);
+            if (time === null || !isValidLocation(geometry.coordinates)) {
+                skipped++;
+                continue;
+            }
+            // Feature ids tell the points apart rather than the objects they track
+            const name = String(trackField ? properties[trackField] : DEFAULT_TRACK_NAME);
+            samples.push({ name, time, location: geometry.coordinates.slice(0, 2) });
+        } else if (geometry?.type === "LineString" || geometry?.type === "MultiLineString") {
+            const timeList = TIME_LIST_FIELDS.map(field => properties[field]).find(Array.isArray);
+            if (!timeList) {
+                skipped++;
+                continue;
+            }
+            const lines = geometry.type === "LineString" ? [geometry.coordinates] : geometry.coordinates;
+            const lineTimes = geometry.type === "LineString" ? [timeList] : timeList;
+            const points = [];
+            lines.forEach((line, lineIndex) => line.forEach((location, index) => {
+                const time = parseTime(lineTimes[lineIndex]?.[index]);
+                if (time === null || !isValidLocation(location)) {
+                    skipped++;
+                } else {
+                    points.push({ time, location: location.slice(0, 2) });
+                }
+            }));
+            if (points.length > 0) {
+                const name = String(properties.name ?? (trackField ? properties[trackField] : null) ?? feature.id ?? DEFAULT_TRACK_NAME);
+                lineTracks.push({ name, points: points.sort((a, b) => a.time - b.time) });
+            }
+        } else {
+            skipped++;
+        }
+    }
+    return { tracks: [...groupTracks(samples), ...lineTracks], skipped };
+}
+
+/**
+ * Reads tracks from CSV rows with longitude, latitude and time columns, grouped by an
+ * id or name column when there is one.
+ *
+ * @param {string} text - CSV text
+ * @returns {{tracks: Object[], skipped: number}} Tracks as {name, points}, and the number of rows left out
+ */
+function tracksFromCsv(text) {
+    const rows = d3.csvParse(text, d3.autoType);
+    const longitudeColumn = rows.columns.find(column => LONGITUDE_COLUMN.test(column));
+    const latitudeColumn = rows.columns.find(column => LATITUDE_COLUMN.test(column));
+    const timeColumn = rows.columns.find(column => TIME_FIELD.test(column));
+    const trackColumn = rows.columns.find(column => TRACK_FIELD.test(column));
+    if (!longitudeColumn || !latitudeColumn || !timeColumn) {
+        throw new Error("CSV needs longitude, latitude and time columns (e.g., \"lon\", \"lat\" and \"time\")");
+    }
+
+    const samples = [];
+    let skipped = 0;
+    for (const row of rows) {
+        const location = [row[longitudeColumn], row[latitudeColumn]];
+        const time = parseTime(row[timeColumn]);
+        if (time === null || !isValidLocation(location)) {
+            skipped++;
+        } else {
+            samples.push({ name: trackColumn ? String(row[trackColumn]) : DEFAULT_TRACK_NAME, time, location });
+        }
+    }
+    return { tracks: groupTracks(samples), skipped };
+}
+
+/**
+ * Guesses the track file format from a file name: "csv", or a key in IMPORT_FORMATS.
+ *
+ * @param {string} fileName - File name
+ * @returns {string} Format
+ */
+export function trackFormat(fileName) {
+    return /\.csv$/i.test(fileName) ? "csv" : importFormat(fileName);
+}
+
+/**
+ * Parses the tracks of a CSV, GeoJSON, KML or GPX file.
+ *
+ * @param {string} text - File contents
+ * @param {string} format - Result of trackFormat
+ * @returns {{tracks: Object[], skipped: number}} Tracks as {name, points}, and the number
+ *     of features, rows or vertices left out
+ */
+export function parseTracks(text, format) {
+    const { tracks, skipped } = format === "csv" ?
+        tracksFromCsv(text) :
+        tracksFromFeatures(parseGeoFile(text, format).collection.features);
+    if (tracks.length === 0) {
+        throw new Error("The file contains no timestamped points");
+    }
+    return { tracks, skipped };
+}
+
+const bisectTime = d3.bisector(point => point.time).right;
+
+/**
+ * Locates a track at a time, on the great circle between the points recorded before
+ * and after it.
+ *
+ * @param {Object} track - Track with points sorted by time
+ * @param {number} time - Time in ms since the epoch
+ * @returns {number[]|null} [longitude, latitude], or null before the track starts or after it ends
+ */
+export function trackPosition({ points }, time) {
+    if (points.length === 0 || time < points[0].time || time > points.at(-1).time) return null;
+    const index = bisectTime(points, time);
+    if (index >= points.length) return points.at(-1).location;
+    const before = points[index - 1];
+    const after = points[index];
+    const t = after.time > before.time ? (time - before.time) / (after.time - before.time) : 1;
+    return d3.geoInterpolate(before.location, after.location)(t);
+}
+
+/**
+ * Vertices of the part of a track covered between two times.
+ *
+ * @param {Object} track - Track with points sorted by time
+ * @param {number} start - Time in ms
+ * @param {number} end - Time in ms
+ * @returns {number[][]} Locations, empty when the track is not under way in the interval
+ */
+export function trackSection(track, start, end) {
+    const { points } = track;
+    if (points.length === 0) return [];
+    const from = Math.max(start, points[0].time);
+    const to = Math.min(end, points.at(-1).time);
+    if (from > to) return [];
+    const inside = points.slice(bisectTime(points, from), bisectTime(points, to)).map(point => point.location);
+    return [trackPosition(track, from), ...inside, trackPosition(track, to)];
+}
+
+/**
+ * Creates the track player: the loaded tracks, the playback time and speed, the trail
+ * length and the followed track. It starts empty and paused.
+ * Listeners registered with `on("change", callback)` are called whenever tracks are
+ * loaded or cleared, the playback starts or stops or a setting changes; those registered
+ * with `on("time", callback)` whenever only the time moves, on every frame while playing.
+ *
+ * @returns {Object} Track player
+ */
+export function createTrackPlayer() {
+    let tracks = [];
+    let trackCount = 0; // Tracks ever added, for their ids and colours
+    let extent = null; // [start, end] in ms, covering all tracks
+    let time = null;
+    let isPlaying = false;
+    let speed = 60;
+    let trailLength = "medium";
+    let followed = null; // Id of the track kept at the centre of the view
+    const listeners = d3.dispatch("change", "time");
+
+    const changed = () => listeners.call("change", player);
+    const timeChanged = () => listeners.call("time", player);
+
+    const player = {
+        tracks() {
+            return tracks;
+        },
+        get(id) {
+            const track = tracks.find(candidate => candidate.id === id);
+            if (!track) {
+                throw new Error(`Unknown track "${id}"`);
+            }
+            return track;
+        },
+        /**
+         * Adds tracks, given as {name, points} with points as {time, location} sorted by
+         * time. Each track gets an id and a colour of its own.
+         */
+        add(descriptions) {
+            const added = descriptions.map(({ name, points }) => {
+                trackCount++;
+                return { id: `track-${trackCount}`, name, points, color: d3.schemeTableau10[(trackCount - 1) % 10] };
+            });
+            tracks = [...tracks, ...added];
+            extent = [d3.min(tracks, track => track.points[0].time), d3.max(tracks, track => track.points.at(-1).time)];
+            time = time === null ? extent[0] : Math.max(extent[0], Math.min(extent[1], time));
+            changed();
+            return player;
+        },
+        clear() {
+            tracks = [];
+            extent = time = followed = null;
+            isPlaying = false;
+            changed();
+            return player;
+        },
+        /**
+         * [start, end] of the tracks in ms since the epoch, or null without tracks
+         */
+        extent() {
+            return extent;
+        },
+        time() {
+            return time;
+        },
+        /**
+         * Moves the playback to a time in ms, clamped to the extent of the tracks.
+         */
+        setTime(value) {
+            if (!extent) return player;
+            if (!Number.isFinite(value)) {
+                throw new Error(`Invalid time "${value}"`);
+            }
+            time = Math.max(extent[0], Math.min(extent[1], value));
+            timeChanged();
+            return player;
+        },
+        isPlaying() {
+            return isPlaying;
+        },
+        /**
+         * Starts the playback, from the beginning if it had reached the end.
+         */
+        play() {
+            if (!extent) return player;
+            if (time >= extent[1]) time = extent[0];
+            isPlaying = true;
+            changed();
+            return player;
+        },
+        pause() {
+            isPlaying = false;
+            changed();
+            return player;
+        },
+        /**
+         * Advances the playback by a duration of real time, and pauses at the end.
+         *
+         * @param {number} elapsed - Real time in ms
+         */
+        advance(elapsed) {
+            if (!isPlaying || !extent) return player;
+            time = Math.min(extent[1], time + elapsed * speed);
+            if (time < extent[1]) {
+                timeChanged();
+            } else {
+                isPlaying = false;
+                changed();
+            }
+            return player;
+        },
+        speed() {
+            return speed;
+        },
+        /**
+         * Sets the playback speed in seconds of track time per second.
+         */
+        setSpeed(value) {
+            if (!(value > 0)) {
+                throw new Error(`Invalid playback speed "${value}"`);
+            }
+            speed = value;
+            changed();
+            return player;
+        },
+        trailLength() {
+            return trailLength;
+        },
+        /**
+         * Sets the trail length, given by its key in TRAIL_LENGTHS.
+         */
+        setTrailLength(name) {
+            if (!Object.hasOwn(TRAIL_LENGTHS, name)) {
+                throw new Error(`Unknown trail length "${name}"`);
+            }
+            trailLength = name;
+            changed();
+            return player;
+        },
+        /**
+         * Track time covered by the trails, in ms
+         */
+        trailDuration() {
+            return extent ? (extent[1] - extent[0]) * TRAIL_LENGTHS[trailLength].fraction : 0;
+        },
+        followed() {
+            return followed;
+        },
+        /**
+         * Follows a track, given by its id, or none when null.
+         */
+        setFollowed(id) {
+            if (id !== null) player.get(id);
+            followed = id;
+            changed();
+            return player;
+        },
+        on(type, callback) {
+            if (arguments.length < 2) return listeners.on(type);
+            listeners.on(type, callback);
+            return player;
+        }
+    };
+    return player;
+}
+
+/**
+ * Draws the trails and head markers of the tracks under way at the player's time.
+ * Trails fade out towards their tail; the followed track's head gets a ring.
+ *
+ * @param {CanvasRenderingContext2D|Object} context - Context to draw into
+ * @param {Function} path - d3.geoPath bound to the context; its projection clips the tracks
+ * @param {Object} player - Track player
+ * @param {{width: number, headRadius: number, outline: string}} style - Trail width, head
+ *     marker radius and outline colour (the `tracks` entry of a theme style)
+ */
+export function renderTracks(context, path, player, style) {
+    const time = player.time();
+    const trailDuration = player.trailDuration();
+    context.save();
+    context.lineCap = "round";
+    context.lineJoin = "round";
+    context.setLineDash([]);
+    const opacity = context.globalAlpha;
+
+    for (const track of player.tracks()) {
+        context.strokeStyle = track.color;
+        context.lineWidth = style.width;
+        for (let segment = 0; segment < TRAIL_SEGMENTS && trailDuration > 0; segment++) {
+            const start = time - trailDuration * (1 - segment / TRAIL_SEGMENTS);
+            const end = time - trailDuration * (1 - (segment + 1) / TRAIL_SEGMENTS);
+            const coordinates = trackSection(track, start, end);
+            if (coordinates.length < 2) continue;
+            context.globalAlpha = opacity * (segment + 1) / TRAIL_SEGMENTS;
+            context.beginPath();
+            path({ type: "LineString", coordinates });
+            context.stroke();
+        }
+        context.globalAlpha = opacity;
+
+        const position = trackPosition(track, time);
+        if (!position) continue;
+        context.beginPath();
+        path.pointRadius(style.headRadius)({ type: "Point", coordinates: position });
+        context.fillStyle = track.color;
+        context.fill();
+        context.lineWidth = 1.5;
+        context.strokeStyle = style.outline;
+        context.stroke();
+        if (track.id === player.followed()) {
+            context.beginPath();
+            path.pointRadius(style.headRadius * 2)({ type: "Point", coordinates: position });
+            context.stroke();
+        }
+    }
+    context.restore();
+}
@@ -0,0 +1,113 @@
+/**
+ * Shareable URL state: the view, the active tools and the user's route and selection,
+ * stored in the location hash, e.g.
+ * `#p=orthographic&c=2.3522,48.8566&z=2&r=15&n=1&l=route,data&route=2.35,48.85;-0.13,51.51&sel=250,826`.
+ *
+ * The layer stack is written as `ls=countries,graticule:15@50,-equator`, from the
+ * bottom layer up: a leading "-" marks a hidden layer, ":" the graticule step and "@"
+ * the opacity in percent.
+ */
+
+const COORDINATE_DIGITS = 4; // About 10 m at the equator
+const ZOOM_DIGITS = 3;
+
+const formatNumber = (value, digits) => String(+value.toFixed(digits));
+
+function parseNumber(text) {
+    const value = text == null || text.trim() === "" ? NaN : Number(text);
+    return Number.isFinite(value) ? value : null;
+}
+
+function parseLocation(text) {
+    const [longitude, latitude] = (text || "").split(",").map(parseNumber);
+    return longitude !== null && latitude != null && Math.abs(latitude) <= 90 ?
+        [longitude, latitude] :
+        null;
+}
+
+const STACK_TOKEN = /^(-?)(\w+)(?::(\d+(?:\.\d+)?))?(?:@(\d+))?$/;
+
+function formatStackEntry({ type, visible, opacity, step }) {
+    return (visible ? "" : "-") + type +
+        (step !== undefined ? `:${step}` : "") +
+        (opacity < 1 ? `@${Math.round(opacity * 100)}` : "");
+}
+
+function parseStackEntry(text) {
+    const match = STACK_TOKEN.exec(text);
+    if (!match) return null;
+    const [, hidden, type, step, opacity] = match;
+    const entry = { type, visible: hidden === "" };
+    if (step !== undefined) entry.step = Number(step);
+    if (opacity !== undefined) entry.opacity = Math.min(100, Number(opacity)) / 100;
+    return entry;
+}
+
+const formatLocation = ([longitude, latitude]) =>
+    `${formatNumber(longitude, COORDINATE_DIGITS)},${formatNumber(latitude, COORDINATE_DIGITS)}`;
+
+// Commas and semicolons separate list items and stay readable in the hash
+const encodeValue = value => encodeURIComponent(value).replace(/%2C/gi, ",").replace(/%3B/gi, ";");
+
+/**
+ * Writes the URL state as a location hash (without the leading "#").
+ * Empty lists, a zero roll and an unlocked north are left out.
+ *
+ * @param {Object} state
+ * @param {string} state.projection - Key in PROJECTIONS
+ * @param {number[]} state.center - [longitude, latitude] at the centre of the view
+ * @param {number} state.zoom - Zoom factor
+ * @param {number} [state.roll=0] - Globe roll angle in degrees
+ * @param {boolean} [state.northUp=false] - Whether north is locked up
+ * @param {string[]} [state.layers=[]] - Active tools and layers
+ * @param {number[][]} [state.route=[]] - Route vertices as [longitude, latitude]
+ * @param {string[]} [state.selection=[]] - Keys of the selected countries
+ * @param {Object[]|null} [state.stack=null] - Built-in layer stack entries ({type, visible,
+ *     opacity, step}) from the bottom up, or null to leave the default stack out
+ * @returns {string} Hash
+ */
+export function serializeUrlState({ projection, center, zoom, roll = 0, northUp = false, layers = [], route = [], selection = [], stack = null }) {
+    const entries = [
+        ["p", projection],
+        ["c", formatLocation(center)],
+        ["z", formatNumber(zoom, ZOOM_DIGITS)]
+    ];
+    const roundedRoll = +roll.toFixed(1);
+    if (roundedRoll !== 0) entries.push(["r", String(roundedRoll)]);
+    if (northUp) entries.push(["n", "1"]);
+    if (layers.length > 0) entries.push(["l", layers.join(",")]);
+    if (route.length > 0) entries.push(["route", route.map(formatLocation).join(";")]);
+    if (selection.length > 0) entries.push(["sel", selection.join(",")]);
+    if (stack) entries.push(["ls", stack.map(formatStackEntry).join(",")]);
+    return entries.map(([key, value]) => `${key}=${encodeValue(value)}`).join("&");
+}
+
+/**
+ * Reads the URL state from a location hash. Invalid values are dropped, so the
+ * result only holds the view fields that can be applied. Fields that the serializer
+ * leaves out when empty (roll, north lock, layers, route and selection) get their
+ * empty value when missing, and the layer stack is null when missing.
+ *
+ * @param {string} hash - Location hash, with or without the leading "#"
+ * @param {string[]} projectionNames - Known projection keys
+ * @returns {Object} Partial state in the shape taken by serializeUrlState
+ */
+export function parseUrlState(hash, projectionNames) {
+    const params = new URLSearchParams(hash.replace(/^#/, ""));
+    const state = {
+        roll: parseNumber(params.get("r")) ?? 0,
+        northUp: params.get("n") === "1",
+        layers: (params.get("l") || "").split(",").filter(Boolean),
+        route: (params.get("route") || "").split(";").map(parseLocation).filter(Boolean),
+        selection: (params.get("sel") || "").split(",").filter(Boolean),
+        stack: params.has("ls") ? params.get("ls").split(",").map(parseStackEntry).filter(Boolean) : null
+    };
+
+    const projection = params.get("p");
+    if (projectionNames.includes(projection)) state.projection = projection;
+    const center = parseLocation(params.get("c"));
+    if (center) state.center = center;
+    const zoom = parseNumber(params.get("z"));
+    if (zoom !== null && zoom > 0) state.zoom = zoom;
+    return state;
+}
@@ -0,0 +1,177 @@
+/**
+ * Versor (unit quaternion) helpers for rotating the globe by dragging, after
+ * Mike Bostock's versor dragging. Rotations are d3 Euler angles [lambda, phi, gamma]
+ * in degrees; versors are [w, x, y, z] arrays.
+ */
+
+import { wrapLongitude } from './projections.js';
+
+const RADIANS = Math.PI / 180;
+const DEGREES = 180 / Math.PI;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Converts a location to a point on the unit sphere.
+ *
+ * @param {number[]} location - [longitude, latitude] in degrees
+ * @returns {number[]} [x, y, z]
+ */
+export function cartesian([longitude, latitude]) {
+    const lambda = longitude * RADIANS;
+    const phi = latitude * RADIANS;
+    const cosPhi = Math.cos(phi);
+    return [cosPhi * Math.cos(lambda), cosPhi * Math.sin(lambda), Math.sin(phi)];
+}
+
+/**
+ * Converts d3 rotation angles to a versor.
+ *
+ * @param {number[]} rotation - [lambda, phi, gamma] in degrees
+ * @returns {number[]} Versor
+ */
+export function versorFromRotation([lambda, phi, gamma = 0]) {
+    const l = lambda / 2 * RADIANS, sl = Math.sin(l), cl = Math.cos(l);
+    const p = phi / 2 * RADIANS, sp = Math.sin(p), cp = Math.cos(p);
+    const g = gamma / 2 * RADIANS, sg = Math.sin(g), cg = Math.cos(g);
+    return [
+        cl * cp * cg + sl * sp * sg,
+        sl * cp * cg - cl * sp * sg,
+        cl * sp * cg + sl * cp * sg,
+        cl * cp * sg - sl * sp * cg
+    ];
+}
+
+/**
+ * Converts a versor to d3 rotation angles. Phi is always within [-90, 90].
+ *
+ * @param {number[]} q - Versor
+ * @returns {number[]} [lambda, phi, gamma] in degrees
+ */
+export function rotationFromVersor(q) {
+    return [
+        Math.atan2(2 * (q[0] * q[1] + q[2] * q[3]), 1 - 2 * (q[1] * q[1] + q[2] * q[2])) * DEGREES,
+        Math.asin(clamp(2 * (q[0] * q[2] - q[3] * q[1]), -1, 1)) * DEGREES,
+        Math.atan2(2 * (q[0] * q[3] + q[1] * q[2]), 1 - 2 * (q[2] * q[2] + q[3] * q[3])) * DEGREES
+    ];
+}
+
+/**
+ * Composes two versors (Hamilton product).
+ *
+ * @param {number[]} q0 - Versor
+ * @param {number[]} q1 - Versor
+ * @returns {number[]} Versor of q0 * q1
+ */
+export function multiplyVersors(q0, q1) {
+    return [
+        q0[0] * q1[0] - q0[1] * q1[1] - q0[2] * q1[2] - q0[3] * q1[3],
+        q0[0] * q1[1] + q0[1] * q1[0] + q0[2] * q1[3] - q0[3] * q1[2],
+        q0[0] * q1[2] - q0[1] * q1[3] + q0[2] * q1[0] + q0[3] * q1[1],
+        q0[0] * q1[3] + q0[1] * q1[2] - q0[2] * q1[1] + q0[3] * q1[0]
+    ];
+}
+
+/**
+ * Inverse of a versor (its conjugate).
+ *
+ * @param {number[]} q - Versor
+ * @returns {number[]} Versor undoing q
+ */
+export function inverseVersor(q) {
+    return [q[0], -q[1], -q[2], -q[3]];
+}
+
+/**
+ * Versor of the rotation that moves one point of the unit sphere onto another
+ * along the great circle through both.
+ *
+ * @param {number[]} v0 - Start point as [x, y, z]
+ * @param {number[]} v1 - End point as [x, y, z]
+ * @returns {number[]} Versor
+ */
+export function versorDelta(v0, v1) {
+    const w = [
+        v0[1] * v1[2] - v0[2] * v1[1],
+        v0[2] * v1[0] - v0[0] * v1[2],
+        v0[0] * v1[1] - v0[1] * v1[0]
+    ];
+    const length = Math.hypot(...w);
+    if (!length) return [1, 0, 0, 0];
+    const halfAngle = Math.acos(clamp(v0[0] * v1[0] + v0[1] * v1[1] + v0[2] * v1[2], -1, 1)) / 2;
+    const s = Math.sin(halfAngle);
+    return [Math.cos(halfAngle), w[2] / length * s, -w[1] / length * s, w[0] / length * s];
+}
+
+/**
+ * Rotation angle of a versor.
+ *
+ * @param {number[]} q - Versor
+ * @returns {number} Angle in degrees, in [0, 180]
+ */
+export function versorAngle(q) {
+    return 2 * Math.acos(clamp(Math.abs(q[0]), 0, 1)) * DEGREES;
+}
+
+/**
+ * Scales the angle of a versor, keeping its axis (q raised to the power t).
+ * The shorter of the two equivalent rotations is scaled.
+ *
+ * @param {number[]} q - Versor
+ * @param {number} t - Angle factor
+ * @returns {number[]} Versor
+ */
+export function scaleVersor(q, t) {
+    const sign = q[0] < 0 ? -1 : 1;
+    const halfAngle = Math.acos(clamp(sign * q[0], 0, 1));
+    const s = Math.sin(halfAngle);
+    if (s < 1e-12) return [1, 0, 0, 0];
+    const k = Math.sin(t * halfAngle) / s * sign;
+    return [Math.cos(t * halfAngle), q[1] * k, q[2] * k, q[3] * k];
+}
+
+/**
+ * Spherical linear interpolation between two versors, along the shorter way.
+ *
+ * @param {number[]} q0 - Versor at t = 0
+ * @param {number[]} q1 - Versor at t = 1
+ * @returns {Function} Interpolator from t in [0, 1] to a versor
+ */
+export function interpolateVersors(q0, q1) {
+    const delta = multiplyVersors(inverseVersor(q0), q1);
+    return t => multiplyVersors(q0, scaleVersor(delta, t));
+}
+
+/**
+ * Solves the north-up (gamma = 0) rotation that shows a location at a given position
+ * of the view. The view position is the location's target in unrotated coordinates,
+ * i.e. `d3.geoRotation(rotation)` applied to what the pointer shows at `rotation`.
+ * Some targets cannot be reached without rolling the globe (e.g., moving a pole
+ * sideways); the location then gets as close as possible.
+ *
+ * @param {number[]} location - Grabbed [longitude, latitude] in degrees
+ * @param {number[]} target - [longitude, latitude] of the target position in view coordinates
+ * @param {number[]} reference - Current rotation; of the two solutions the nearer one is used
+ * @returns {number[]} Rotation [lambda, phi, 0] in degrees, with phi within [-90, 90]
+ */
+export function northUpDragRotation(location, target, reference) {
+    const [x0, , z0] = cartesian([0, location[1]]);
+    const [xt, yt, zt] = cartesian(target);
+
+    // The phi rotation turns about the view's y axis, so the longitude rotation alone has to
+    // bring the location to the target's y coordinate: cos(lat) * sin(lon + lambda) = yt
+    const sinLongitude = x0 > 1e-9 ? clamp(yt / x0, -1, 1) : 0;
+    const rotatedLongitude = Math.asin(sinLongitude);
+
+    const candidates = [rotatedLongitude, Math.PI - rotatedLongitude].map(longitude => {
+        const x1 = x0 * Math.cos(longitude);
+        const phi = wrapLongitude((Math.atan2(zt, xt) - Math.atan2(z0, x1)) * DEGREES);
+        return [wrapLongitude(longitude * DEGREES - location[0]), clamp(phi, -90, 90), 0];
+    });
+
+    const distance = rotation =>
+        Math.abs(wrapLongitude(rotation[0] - reference[0])) + Math.abs(rotation[1] - reference[1]) +
+        // Solutions that had to be clamped leave the location away from the pointer
+        (Math.abs(rotation[1]) === 90 ? 360 : 0);
+    return distance(candidates[0]) <= distance(candidates[1]) ? candidates[0] : candidates[1];
+}
@@ -0,0 +1,35 @@
+/**
+ * Natural Earth world atlas files of the world-atlas package, the map's default data
+ * source. Where the files are served from is up to the host: the app bundles them (see
+ * bundledWorldAtlas.js), so the visualization keeps working without network access.
+ */
+
+/**
+ * Resolutions of the Natural Earth world atlas, with the world-atlas file of each.
+ * Each file holds the `countries` and `land` TopoJSON objects.
+ */
+export const WORLD_ATLAS_RESOLUTIONS = {
+    "110m": { label: "Low detail (1:110m)", file: "countries-110m.json" },
+    "50m": { label: "Medium detail (1:50m)", file: "countries-50m.json" },
+    "10m": { label: "High detail (1:10m)", file: "countries-10m.json" }
+};
+
+/**
+ * Creates a data source descriptor for the world atlas.
+ *
+ * @param {Object} atlasUrls - URLs of the world atlas files, by key in WORLD_ATLAS_RESOLUTIONS
+ *     (e.g., BUNDLED_WORLD_ATLAS_URLS)
+ * @param {string} resolution - Key in WORLD_ATLAS_RESOLUTIONS ("110m", "50m" or "10m")
+ * @param {string[]} [objects=["countries"]] - TopoJSON objects to render
+ * @returns {{url: string, objects: string[], resolution: string}} Data source descriptor
+ */
+export function worldAtlasSource(atlasUrls, resolution, objects = ["countries"]) {
+    if (!Object.hasOwn(WORLD_ATLAS_RESOLUTIONS, resolution)) {
+        throw new Error(`Unknown world atlas resolution "${resolution}"`);
+    }
+    const url = atlasUrls?.[resolution];
+    if (!url) {
+        throw new Error(`No URL given for the ${resolution} world atlas`);
+    }
+    return { url, objects, resolution };
+}
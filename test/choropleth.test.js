@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as d3 from 'd3';
+import { createColorScale, renderLegend } from '../src/choropleth.js';
+import { THEME_PRESETS } from '../src/themes.js';
+
+/**
+ * Legend canvas context recording the colour each rectangle and text is drawn in
+ */
+function recordingContext() {
+    const drawn = { rectangles: [], texts: [] };
+    return {
+        drawn,
+        canvas: { width: 240, height: 56 },
+        clearRect() {},
+        fillRect(x, y, width, height) {
+            drawn.rectangles.push([this.fillStyle, width, height]);
+        },
+        fillText(text) {
+            drawn.texts.push([this.fillStyle, text]);
+        }
+    };
+}
+
+describe("createColorScale", () => {
+    it("colours every class of a threshold scale with many breaks", () => {
+        const thresholds = d3.range(10, 110, 10);
+        const scale = createColorScale("threshold", [0, 50, 120], { thresholds });
+        assert.equal(scale.range().length, 11);
+        const colors = [5, ...thresholds.map(value => value + 5)].map(scale);
+        assert.ok(colors.every(color => typeof color === "string"), "no class without a colour");
+        assert.equal(new Set(colors).size, 11);
+    });
+
+    it("uses the YlGnBu scheme for few breaks", () => {
+        assert.deepEqual(createColorScale("threshold", [0, 10], { thresholds: [5] }).range(), d3.schemeYlGnBu[3]);
+        assert.deepEqual(createColorScale("threshold", [0, 10], { thresholds: [1, 2, 3, 4, 5, 6, 7, 8] }).range(), d3.schemeYlGnBu[9]);
+    });
+});
+
+describe("renderLegend", () => {
+    const legend = {
+        title: "Population",
+        scaleType: "threshold",
+        colorScale: createColorScale("threshold", [0, 10], { thresholds: [5] })
+    };
+
+    it("draws in the colours of the theme", () => {
+        for (const { style } of Object.values(THEME_PRESETS)) {
+            const context = recordingContext();
+            renderLegend(context, legend, style);
+            assert.deepEqual(context.drawn.rectangles[0], [style.legend.fill, 240, 56], "background");
+            assert.ok(context.drawn.texts.every(([color]) => color === style.legend.text), "text");
+            assert.ok(context.drawn.rectangles.some(([color]) => color === style.noData.fill), "no data swatch");
+        }
+    });
+
+    it("leaves out the legend and its parts whose theme style is null", () => {
+        const context = recordingContext();
+        renderLegend(context, legend, { ...THEME_PRESETS.dark.style, legend: null });
+        assert.deepEqual(context.drawn, { rectangles: [], texts: [] });
+
+        renderLegend(context, legend, { ...THEME_PRESETS.dark.style, noData: null });
+        assert.ok(!context.drawn.texts.some(([, text]) => text === "n/a"));
+    });
+});
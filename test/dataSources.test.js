@@ -0,0 +1,90 @@
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { describe, it } from 'node:test';
+import { dataSource, loadGeoData, toFeatureCollection } from '../src/dataSources.js';
+import { worldAtlasSource } from '../src/worldAtlas.js';
+
+const worldFile = createRequire(import.meta.url).resolve("world-atlas/countries-110m.json");
+const worldJson = readFileSync(worldFile, "utf8");
+const world = JSON.parse(worldJson);
+
+/**
+ * Data source serving a file's content from a data URL, like a file of the app would be
+ */
+function inlineSource(json, objects) {
+    return { url: `data:application/json,${encodeURIComponent(json)}`, objects };
+}
+
+describe("dataSource", () => {
+    it("selects other TopoJSON objects and keeps the rest of the descriptor", () => {
+        const atlas = { url: "countries-50m.json", objects: ["countries"], resolution: "50m" };
+        assert.deepEqual(dataSource(atlas), atlas);
+        assert.deepEqual(dataSource(atlas, ["land"]), { ...atlas, objects: ["land"] });
+        assert.deepEqual(dataSource({ url: "regions.geojson" }), { url: "regions.geojson", objects: undefined });
+    });
+
+    it("rejects sources without a URL and malformed object lists", () => {
+        assert.throws(() => dataSource(null), /URL/);
+        assert.throws(() => dataSource({ objects: ["land"] }), /URL/);
+        assert.throws(() => dataSource({ url: "world.json" }, "land"), /array of object names/);
+        assert.throws(() => dataSource({ url: "world.json" }, [42]), /array of object names/);
+    });
+});
+
+describe("worldAtlasSource", () => {
+    const atlasUrls = { "110m": "/maps/countries-110m.json", "50m": "/maps/countries-50m.json" };
+
+    it("points at the host's file of a resolution", () => {
+        assert.deepEqual(worldAtlasSource(atlasUrls, "50m", ["land"]), {
+            url: "/maps/countries-50m.json",
+            objects: ["land"],
+            resolution: "50m"
+        });
+        assert.deepEqual(worldAtlasSource(atlasUrls, "110m").objects, ["countries"]);
+    });
+
+    it("rejects unknown resolutions and resolutions without a URL", () => {
+        assert.throws(() => worldAtlasSource(atlasUrls, "1m"), /Unknown world atlas resolution "1m"/);
+        assert.throws(() => worldAtlasSource(atlasUrls, "10m"), /No URL given for the 10m world atlas/);
+        assert.throws(() => worldAtlasSource(null, "110m"), /No URL given/);
+    });
+});
+
+describe("toFeatureCollection", () => {
+    it("converts the selected TopoJSON objects, or all of them", () => {
+        assert.equal(toFeatureCollection(world, ["countries"]).features.length, world.objects.countries.geometries.length);
+        assert.equal(toFeatureCollection(world, ["land"]).features.length, 1);
+        assert.equal(toFeatureCollection(world).features.length, world.objects.countries.geometries.length + 1);
+        assert.throws(() => toFeatureCollection(world, ["rivers"]), /"rivers" not found \(available: countries, land\)/);
+    });
+
+    it("wraps GeoJSON features and geometries in a FeatureCollection", () => {
+        const point = { type: "Point", coordinates: [2.35, 48.85] };
+        assert.deepEqual(toFeatureCollection(point).features[0].geometry, point);
+        assert.throws(() => toFeatureCollection({ type: "Circle" }), /Unsupported/);
+    });
+});
+
+describe("loadGeoData", () => {
+    it("loads the objects a source selects", async () => {
+        const land = await loadGeoData(inlineSource(worldJson, ["land"]));
+        assert.equal(land.features.length, 1);
+        assert.equal(land.features[0].geometry.type, "MultiPolygon");
+
+        const countries = await loadGeoData(inlineSource(worldJson, ["countries"]));
+        assert.ok(countries.features.some(feature => feature.properties.name === "France"));
+    });
+
+    it("loads GeoJSON sources", async () => {
+        const regions = {
+            type: "FeatureCollection",
+            features: [{ type: "Feature", properties: { name: "Box" }, geometry: { type: "Point", coordinates: [0, 0] } }]
+        };
+        assert.deepEqual(await loadGeoData(inlineSource(JSON.stringify(regions))), regions);
+    });
+
+    it("rejects when the selected objects are missing", async () => {
+        await assert.rejects(loadGeoData(inlineSource(worldJson, ["rivers"])), /"rivers" not found/);
+    });
+});
@@ -0,0 +1,127 @@
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, existsSync, mkdirSync } from 'node:fs';
+import { createRequire } from 'node:module';
+import { describe, it } from 'node:test';
+import * as d3 from 'd3';
+import * as topojson from 'topojson-client';
+import { PROJECTIONS, createProjectionInterpolator, fitProjection } from '../src/projections.js';
+import { configureFrame, drawFrame, drawStackLayer, handOverView } from '../src/projectionView.js';
+import { createLayerStack } from '../src/layerStack.js';
+import { countDifferentPixels, createRasterContext } from './rasterContext.js';
+
+/**
+ * Visual regression check: frames of the map are drawn with the map's own drawing code
+ * (the layer stack with its clip angles, inside the viewport clip rectangle) into a
+ * character grid and compared with the snapshots in test/snapshots. Run with
+ * UPDATE_SNAPSHOTS=1 to write the snapshots after an intended change.
+ */
+
+const WIDTH = 120;
+const HEIGHT = 72;
+const MAX_DIFFERENT_PIXELS = Math.round(WIDTH * HEIGHT * 0.005); // Leaves room for rounding differences
+const SNAPSHOT_DIRECTORY = new URL("./snapshots/", import.meta.url);
+
+const worldFile = createRequire(import.meta.url).resolve("world-atlas/countries-110m.json");
+const world = JSON.parse(readFileSync(worldFile, "utf8"));
+const countries = topojson.feature(world, world.objects.countries);
+
+// Theme style drawing every layer with a character of its own; optional lines are left out
+const TEST_STYLE = {
+    ocean: { fill: "~" },
+    land: { fill: "#" },
+    noData: { fill: "#" },
+    borders: { stroke: "#", width: 0.5 },
+    graticule: { stroke: "+", width: 0.5 },
+    sphere: { stroke: "o", width: 1 },
+    equator: { stroke: "=", width: 1 },
+    tropics: null,
+    polarCircles: null,
+    trajectory: null,
+    limbShading: null
+};
+
+/**
+ * Draws a frame of the transition from one projection to another, starting from a globe
+ * view. Like the map, the view is handed over to the source projection once shown, then
+ * to the target when the transition starts, and both are drawn from that one view.
+ */
+function renderFrame(sourceName, targetName, transitionProgress, globeView) {
+    const { zoom } = globeView;
+    const fits = {
+        [sourceName]: fitProjection(sourceName, WIDTH, HEIGHT),
+        [targetName]: fitProjection(targetName, WIDTH, HEIGHT)
+    };
+    const shownView = handOverView(globeView, "orthographic", sourceName, fits[sourceName].scale * zoom, HEIGHT);
+    const view = { ...handOverView(shownView, sourceName, targetName, fits[targetName].scale * zoom, HEIGHT), zoom };
+
+    const projection = createProjectionInterpolator(PROJECTIONS[sourceName].raw, PROJECTIONS[targetName].raw);
+    const frame = configureFrame(
+        projection,
+        { source: sourceName, target: targetName, view, fits, width: WIDTH, height: HEIGHT },
+        transitionProgress
+    );
+    const layerStack = createLayerStack().setGraticuleStep(30);
+    const content = { style: TEST_STYLE, countries, colorFor: null, drawNight: null };
+
+    const context = createRasterContext(WIDTH, HEIGHT);
+    const path = d3.geoPath(projection, context);
+    drawFrame(context, frame, [{
+        draw: () => {
+            for (const entry of layerStack.entries()) drawStackLayer(context, path, frame, entry, content);
+        }
+    }]);
+    return context.toString();
+}
+
+function assertMatchesSnapshot(frame, name) {
+    const file = new URL(`${name}.txt`, SNAPSHOT_DIRECTORY);
+    if (process.env.UPDATE_SNAPSHOTS) {
+        mkdirSync(SNAPSHOT_DIRECTORY, { recursive: true });
+        writeFileSync(file, frame);
+        return;
+    }
+    assert.ok(existsSync(file), `${name}: missing snapshot, run with UPDATE_SNAPSHOTS=1`);
+    const snapshot = readFileSync(file, "utf8");
+    const differentPixels = countDifferentPixels(frame, snapshot);
+    assert.ok(
+        differentPixels <= MAX_DIFFERENT_PIXELS,
+        `${name}: ${differentPixels} pixels differ from the snapshot\n${frame}`
+    );
+}
+
+describe("rendered frames", () => {
+    const globeView = { rotation: [10, -20, 0], center: [0, 0], zoom: 1 };
+
+    it("draws the globe", () => {
+        assertMatchesSnapshot(renderFrame("orthographic", "mercator", 0, globeView), "orthographic");
+    });
+
+    it("draws the Mercator map", () => {
+        assertMatchesSnapshot(renderFrame("orthographic", "mercator", 1, globeView), "mercator");
+    });
+
+    it("fills the Mercator map with ocean down to its southern bound", () => {
+        const rows = renderFrame("orthographic", "mercator", 1, globeView).trimEnd().split("\n");
+        const bottom = rows.findLastIndex(row => /o{10}/.test(row));
+        assert.ok(bottom >= HEIGHT - 2, `outline along the bottom of the viewport, not at row ${bottom}`);
+        for (const row of rows.slice(bottom - 10, bottom)) {
+            assert.ok(!row.slice(row.indexOf("o"), row.lastIndexOf("o")).includes("."), `bare background in\n${row}`);
+        }
+    });
+
+    it("draws the globe opening up into the Mercator map", () => {
+        assertMatchesSnapshot(renderFrame("orthographic", "mercator", 0.4, globeView), "orthographic-mercator-40");
+    });
+
+    it("draws a flat map that doesn't fill the canvas", () => {
+        assertMatchesSnapshot(renderFrame("robinson", "robinson", 0, globeView), "robinson");
+    });
+
+    it("draws the ends of the transition like the projections themselves", () => {
+        const start = renderFrame("orthographic", "mercator", 0, globeView);
+        const end = renderFrame("orthographic", "mercator", 1, globeView);
+        assert.equal(renderFrame("orthographic", "orthographic", 0, globeView), start);
+        assert.equal(renderFrame("mercator", "mercator", 0, globeView), end);
+        assert.notEqual(renderFrame("orthographic", "mercator", 0.4, globeView), start);
+    });
+});
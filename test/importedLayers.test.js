@@ -0,0 +1,50 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as d3 from 'd3';
+import { parseGeoFile } from '../src/importedLayers.js';
+
+/**
+ * Square ring with its south-west corner at [x, y], anticlockwise as seen on a map (the
+ * RFC 7946 order of exterior rings) or clockwise (d3's order)
+ */
+function square(x, y, size, isAnticlockwise = true) {
+    const ring = [[x, y], [x + size, y], [x + size, y + size], [x, y + size], [x, y]];
+    return isAnticlockwise ? ring : ring.reverse();
+}
+
+function geoJsonFile(...geometries) {
+    return JSON.stringify({
+        type: "FeatureCollection",
+        features: geometries.map(geometry => ({ type: "Feature", properties: {}, geometry }))
+    });
+}
+
+describe("parseGeoFile", () => {
+    const HEMISPHERE_AREA = 2 * Math.PI;
+
+    it("rewinds RFC 7946 polygons for d3 without reporting them", () => {
+        const rfcPolygon = { type: "Polygon", coordinates: [square(0, 0, 10), square(2, 2, 2, false)] };
+        const d3Polygon = { type: "Polygon", coordinates: [square(0, 0, 10, false), square(2, 2, 2)] };
+        const { collection, oversized } = parseGeoFile(geoJsonFile(rfcPolygon, d3Polygon), "geojson");
+        assert.equal(oversized, 0);
+        assert.deepEqual(collection.features[0].geometry, d3Polygon);
+        assert.deepEqual(collection.features[1].geometry, d3Polygon);
+        for (const feature of collection.features) {
+            assert.ok(d3.geoArea(feature) < HEMISPHERE_AREA);
+        }
+    });
+
+    it("counts polygons that still cover more than a hemisphere once rewound", () => {
+        const swappedRings = { type: "Polygon", coordinates: [square(2, 2, 2), square(0, 0, 10, false)] };
+        const multiPolygon = { type: "MultiPolygon", coordinates: [[square(20, 20, 5)], swappedRings.coordinates] };
+        const { oversized } = parseGeoFile(geoJsonFile(swappedRings, multiPolygon), "geojson");
+        assert.equal(oversized, 2);
+    });
+
+    it("skips features without a valid geometry", () => {
+        const file = geoJsonFile({ type: "Point", coordinates: [2, 48] }, { type: "Point", coordinates: ["east", 48] });
+        const { collection, skipped } = parseGeoFile(file, "geojson");
+        assert.equal(collection.features.length, 1);
+        assert.equal(skipped, 1);
+    });
+});
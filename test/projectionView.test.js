@@ -0,0 +1,197 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as d3 from 'd3';
+import { createLayerStack } from '../src/layerStack.js';
+import { PROJECTIONS, createProjectionInterpolator, fitProjection, wrapLongitude } from '../src/projections.js';
+import { createMapTheme } from '../src/themes.js';
+import {
+    configureFrame,
+    drawStackLayer,
+    handOverView,
+    interpolateViewParameters,
+    isGlobeNavigation,
+    viewParameters,
+    viewportClipRectangle,
+    visibleScreenPoint
+} from '../src/projectionView.js';
+import { createRasterContext } from './rasterContext.js';
+
+const WIDTH = 800;
+const HEIGHT = 600;
+
+/**
+ * Projection showing a view in a registered projection, configured like the map does
+ */
+function viewProjection(projectionName, view) {
+    const { rotation, scale, translate } = viewParameters(
+        projectionName,
+        view,
+        fitProjection(projectionName, WIDTH, HEIGHT),
+        WIDTH,
+        HEIGHT
+    );
+    const { raw } = PROJECTIONS[projectionName];
+    return createProjectionInterpolator(raw, raw).rotate(rotation).scale(scale).translate(translate);
+}
+
+function assertNear(actual, expected, tolerance, message) {
+    assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: got ${actual}, expected ${expected}`);
+}
+
+describe("viewParameters", () => {
+    it("shows the view centre in the middle of the canvas in every projection", () => {
+        for (const projectionName of Object.keys(PROJECTIONS)) {
+            const view = { rotation: [42, -40, 0], center: [-42, 40], zoom: 3 };
+            const [x, y] = viewProjection(projectionName, view)(view.center);
+            assertNear(x, WIDTH / 2, 1e-6, `${projectionName} x`);
+            assertNear(y, HEIGHT / 2, 1e-6, `${projectionName} y`);
+        }
+    });
+
+    it("keeps the roll of globes and scales every projection by the zoom", () => {
+        const view = { rotation: [10, -20, 30], center: [-10, 20], zoom: 2 };
+        const globe = viewParameters("orthographic", view, fitProjection("orthographic", WIDTH, HEIGHT), WIDTH, HEIGHT);
+        assert.deepEqual(globe.rotation, [10, -20, 30]);
+        assert.equal(globe.scale, fitProjection("orthographic", WIDTH, HEIGHT).scale * 2);
+
+        const map = viewParameters("mercator", view, fitProjection("mercator", WIDTH, HEIGHT), WIDTH, HEIGHT);
+        assert.deepEqual(map.rotation, [10, 0, 0]);
+        assert.equal(map.scale, fitProjection("mercator", WIDTH, HEIGHT).scale * 2);
+    });
+});
+
+describe("interpolateViewParameters", () => {
+    const source = { rotation: [170, -10, 0], scale: 200, translate: [400, 300] };
+    const target = { rotation: [-170, 30, 20], scale: 400, translate: [400, 500] };
+
+    it("starts at the source and ends at the target", () => {
+        assert.deepEqual(interpolateViewParameters(source, target, 0), source);
+        const end = interpolateViewParameters(source, target, 1);
+        assertNear(wrapLongitude(end.rotation[0] - target.rotation[0]), 0, 1e-9, "longitude");
+        assert.deepEqual(end.rotation.slice(1), target.rotation.slice(1));
+        assert.equal(end.scale, target.scale);
+        assert.deepEqual(end.translate, target.translate);
+    });
+
+    it("rotates the short way round", () => {
+        const halfway = interpolateViewParameters(source, target, 0.5);
+        assertNear(wrapLongitude(halfway.rotation[0]), -180, 1e-9, "longitude halfway");
+        assert.deepEqual(halfway.rotation.slice(1), [10, 10]);
+        assert.equal(halfway.scale, 300);
+        assert.deepEqual(halfway.translate, [400, 400]);
+    });
+});
+
+describe("viewportClipRectangle", () => {
+    it("spans the latitude bounds of projections that have them", () => {
+        const projection = viewProjection("mercator", { rotation: [0, 0, 0], center: [0, 0], zoom: 1 });
+        const { MIN, MAX } = PROJECTIONS.mercator.latitudeBounds;
+        const viewport = viewportClipRectangle(projection, "mercator", WIDTH);
+        assert.equal(viewport.x, 0);
+        assert.equal(viewport.width, WIDTH);
+        assertNear(viewport.y, projection([0, MAX])[1], 1e-9, "top");
+        assertNear(viewport.y + viewport.height, projection([0, MIN])[1], 1e-9, "bottom");
+    });
+
+    it("is null for projections without latitude bounds", () => {
+        const projection = viewProjection("orthographic", { rotation: [0, 0, 0], center: [0, 0], zoom: 1 });
+        assert.equal(viewportClipRectangle(projection, "orthographic", WIDTH), null);
+    });
+});
+
+describe("visibleScreenPoint", () => {
+    it("shows locations within the clip angle of the view centre", () => {
+        const view = { rotation: [-30, -40, 20], center: [0, 0], zoom: 1 };
+        const projection = viewProjection("orthographic", view);
+        const [x, y] = visibleScreenPoint(projection, [30, 40], 90);
+        assertNear(x, WIDTH / 2, 1e-6, "x");
+        assertNear(y, HEIGHT / 2, 1e-6, "y");
+        assert.ok(visibleScreenPoint(projection, [30, -45], 90), "85° away");
+        assert.equal(visibleScreenPoint(projection, [30, -55], 90), null, "95° away");
+        assert.ok(visibleScreenPoint(projection, [30, -55], 100), "95° away with the wider land clip");
+        assert.ok(visibleScreenPoint(projection, [-150, -40], null), "antipode without a clip angle");
+    });
+});
+
+describe("handOverView", () => {
+    const mercatorScale = zoom => fitProjection("mercator", WIDTH, HEIGHT).scale * zoom;
+
+    it("keeps the same place in the middle when morphing between a globe and a flat map", () => {
+        const globeView = { rotation: [42, -60, 15], center: [0, 0], zoom: 4 };
+        const mapView = handOverView(globeView, "orthographic", "mercator", mercatorScale(4), HEIGHT);
+        assert.deepEqual(mapView.rotation, globeView.rotation);
+        assertNear(mapView.center[0], -42, 1e-9, "map centre longitude");
+        assertNear(mapView.center[1], 60, 1e-9, "map centre latitude");
+
+        const backView = handOverView(mapView, "mercator", "orthographic", 1, HEIGHT);
+        assertNear(backView.rotation[0], 42, 1e-9, "globe lambda");
+        assertNear(backView.rotation[1], -60, 1e-9, "globe phi");
+        assert.equal(backView.rotation[2], 0);
+
+        // The centre pixel shows the same location before and after each hand-off
+        const globeCenter = viewProjection("orthographic", globeView).invert([WIDTH / 2, HEIGHT / 2]);
+        const mapCenter = viewProjection("mercator", { ...mapView, zoom: 4 }).invert([WIDTH / 2, HEIGHT / 2]);
+        assertNear(wrapLongitude(globeCenter[0] - mapCenter[0]), 0, 1e-9, "longitude");
+        assertNear(globeCenter[1], mapCenter[1], 1e-9, "latitude");
+    });
+
+    it("keeps flat map centres within the map's latitude bounds", () => {
+        const globeView = { rotation: [0, -80, 0], center: [0, 0], zoom: 1 };
+        const mapView = handOverView(globeView, "orthographic", "mercator", mercatorScale(1), HEIGHT);
+        const projection = viewProjection("mercator", { ...mapView, zoom: 1 });
+        const { MIN, MAX } = PROJECTIONS.mercator.latitudeBounds;
+        assert.ok(mapView.center[1] < 80);
+        assert.ok(projection([0, MAX])[1] <= 1e-6 || projection([0, MIN])[1] - projection([0, MAX])[1] <= HEIGHT);
+    });
+
+    it("leaves views alone between projections navigated alike", () => {
+        const view = { rotation: [10, 20, 30], center: [5, 6] };
+        assert.deepEqual(handOverView(view, "orthographic", "stereographic", 100, HEIGHT), view);
+        assert.ok(isGlobeNavigation("stereographic"));
+        assert.ok(!isGlobeNavigation("robinson"));
+    });
+});
+
+describe("drawStackLayer", () => {
+    const countries = {
+        type: "FeatureCollection",
+        features: [{
+            type: "Feature",
+            id: "250",
+            properties: {},
+            geometry: { type: "Polygon", coordinates: [[[0, 40], [0, 50], [10, 50], [10, 40], [0, 40]]] }
+        }]
+    };
+
+    /**
+     * Draws every layer of the default stack on a globe into a small raster
+     */
+    function drawStack(style, colorFor = null) {
+        const projection = createProjectionInterpolator(PROJECTIONS.orthographic.raw, PROJECTIONS.orthographic.raw);
+        const fits = { orthographic: fitProjection("orthographic", 40, 40) };
+        const view = { rotation: [-5, -45, 0], center: [5, 45], zoom: 1 };
+        const frame = configureFrame(projection, { source: "orthographic", target: "orthographic", view, fits, width: 40, height: 40 }, 0);
+        const context = createRasterContext(40, 40);
+        const path = d3.geoPath(projection, context);
+        for (const entry of createLayerStack().entries()) {
+            drawStackLayer(context, path, frame, entry, { style, countries, colorFor, drawNight: null });
+        }
+        return context.toString();
+    }
+
+    const hidden = Object.fromEntries(["ocean", "land", "noData", "borders", "graticule", "sphere", "equator",
+        "tropics", "polarCircles", "trajectory", "limbShading"].map(layer => [layer, null]));
+
+    it("leaves out the layers whose theme style is null", () => {
+        const style = createMapTheme().set(hidden).style();
+        for (const colorFor of [null, () => null]) {
+            assert.match(drawStack(style, colorFor), /^[.\n]+$/, "nothing drawn");
+        }
+    });
+
+    it("fills the countries without borders", () => {
+        const style = createMapTheme().set({ ...hidden, land: { fill: "L" }, noData: { fill: "N" } }).style();
+        assert.match(drawStack(style), /L/);
+        assert.match(drawStack(style, () => null), /N/);
+    });
+});
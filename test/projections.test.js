@@ -0,0 +1,243 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import * as d3 from 'd3';
+import {
+    PROJECTIONS,
+    createProjectionInterpolator,
+    fitProjection,
+    interpolateClipAngles,
+    invertScreenPoint,
+    mapCenterFromRotation,
+    mapCenterTranslate,
+    panMapCenterLatitude,
+    rotationFromMapCenter,
+    wrapLongitude
+} from '../src/projections.js';
+
+const WIDTH = 800;
+const HEIGHT = 600;
+
+/**
+ * Interpolated projection between two registered projections, fitted to the canvas like
+ * the map does at a point of the transition
+ */
+function morphedProjection(sourceName, targetName, transitionProgress, rotation = [0, 0, 0]) {
+    const sourceFit = fitProjection(sourceName, WIDTH, HEIGHT);
+    const targetFit = fitProjection(targetName, WIDTH, HEIGHT);
+    const clipAngles = interpolateClipAngles(
+        PROJECTIONS[sourceName].clipAngle,
+        PROJECTIONS[targetName].clipAngle,
+        transitionProgress
+    );
+    return createProjectionInterpolator(PROJECTIONS[sourceName].raw, PROJECTIONS[targetName].raw)
+        .alpha(transitionProgress)
+        .rotate(rotation)
+        .scale(d3.interpolate(sourceFit.scale, targetFit.scale)(transitionProgress))
+        .translate(d3.interpolate(sourceFit.translate, targetFit.translate)(transitionProgress))
+        .clipAngle(clipAngles.overlay);
+}
+
+/**
+ * Locations on a grid around the view centre
+ */
+function gridAround([longitude, latitude], extent, step) {
+    const locations = [];
+    for (let dy = -extent; dy <= extent; dy += step) {
+        for (let dx = -extent; dx <= extent; dx += step) {
+            locations.push([wrapLongitude(longitude + dx), latitude + dy]);
+        }
+    }
+    return locations;
+}
+
+function assertCloseLocation(actual, expected, tolerance, message) {
+    assert.ok(actual, `${message}: no location`);
+    assert.ok(
+        Math.abs(wrapLongitude(actual[0] - expected[0])) <= tolerance && Math.abs(actual[1] - expected[1]) <= tolerance,
+        `${message}: got [${actual}], expected [${expected}]`
+    );
+}
+
+describe("createProjectionInterpolator", () => {
+    const start = d3.geoOrthographicRaw;
+    const end = d3.geoMercatorRaw;
+    const configured = projection => projection.scale(100).translate([0, 0]).rotate([20, -30, 10]);
+    const locations = gridAround([-20, 30], 60, 15);
+
+    it("matches the start projection at alpha 0 and the end projection at alpha 1", () => {
+        const interpolator = configured(createProjectionInterpolator(start, end));
+        const startProjection = configured(d3.geoProjection(start));
+        const endProjection = configured(d3.geoProjection(end));
+
+        for (const location of locations) {
+            assert.deepEqual(interpolator.alpha(0)(location), startProjection(location));
+            assert.deepEqual(interpolator.alpha(1)(location), endProjection(location));
+        }
+    });
+
+    it("blends the two projections linearly in between", () => {
+        const interpolator = configured(createProjectionInterpolator(start, end));
+        const startProjection = configured(d3.geoProjection(start));
+        const endProjection = configured(d3.geoProjection(end));
+
+        for (const alpha of [0.25, 0.5, 0.75]) {
+            interpolator.alpha(alpha);
+            for (const location of locations) {
+                const expected = d3.interpolate(startProjection(location), endProjection(location))(alpha);
+                const [x, y] = interpolator(location);
+                assert.ok(Math.hypot(x - expected[0], y - expected[1]) < 1e-9, `alpha ${alpha} at [${location}]`);
+            }
+        }
+    });
+
+    it("reports its alpha and swaps projection pairs with morph()", () => {
+        const interpolator = createProjectionInterpolator(start, end);
+        assert.equal(interpolator.alpha(), 0);
+        assert.equal(interpolator.alpha(0.3).alpha(), 0.3);
+        assert.deepEqual(interpolator.morph(), [start, end]);
+
+        interpolator.morph(end, start).alpha(0);
+        assert.deepEqual(interpolator.morph(), [end, start]);
+        const endProjection = d3.geoProjection(end);
+        assert.deepEqual(interpolator([12, 34]), endProjection([12, 34]));
+    });
+});
+
+describe("invertScreenPoint", () => {
+    it("inverts every projection where it shows the world", () => {
+        for (const projectionName of Object.keys(PROJECTIONS)) {
+            const center = [30, 20];
+            const projection = morphedProjection(projectionName, projectionName, 0, rotationFromMapCenter(center));
+            const { latitudeBounds, clipAngle } = PROJECTIONS[projectionName];
+            for (const location of gridAround(center, 50, 10)) {
+                if (latitudeBounds && (location[1] > latitudeBounds.MAX || location[1] < latitudeBounds.MIN)) continue;
+                if (clipAngle && d3.geoDistance(location, center) * 180 / Math.PI > clipAngle - 1) continue;
+                const point = projection(location);
+                assertCloseLocation(invertScreenPoint(projection, point), location, 1e-6, `${projectionName} [${location}]`);
+            }
+        }
+    });
+
+    it("inverts the blend of two projections during a transition", () => {
+        for (const transitionProgress of [0.1, 0.25, 0.5, 0.75, 0.9]) {
+            const projection = morphedProjection("orthographic", "mercator", transitionProgress, [-10, -20, 0]);
+            for (const location of gridAround([10, 20], 50, 10)) {
+                const point = projection(location);
+                assertCloseLocation(
+                    invertScreenPoint(projection, point),
+                    location,
+                    1e-4,
+                    `progress ${transitionProgress} [${location}]`
+                );
+            }
+        }
+    });
+
+    it("returns null off the globe and beyond the clip angle", () => {
+        const projection = morphedProjection("orthographic", "orthographic", 0);
+        assert.equal(invertScreenPoint(projection, [5, 5]), null);
+
+        const behind = morphedProjection("stereographic", "stereographic", 0);
+        const hiddenLocation = [170, 0]; // 170° from the view centre, beyond the 142° clip angle
+        const point = d3.geoProjection(d3.geoStereographicRaw)
+            .scale(behind.scale())
+            .translate(behind.translate())(hiddenLocation);
+        assert.equal(invertScreenPoint(behind, point), null);
+    });
+
+    it("returns null outside the viewport clip rectangle", () => {
+        const projection = morphedProjection("mercator", "mercator", 0);
+        const viewport = { x: 0, y: 100, width: WIDTH, height: 400 };
+        assert.ok(invertScreenPoint(projection, [400, 300], viewport));
+        assert.equal(invertScreenPoint(projection, [400, 50], viewport), null);
+        assert.equal(invertScreenPoint(projection, [400, 550], viewport), null);
+    });
+});
+
+describe("interpolateClipAngles", () => {
+    it("uses the clip angle of the projection shown at either end", () => {
+        assert.deepEqual(interpolateClipAngles(90, null, 0), { land: 90, overlay: 90 });
+        assert.deepEqual(interpolateClipAngles(null, 90, 1), { land: 90, overlay: 90 });
+        assert.deepEqual(interpolateClipAngles(null, 90, 0), { land: null, overlay: null });
+    });
+
+    it("opens the overlay clip to the whole sphere halfway and keeps land close to the horizon", () => {
+        const { land, overlay } = interpolateClipAngles(90, 142, 0.5);
+        assert.equal(overlay, 180);
+        assert.equal(land, 100);
+
+        for (let transitionProgress = 0; transitionProgress <= 1; transitionProgress += 0.05) {
+            const angles = interpolateClipAngles(90, 90, transitionProgress);
+            assert.ok(angles.land >= 90 && angles.land <= 180);
+            assert.ok(angles.overlay >= angles.land);
+        }
+    });
+});
+
+describe("fitProjection", () => {
+    it("fits clipped globes inside the canvas with padding", () => {
+        for (const projectionName of ["orthographic", "stereographic", "azimuthalEquidistant"]) {
+            const projection = morphedProjection(projectionName, projectionName, 0);
+            const [[x0, y0], [x1, y1]] = d3.geoPath(projection).bounds({ type: "Sphere" });
+            assert.ok(x0 >= 9.5 && y0 >= 9.5 && x1 <= WIDTH - 9.5 && y1 <= HEIGHT - 9.5, `${projectionName} fits`);
+            assert.ok(Math.max(x1 - x0 - (WIDTH - 20), y1 - y0 - (HEIGHT - 20)) > -1, `${projectionName} fills the canvas`);
+        }
+    });
+
+    it("clips Mercator to its latitude bounds with a viewport inside the canvas", () => {
+        const { viewport, worldWidth, scale } = fitProjection("mercator", WIDTH, HEIGHT);
+        const { MIN, MAX } = PROJECTIONS.mercator.latitudeBounds;
+        const projection = morphedProjection("mercator", "mercator", 0);
+
+        assert.ok(Math.abs(projection([0, MAX])[1] - viewport.y) < 1e-9);
+        assert.ok(Math.abs(projection([0, MIN])[1] - (viewport.y + viewport.height)) < 1e-9);
+        assert.ok(viewport.y >= 0 && viewport.y + viewport.height <= HEIGHT);
+        assert.ok(Math.abs(worldWidth - 2 * Math.PI * scale) < 1e-9);
+    });
+});
+
+describe("flat map view centre", () => {
+    it("converts between globe rotations and map centres", () => {
+        for (const center of [[0, 0], [-42, 72], [179, -33], [-180, 10]]) {
+            const rotation = rotationFromMapCenter(center, 25);
+            assert.equal(rotation[2], 25);
+            assertCloseLocation(mapCenterFromRotation(rotation), center, 1e-12, `[${center}]`);
+        }
+        assert.deepEqual(mapCenterFromRotation([-200, -10, 0]), [-160, 10]);
+        assert.equal(wrapLongitude(540), -180);
+        assert.equal(wrapLongitude(-190), 170);
+    });
+
+    it("puts the centre latitude in the middle of the canvas", () => {
+        const { scale } = fitProjection("mercator", WIDTH, HEIGHT);
+        const zoomedScale = scale * 4;
+        const projection = d3.geoProjection(PROJECTIONS.mercator.raw)
+            .rotate([-30, 0, 0])
+            .scale(zoomedScale)
+            .translate(mapCenterTranslate("mercator", 50, zoomedScale, WIDTH, HEIGHT));
+        const [x, y] = projection([30, 50]);
+        assert.ok(Math.abs(x - WIDTH / 2) < 1e-9 && Math.abs(y - HEIGHT / 2) < 1e-9);
+    });
+
+    it("keeps the map's latitude bounds outside the canvas when panning", () => {
+        const { scale } = fitProjection("mercator", WIDTH, HEIGHT);
+        const zoomedScale = scale * 3;
+        const { MIN, MAX } = PROJECTIONS.mercator.latitudeBounds;
+
+        for (const shift of [1e6, -1e6]) {
+            const latitude = panMapCenterLatitude("mercator", 0, shift, zoomedScale, HEIGHT);
+            const projection = d3.geoProjection(PROJECTIONS.mercator.raw)
+                .scale(zoomedScale)
+                .translate(mapCenterTranslate("mercator", latitude, zoomedScale, WIDTH, HEIGHT));
+            const top = projection([0, MAX])[1];
+            const bottom = projection([0, MIN])[1];
+            assert.ok(top <= 1e-6 && bottom >= HEIGHT - 1e-6, `shift ${shift}: map spans ${top}–${bottom}`);
+            assert.ok(Math.abs(top) < 1e-6 || Math.abs(bottom - HEIGHT) < 1e-6, `shift ${shift} stops at an edge`);
+        }
+    });
+
+    it("centres maps that are shorter than the canvas", () => {
+        const { scale } = fitProjection("robinson", WIDTH, HEIGHT);
+        assert.ok(Math.abs(panMapCenterLatitude("robinson", 40, 100, scale, HEIGHT)) < 1e-9);
+    });
+});
@@ -0,0 +1,176 @@
+/**
+ * Canvas 2D context stand-in for headless tests: fills and strokes paths into a grid of
+ * characters, one per pixel, so rendered frames can be compared as text. Supports the
+ * calls d3.geoPath makes for lines and polygons, rectangular clipping and the state the
+ * map's drawing code sets (saved and restored with the clip); colours, line widths,
+ * dashes and opacity are ignored.
+ */
+
+/**
+ * Creates a context drawing into a grid of `width` × `height` characters, all "." at
+ * first. `fill()` sets the pixels whose centre lies inside the current path (nonzero
+ * winding rule, like canvas) to the first character of `fillStyle`, and `stroke()` the
+ * pixels the path's lines pass through to the first character of `strokeStyle`.
+ *
+ * @param {number} width - Grid width in pixels
+ * @param {number} height - Grid height in pixels
+ * @returns {Object} Context, whose `toString()` returns the grid as lines of text
+ */
+export function createRasterContext(width, height) {
+    const rows = Array.from({ length: height }, () => Array(width).fill("."));
+    let subpaths = [];
+    let currentSubpath = null;
+    let clipRectangle = { x0: 0, y0: 0, x1: width, y1: height };
+    const savedStates = [];
+    const isInsideClip = (x, y) => x >= clipRectangle.x0 && x <= clipRectangle.x1 && y >= clipRectangle.y0 && y <= clipRectangle.y1;
+
+    const context = {
+        fillStyle: "#",
+        strokeStyle: "#",
+        lineWidth: 1,
+        globalAlpha: 1,
+        save() {
+            const { fillStyle, strokeStyle, lineWidth, globalAlpha } = context;
+            savedStates.push({ clipRectangle, fillStyle, strokeStyle, lineWidth, globalAlpha });
+        },
+        restore() {
+            if (savedStates.length === 0) return;
+            const { clipRectangle: savedClipRectangle, ...state } = savedStates.pop();
+            clipRectangle = savedClipRectangle;
+            Object.assign(context, state);
+        },
+        clearRect(x, y, rectWidth, rectHeight) {
+            fillRectangle(rows, x, y, rectWidth, rectHeight, ".");
+        },
+        fillRect(x, y, rectWidth, rectHeight) {
+            fillRectangle(rows, x, y, rectWidth, rectHeight, String(context.fillStyle)[0]);
+        },
+        setLineDash() {
+            // Lines are drawn solid
+        },
+        beginPath() {
+            subpaths = [];
+            currentSubpath = null;
+        },
+        moveTo(x, y) {
+            if (!Number.isFinite(x) || !Number.isFinite(y)) return; // Ignored, as by canvas
+            currentSubpath = [[x, y]];
+            subpaths.push(currentSubpath);
+            currentSubpath.isClosed = false;
+        },
+        lineTo(x, y) {
+            if (!Number.isFinite(x) || !Number.isFinite(y)) return;
+            if (!currentSubpath) return context.moveTo(x, y);
+            currentSubpath.push([x, y]);
+        },
+        closePath() {
+            if (currentSubpath) currentSubpath.isClosed = true; // Subpaths are always closed when filled
+            currentSubpath = null;
+        },
+        arc() {
+            // Points are not rasterized
+        },
+        rect(x, y, rectWidth, rectHeight) {
+            context.moveTo(x, y);
+            context.lineTo(x + rectWidth, y);
+            context.lineTo(x + rectWidth, y + rectHeight);
+            context.lineTo(x, y + rectHeight);
+            context.closePath();
+        },
+        /**
+         * Clips to the bounding box of the current path, which must be a rectangle
+         */
+        clip() {
+            const points = subpaths.flat();
+            clipRectangle = {
+                x0: Math.max(clipRectangle.x0, Math.min(...points.map(([x]) => x))),
+                y0: Math.max(clipRectangle.y0, Math.min(...points.map(([, y]) => y))),
+                x1: Math.min(clipRectangle.x1, Math.max(...points.map(([x]) => x))),
+                y1: Math.min(clipRectangle.y1, Math.max(...points.map(([, y]) => y)))
+            };
+        },
+        fill() {
+            const character = String(context.fillStyle)[0];
+            for (let row = 0; row < height; row++) {
+                const y = row + 0.5;
+                if (y < clipRectangle.y0 || y > clipRectangle.y1) continue;
+                const crossings = scanlineCrossings(subpaths, y).sort((a, b) => a.x - b.x);
+                let winding = 0;
+                crossings.forEach(({ x, direction }, index) => {
+                    winding += direction;
+                    if (winding === 0 || index + 1 === crossings.length) return;
+                    const start = Math.max(x, clipRectangle.x0);
+                    const end = Math.min(crossings[index + 1].x, clipRectangle.x1);
+                    for (let column = Math.max(0, Math.ceil(start - 0.5)); column + 0.5 < end && column < width; column++) {
+                        rows[row][column] = character;
+                    }
+                });
+            }
+        },
+        stroke() {
+            const character = String(context.strokeStyle)[0];
+            for (const points of subpaths) {
+                const segmentCount = points.isClosed ? points.length : points.length - 1;
+                for (let index = 0; index < segmentCount; index++) {
+                    const [x0, y0] = points[index];
+                    const [x1, y1] = points[(index + 1) % points.length];
+                    // Samples the segment at least twice per pixel
+                    const steps = Math.max(1, Math.ceil(2 * Math.hypot(x1 - x0, y1 - y0)));
+                    for (let step = 0; step <= steps; step++) {
+                        const x = x0 + (x1 - x0) * step / steps;
+                        const y = y0 + (y1 - y0) * step / steps;
+                        const column = Math.floor(x);
+                        const row = Math.floor(y);
+                        if (isInsideClip(x, y) && row >= 0 && row < height && column >= 0 && column < width) {
+                            rows[row][column] = character;
+                        }
+                    }
+                }
+            }
+        },
+        toString() {
+            return rows.map(row => row.join("")).join("\n") + "\n";
+        }
+    };
+    return context;
+}
+
+/**
+ * Sets the pixels whose centre lies inside a rectangle
+ */
+function fillRectangle(rows, x, y, width, height, character) {
+    rows.forEach((row, rowIndex) => {
+        if (rowIndex + 0.5 < y || rowIndex + 0.5 > y + height) return;
+        row.forEach((_, column) => {
+            if (column + 0.5 >= x && column + 0.5 <= x + width) row[column] = character;
+        });
+    });
+}
+
+/**
+ * Points where the edges of closed subpaths cross a horizontal line, with the direction
+ * of the edge (1 downwards, -1 upwards)
+ */
+function scanlineCrossings(subpaths, y) {
+    const crossings = [];
+    for (const points of subpaths) {
+        points.forEach(([x0, y0], index) => {
+            const [x1, y1] = points[(index + 1) % points.length];
+            if ((y0 <= y) !== (y1 <= y)) {
+                crossings.push({ x: x0 + (y - y0) * (x1 - x0) / (y1 - y0), direction: y1 > y0 ? 1 : -1 });
+            }
+        });
+    }
+    return crossings;
+}
+
+/**
+ * Number of characters that differ between two grids of the same size
+ */
+export function countDifferentPixels(grid, otherGrid) {
+    let count = 0;
+    for (let index = 0; index < Math.max(grid.length, otherGrid.length); index++) {
+        if (grid[index] !== otherGrid[index]) count++;
+    }
+    return count;
+}
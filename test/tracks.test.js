@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { createTrackPlayer, parseTracks, trackPosition, tracksFromFeatures } from '../src/tracks.js';
+
+function timedPoint(id, location, time, properties = {}) {
+    return { type: "Feature", id, properties: { time, ...properties }, geometry: { type: "Point", coordinates: location } };
+}
+
+describe("tracksFromFeatures", () => {
+    it("groups timed points without a track field into a single track", () => {
+        const features = [
+            timedPoint("p3", [20, 0], "2024-01-01T02:00:00Z"),
+            timedPoint("p1", [0, 0], "2024-01-01T00:00:00Z"),
+            timedPoint("p2", [10, 0], "2024-01-01T01:00:00Z")
+        ];
+        const { tracks, skipped } = tracksFromFeatures(features);
+        assert.equal(skipped, 0);
+        assert.equal(tracks.length, 1);
+        assert.deepEqual(tracks[0].points.map(point => point.location), [[0, 0], [10, 0], [20, 0]]);
+    });
+
+    it("groups timed points by their track field", () => {
+        const features = [
+            timedPoint(1, [0, 0], 0, { flight: "AF1" }),
+            timedPoint(2, [5, 5], 0, { flight: "BA2" }),
+            timedPoint(3, [1, 0], 60, { flight: "AF1" })
+        ];
+        const { tracks } = tracksFromFeatures(features);
+        assert.deepEqual(tracks.map(track => [track.name, track.points.length]), [["AF1", 2], ["BA2", 1]]);
+    });
+
+    it("names lines by their name property or feature id", () => {
+        const line = (id, properties) => ({
+            type: "Feature",
+            id,
+            properties: { times: [0, 60], ...properties },
+            geometry: { type: "LineString", coordinates: [[0, 0], [1, 1]] }
+        });
+        const { tracks } = tracksFromFeatures([line("ship-7", {}), line("ship-8", { name: "Endeavour" })]);
+        assert.deepEqual(tracks.map(track => track.name), ["ship-7", "Endeavour"]);
+    });
+});
+
+describe("parseTracks", () => {
+    it("reads CSV rows, skipping those without a usable location or time", () => {
+        const { tracks, skipped } = parseTracks("lon,lat,time\n0,0,0\n10,0,3600\n5,95,1800\n", "csv");
+        assert.equal(skipped, 1);
+        assert.equal(tracks.length, 1);
+        const [longitude, latitude] = trackPosition(tracks[0], 1800 * 1000);
+        assert.ok(Math.abs(longitude - 5) < 1e-9 && Math.abs(latitude) < 1e-9, "halfway along the equator");
+        assert.equal(trackPosition(tracks[0], 7200 * 1000), null);
+    });
+});
+
+describe("createTrackPlayer", () => {
+    it("reports time steps apart from other changes", () => {
+        const player = createTrackPlayer().add([{ name: "A", points: [{ time: 0, location: [0, 0] }, { time: 1000, location: [1, 0] }] }]);
+        const events = [];
+        player.on("change.test", () => events.push("change")).on("time.test", () => events.push("time"));
+
+        player.setTime(100).play().advance(10).advance(100); // At 60 s of track time per second
+        assert.deepEqual(events, ["time", "change", "time", "change"]);
+        assert.equal(player.time(), 1000);
+        assert.ok(!player.isPlaying(), "pauses at the end");
+    });
+});
@@ -0,0 +1,27 @@
+import { defineConfig } from 'vite';
+
+/**
+ * `vite build` builds the app from index.html; `vite build --mode lib` builds the
+ * embeddable map component from src/lib.js into dist/lib, leaving its dependencies to
+ * the host app. The library itself doesn't import the world atlas files, so it works in
+ * any host; the separate world-atlas entry keeps them `?url` imports of world-atlas, for
+ * hosts built with Vite to serve as assets, rather than inlining them into the library.
+ */
+export default defineConfig(({ mode }) => mode !== "lib" ? {} : {
+    publicDir: false,
+    build: {
+        outDir: "dist/lib",
+        lib: {
+            entry: {
+                "geodesic-mapper": "src/lib.js",
+                "world-atlas": "src/bundledWorldAtlas.js"
+            },
+            formats: ["es"],
+            fileName: (format, entryName) => `${entryName}.js`,
+            cssFileName: "geodesic-mapper"
+        },
+        rollupOptions: {
+            external: [/^d3(-|$)/, /^world-atlas\//, "topojson-client", "gifenc", "i18n-iso-countries"]
+        }
+    }
+});